@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Issue, list and revoke API keys
+ * Usage:
+ *   node manage-api-keys.js list
+ *   node manage-api-keys.js issue --label=ghl --scopes=usage:write
+ *   node manage-api-keys.js issue --label=cron --scopes=billing:run --expires=2026-01-01
+ *   node manage-api-keys.js issue --label=ghl --scopes=usage:write --key="$GHL_BEARER"   # register an existing token
+ *   node manage-api-keys.js revoke <id>
+ *
+ * Scopes: usage:write, billing:run, admin:read, admin:write
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { DateTime } = require('luxon');
+const { API_KEY_SCOPES, issueApiKey, revokeApiKey, listApiKeys } = require('./src/auth/api-keys');
+
+const db = new Pool({ connectionString: process.env.DATABASE_URL });
+
+function parseArgs(argv) {
+  const args = { positional: [] };
+  for (const arg of argv) {
+    const match = arg.match(/^--(label|scopes|expires|key)=(.*)$/);
+    if (match) {
+      args[match[1]] = match[2];
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exitCode = 1;
+}
+
+async function issue(args) {
+  if (!args.label) {
+    return fail('--label is required');
+  }
+  const scopes = (args.scopes || '').split(',').map(scope => scope.trim()).filter(Boolean);
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (scopes.length === 0 || unknown.length > 0) {
+    return fail(`--scopes must be a comma-separated list of: ${API_KEY_SCOPES.join(', ')}`);
+  }
+
+  let expiresAt = null;
+  if (args.expires) {
+    const expires = DateTime.fromISO(args.expires);
+    if (!expires.isValid) {
+      return fail('--expires must be an ISO 8601 date or timestamp');
+    }
+    expiresAt = expires.toISO();
+  }
+
+  if (args.key !== undefined && args.key.length < 16) {
+    return fail('--key must be at least 16 characters');
+  }
+
+  const apiKey = await issueApiKey(db, { label: args.label, scopes, expiresAt, key: args.key });
+
+  console.log(`✅ Issued key #${apiKey.id} (${apiKey.label})`);
+  console.log('  Scopes:', apiKey.scopes.join(', '));
+  console.log('  Expires:', apiKey.expires_at ? apiKey.expires_at.toISOString() : 'never');
+  if (args.key === undefined) {
+    console.log('\n🔑 Key (shown once, store it now):');
+    console.log(`  ${apiKey.key}`);
+  }
+}
+
+async function revoke(args) {
+  const id = Number(args.positional[1]);
+  if (!Number.isInteger(id) || id <= 0) {
+    return fail('Usage: node manage-api-keys.js revoke <id>');
+  }
+
+  const revoked = await revokeApiKey(db, id);
+  if (!revoked) {
+    return fail(`No active key #${id}`);
+  }
+  console.log(`✅ Revoked key #${revoked.id} (${revoked.label})`);
+}
+
+async function list() {
+  const keys = await listApiKeys(db);
+  if (keys.length === 0) {
+    console.log('No API keys. Issue one with: node manage-api-keys.js issue --label=... --scopes=...');
+    return;
+  }
+
+  for (const key of keys) {
+    const state = key.revoked_at
+      ? `revoked ${key.revoked_at.toISOString()}`
+      : (key.expires_at && key.expires_at <= new Date() ? 'expired' : 'active');
+    console.log(`#${key.id} ${key.label} [${key.scopes.join(', ')}] ${key.key_prefix}… ${state}`);
+    console.log(`    created ${key.created_at.toISOString()}` +
+      `, expires ${key.expires_at ? key.expires_at.toISOString() : 'never'}` +
+      `, last used ${key.last_used_at ? key.last_used_at.toISOString() : 'never'}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    switch (args.positional[0]) {
+      case 'issue':
+        await issue(args);
+        break;
+      case 'revoke':
+        await revoke(args);
+        break;
+      case 'list':
+        await list();
+        break;
+      default:
+        fail('Usage: node manage-api-keys.js <list|issue|revoke> [options]');
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await db.end();
+  }
+}
+
+main();
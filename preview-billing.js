@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Preview a billing run without charging anyone
+ * Usage:
+ *   node preview-billing.js                                  # every customer's last closed cycle
+ *   node preview-billing.js --start=2025-01-06 --end=2025-01-13
+ *   node preview-billing.js --through=2025-03-01             # all unbilled usage before a date
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { DateTime } = require('luxon');
+const { parseBillingRequest, runRequestedBilling } = require('./src/billing/billing-job');
+
+const db = new Pool({ connectionString: process.env.DATABASE_URL });
+const TZ = process.env.TZ || 'America/Los_Angeles';
+
+function parseArgs(argv) {
+  const args = {};
+  for (const arg of argv) {
+    const match = arg.match(/^--(start|end|through)=(.+)$/);
+    if (match) {
+      args[match[1]] = match[2];
+    }
+  }
+  return args;
+}
+
+async function preview() {
+  try {
+    const now = DateTime.now().setZone(TZ);
+    const request = parseBillingRequest(parseArgs(process.argv.slice(2)), now);
+    if (request.error) {
+      console.error(`❌ ${request.error}`);
+      process.exit(1);
+    }
+
+    console.log('🔍 Billing Preview (no money moves)\n');
+
+    const { periods, results } = await runRequestedBilling(db, null, request, { now, preview: true });
+
+    for (const period of periods) {
+      console.log(`📅 ${period.start || '(oldest unbilled usage)'} → ${period.end}`);
+      for (const charge of period.results.charges) {
+        const applied = (Math.abs(charge.balance_applied_cents) / 100).toFixed(2);
+        const balance = charge.balance_applied_cents > 0 ? ` (credit -$${applied})`
+          : charge.balance_applied_cents < 0 ? ` (balance due +$${applied})` : '';
+        console.log(`   💵 ${charge.crm_contact_id} (${charge.name || 'no name'}): ${charge.units} units → $${charge.amount_dollars}${balance} [${charge.pricing_plan}]`);
+      }
+      for (const skipped of period.results.skipped_customers) {
+        console.log(`   ⏭️  ${skipped.crm_contact_id} (${skipped.name || 'no name'}): ${skipped.units} units skipped - ${skipped.reason}`);
+      }
+      console.log('');
+    }
+
+    for (const error of results.errors) {
+      console.log(`❌ ${error.crm_contact_id}: ${error.error}`);
+    }
+
+    console.log('📋 Summary:');
+    console.log('  Customers to charge:', results.successful);
+    console.log('  Total:', `$${results.total_amount_dollars.toFixed(2)}`);
+    console.log('  Skipped (status / funding):', results.skipped_customers.length);
+    console.log('  Pricing errors:', results.failed);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await db.end();
+  }
+}
+
+preview();
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Reconcile initiated invoices against their Dwolla transfers
+ * Usage:
+ *   node reconcile-transfers.js                    # stuck after RECONCILE_STUCK_BUSINESS_DAYS (default 5)
+ *   node reconcile-transfers.js --stuck-days=3     # flag transfers pending for more than 3 business days
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { DateTime } = require('luxon');
+const { dwollaGet } = require('./src/dwolla/client');
+const createDwollaEventHandlers = require('./src/webhooks/dwolla-events');
+const { reconcileTransferStatuses } = require('./src/billing/reconciliation');
+
+const db = new Pool({ connectionString: process.env.DATABASE_URL });
+const TZ = process.env.TZ || 'America/Los_Angeles';
+
+async function reconcile() {
+  try {
+    const stuckArg = process.argv.slice(2).find(arg => arg.startsWith('--stuck-days='));
+    const stuckBusinessDays = stuckArg ? Number(stuckArg.split('=')[1]) : undefined;
+    if (stuckBusinessDays !== undefined && (!Number.isInteger(stuckBusinessDays) || stuckBusinessDays < 1)) {
+      throw new Error('--stuck-days must be a positive integer');
+    }
+
+    console.log('🔎 Reconciling initiated invoices with Dwolla...\n');
+
+    const handlers = createDwollaEventHandlers(db, { dwollaGet }, { zone: TZ });
+    const report = await reconcileTransferStatuses(db, { dwollaGet }, handlers, {
+      now: DateTime.now().setZone(TZ),
+      stuckBusinessDays
+    });
+
+    for (const item of report.synced) {
+      console.log(`🔄 Invoice #${item.invoice_id} (${item.crm_contact_id}): Dwolla says ${item.dwolla_status}, applied ${item.applied}`);
+    }
+    for (const item of report.stuck) {
+      console.log(`⏳ Invoice #${item.invoice_id} (${item.crm_contact_id}): ${item.dwolla_status} for ${item.business_days} business days`);
+    }
+    for (const item of report.errors) {
+      console.log(`❌ Invoice #${item.invoice_id}: ${item.error}`);
+    }
+
+    console.log(`\n📋 Report #${report.id}:`);
+    console.log('  Checked:', report.checked);
+    console.log('  In sync:', report.in_sync);
+    console.log('  Synced:', report.synced.length);
+    console.log(`  Stuck (> ${report.stuck_business_days} business days):`, report.stuck.length);
+    console.log('  Failed:', report.errors.length);
+
+    if (report.stuck.length > 0 || report.errors.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await db.end();
+  }
+}
+
+reconcile();
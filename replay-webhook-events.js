@@ -0,0 +1,52 @@
+#!/usr/bin/env node
+/**
+ * Replay stored Dwolla webhook events through the webhook handlers
+ * Usage:
+ *   node replay-webhook-events.js                 # replay every failed event
+ *   node replay-webhook-events.js <event_id> ...  # replay specific events
+ */
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { dwollaGet } = require('./src/dwolla/client');
+const createDwollaEventHandlers = require('./src/webhooks/dwolla-events');
+const { replayWebhookEvents } = require('./src/webhooks/event-store');
+
+const db = new Pool({ connectionString: process.env.DATABASE_URL });
+const TZ = process.env.TZ || 'America/Los_Angeles';
+
+async function replay() {
+  try {
+    const eventIds = process.argv.slice(2);
+    console.log(eventIds.length > 0
+      ? `🔁 Replaying ${eventIds.length} event(s)...\n`
+      : '🔁 Replaying all failed events...\n');
+
+    const handlers = createDwollaEventHandlers(db, { dwollaGet }, { zone: TZ });
+    const results = await replayWebhookEvents(db, handlers, { eventIds });
+
+    for (const event of results.events) {
+      const icon = event.status === 'failed' ? '❌' : '✅';
+      console.log(`${icon} ${event.event_id}: ${event.status}${event.error ? ` - ${event.error}` : ''}`);
+    }
+
+    console.log('\n📋 Summary:');
+    console.log('  Total:', results.total);
+    console.log('  Processed:', results.processed);
+    console.log('  Ignored:', results.ignored);
+    console.log('  Skipped:', results.skipped);
+    console.log('  Failed:', results.failed);
+
+    if (results.failed > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    if (error.stack) console.error(error.stack);
+    process.exit(1);
+  } finally {
+    await db.end();
+  }
+}
+
+replay();
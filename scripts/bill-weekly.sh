@@ -1,10 +1,12 @@
 #!/bin/bash
-# Weekly Billing Cron Job Script
-# This script calls the billing endpoint to bill customers weekly
+# Billing Cron Job Script
+# This script calls the billing endpoint to bill every customer whose billing cycle has closed.
+# /bill/week is an alias of /bill/run; run this daily if any customer is on a daily cycle.
 
 # Get the service URL from environment variable, or use default
 SERVICE_URL="${BILLING_SERVICE_URL:-http://localhost:3000}"
-AUTH_TOKEN="${BILLING_AUTH_TOKEN:-admin}"
+# API key with the billing:run scope (node manage-api-keys.js issue --label=cron --scopes=billing:run)
+AUTH_TOKEN="${BILLING_API_KEY:?Set BILLING_API_KEY to an API key with the billing:run scope}"
 
 # Call the billing endpoint
 curl -X POST \
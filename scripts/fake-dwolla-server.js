@@ -0,0 +1,684 @@
+#!/usr/bin/env node
+/**
+ * Fake Dwolla API for local development and CI
+ * Implements the Dwolla endpoints the server and CLI scripts use (token,
+ * customers, funding sources, micro-deposits, IAV tokens and transfers) in
+ * memory, and settles transfers by firing signed webhooks back to
+ * /dwolla/webhook, so usage → billing → settlement runs without network
+ * access to api-sandbox.dwolla.com.
+ *
+ * Usage:
+ *   node scripts/fake-dwolla-server.js [--port=4020] [--webhook-url=http://localhost:3000/dwolla/webhook]
+ *     [--transfer-outcome=completed|failed|pending] [--return-code=R01] [--settle-delay-ms=1000]
+ *   DWOLLA_BASE=http://localhost:4020 DWOLLA_KEY=test DWOLLA_SECRET=test npm run dev
+ *
+ * Webhooks are signed with --webhook-secret (default DWOLLA_WEBHOOK_SECRET).
+ * As in the Dwolla sandbox, transfers from a funding source named after a
+ * return code (e.g. "R03") fail with that code when they settle on their own.
+ *
+ * Control:
+ *   GET    /_mock/requests                - every API request received
+ *   GET    /_mock/webhooks                - every webhook sent, with the response status
+ *   POST   /_mock/outcomes                - queue request outcomes (see below)
+ *   PUT    /_mock/config                  - change transfer_outcome, return_code, settle_delay_ms, webhook_url
+ *   POST   /_mock/transfers/:id/settle    - settle a pending transfer: { "status": "completed" | "failed", "code": "R01" }
+ *   DELETE /_mock/tokens                  - expire every access token (the next request gets a 401)
+ *   DELETE /_mock/requests                - reset requests, webhooks, outcomes and all resources
+ *
+ * An outcome answers the next matching request(s):
+ *   { "method": "POST", "path": "/transfers", "status": 503 }                      - 5xx, request not processed
+ *   { "method": "POST", "path": "/customers", "status": 400, "code": "ValidationError", "message": "..." }
+ *   { "method": "POST", "path": "/transfers", "timeout": true, "delay_ms": 100 }     - processed, then the
+ *                                                                                     connection is dropped
+ *   { "method": "POST", "path": "/transfers", "hang": true, "delay_ms": 60000 }     - processed, but the
+ *                                                                                     response is held for
+ *                                                                                     delay_ms (default 60000)
+ * path may use :id segments (e.g. /funding-sources/:id/micro-deposits); times defaults to 1.
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+const HAL_JSON = 'application/vnd.dwolla.v1.hal+json';
+
+const RETURN_CODES = {
+  R01: 'Insufficient Funds',
+  R02: 'Account Closed',
+  R03: 'No Account/Unable to Locate Account',
+  R04: 'Invalid Account Number',
+  R16: 'Account Frozen',
+  R20: 'Non-Transaction Account'
+};
+
+/**
+ * Create the fake Dwolla app.
+ * transferOutcome is how new transfers settle ('completed', 'failed' or
+ * 'pending' to settle them through /_mock/transfers/:id/settle), after
+ * settleDelayMs. outcomes are queued request outcomes (see above).
+ */
+function createFakeDwollaServer({
+  webhookUrl = null,
+  webhookSecret = process.env.DWOLLA_WEBHOOK_SECRET,
+  transferOutcome = 'completed',
+  returnCode = 'R01',
+  settleDelayMs = 1000,
+  tokenTtlSeconds = 3600,
+  outcomes = []
+} = {}) {
+  const app = express();
+  app.use(express.json({ type: ['application/json', HAL_JSON] }));
+  app.use(express.urlencoded({ extended: false }));
+
+  const config = { webhookUrl, webhookSecret, transferOutcome, returnCode, settleDelayMs };
+  const requests = [];
+  const webhooks = [];
+  const queuedOutcomes = outcomes.map(outcome => ({ ...outcome }));
+  const tokens = new Set();
+  const idempotentResponses = new Map();
+  const customers = new Map();
+  const fundingSources = new Map();
+  const transfers = new Map();
+  const events = new Map();
+  const timers = new Set();
+  let baseUrl = null;
+
+  const href = (type, id) => `${baseUrl}/${type}/${id}`;
+  const idFromHref = (value, type) => value?.startsWith(`${baseUrl}/${type}/`) ? value.slice(`${baseUrl}/${type}/`.length) : null;
+
+  function hal(res, status, body) {
+    return res.status(status).type(HAL_JSON).json(body);
+  }
+
+  function dwollaError(res, status, code, message, errors) {
+    const body = { code, message };
+    if (errors) {
+      body._embedded = { errors };
+    }
+    return hal(res, status, body);
+  }
+
+  function validationError(res, errors) {
+    return dwollaError(res, 400, 'ValidationError', 'Validation error(s) present. See embedded errors list for more details.', errors);
+  }
+
+  function created(res, location) {
+    return res.status(201).location(location).end();
+  }
+
+  function later(fn, delay) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delay);
+    timer.unref();
+    timers.add(timer);
+  }
+
+  // --- Resource representations ---
+
+  function customerBody(customer) {
+    return {
+      _links: {
+        self: { href: href('customers', customer.id) },
+        'funding-sources': { href: `${href('customers', customer.id)}/funding-sources` },
+        transfers: { href: `${href('customers', customer.id)}/transfers` }
+      },
+      id: customer.id,
+      firstName: customer.firstName,
+      lastName: customer.lastName,
+      email: customer.email,
+      type: customer.type,
+      status: customer.status,
+      ...(customer.businessName ? { businessName: customer.businessName } : {}),
+      created: customer.created
+    };
+  }
+
+  function fundingSourceBody(fundingSource) {
+    const links = {
+      self: { href: href('funding-sources', fundingSource.id) },
+      customer: { href: href('customers', fundingSource.customerId) }
+    };
+    if (fundingSource.status === 'unverified') {
+      const action = fundingSource.microDeposits ? 'verify-micro-deposits' : 'initiate-micro-deposits';
+      links[action] = { href: `${href('funding-sources', fundingSource.id)}/micro-deposits` };
+    }
+    return {
+      _links: links,
+      id: fundingSource.id,
+      status: fundingSource.status,
+      type: 'bank',
+      bankAccountType: fundingSource.bankAccountType,
+      name: fundingSource.name,
+      created: fundingSource.created,
+      removed: false,
+      channels: ['ach'],
+      bankName: 'SANDBOX TEST BANK'
+    };
+  }
+
+  function transferBody(transfer) {
+    const links = {
+      self: { href: href('transfers', transfer.id) },
+      source: { href: transfer.sourceHref },
+      destination: { href: transfer.destinationHref }
+    };
+    if (transfer.status === 'pending') {
+      links.cancel = { href: href('transfers', transfer.id) };
+    }
+    if (transfer.failure) {
+      links.failure = { href: `${href('transfers', transfer.id)}/failure` };
+    }
+    return {
+      _links: links,
+      id: transfer.id,
+      status: transfer.status,
+      amount: transfer.amount,
+      created: transfer.created,
+      ...(transfer.correlationId ? { correlationId: transfer.correlationId } : {}),
+      ...(transfer.metadata ? { metadata: transfer.metadata } : {})
+    };
+  }
+
+  /**
+   * A page of a HAL collection, with _links.next while there are more items
+   */
+  function collection(req, path, key, items) {
+    const limit = Math.min(Number(req.query.limit) || 25, 200);
+    const offset = Number(req.query.offset) || 0;
+    const links = { self: { href: `${baseUrl}${req.originalUrl}` } };
+    if (offset + limit < items.length) {
+      const query = new URLSearchParams({ ...req.query, limit: String(limit), offset: String(offset + limit) });
+      links.next = { href: `${baseUrl}${path}?${query}` };
+    }
+    return { _links: links, _embedded: { [key]: items.slice(offset, offset + limit) }, total: items.length };
+  }
+
+  /**
+   * Take the first queued outcome matching a request, if any
+   */
+  function takeOutcome(req) {
+    const index = queuedOutcomes.findIndex(outcome =>
+      (!outcome.method || outcome.method.toUpperCase() === req.method) &&
+      new RegExp(`^${outcome.path.replace(/:[^/]+/g, '[^/]+')}$`).test(req.path)
+    );
+    if (index === -1) {
+      return null;
+    }
+    const outcome = queuedOutcomes[index];
+    outcome.times = (outcome.times || 1) - 1;
+    if (outcome.times <= 0) {
+      queuedOutcomes.splice(index, 1);
+    }
+    return outcome;
+  }
+
+  // --- Webhooks ---
+
+  /**
+   * Send a signed webhook for a resource to webhookUrl, like Dwolla does
+   */
+  async function fireWebhook(topic, resourceHref, customerId) {
+    const id = crypto.randomUUID();
+    const event = {
+      _links: {
+        self: { href: href('events', id) },
+        resource: { href: resourceHref },
+        ...(customerId ? { customer: { href: href('customers', customerId) } } : {})
+      },
+      id,
+      created: new Date().toISOString(),
+      topic,
+      resourceId: resourceHref.split('/').pop()
+    };
+    events.set(id, event);
+
+    if (!config.webhookUrl) {
+      webhooks.push({ event_id: id, topic, resource_href: resourceHref, status: null, error: 'No webhook URL', at: event.created });
+      return;
+    }
+
+    const body = JSON.stringify(event);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.webhookSecret) {
+      headers['X-Request-Signature-SHA256'] = crypto.createHmac('sha256', config.webhookSecret).update(body).digest('hex');
+    }
+
+    const record = { event_id: id, topic, resource_href: resourceHref, status: null, error: null, at: event.created };
+    webhooks.push(record);
+    try {
+      const res = await fetch(config.webhookUrl, { method: 'POST', headers, body });
+      record.status = res.status;
+    } catch (error) {
+      record.error = error.message;
+    }
+  }
+
+  /**
+   * Move a pending transfer to completed or failed and send its webhook
+   */
+  function settleTransfer(id, status, code) {
+    const transfer = transfers.get(id);
+    if (!transfer || transfer.status !== 'pending') {
+      return null;
+    }
+
+    const fundingSource = fundingSources.get(idFromHref(transfer.sourceHref, 'funding-sources')) ||
+      fundingSources.get(idFromHref(transfer.destinationHref, 'funding-sources'));
+    if (status === 'failed') {
+      transfer.status = 'failed';
+      const returnCode = code || config.returnCode;
+      transfer.failure = {
+        code: returnCode,
+        description: RETURN_CODES[returnCode] || 'ACH return',
+        explanation: `Fake return ${returnCode}`
+      };
+      fireWebhook('customer_transfer_failed', href('transfers', id), fundingSource?.customerId);
+    } else {
+      transfer.status = 'processed';
+      fireWebhook('customer_transfer_completed', href('transfers', id), fundingSource?.customerId);
+    }
+    return transfer;
+  }
+
+  // --- Control endpoints ---
+
+  app.get('/_mock/requests', (_req, res) => res.json({ requests }));
+  app.get('/_mock/webhooks', (_req, res) => res.json({ webhooks }));
+
+  app.post('/_mock/outcomes', (req, res) => {
+    const added = (Array.isArray(req.body) ? req.body : [req.body]).filter(outcome => outcome?.path);
+    queuedOutcomes.push(...added);
+    res.status(201).json({ outcomes: queuedOutcomes });
+  });
+
+  app.put('/_mock/config', (req, res) => {
+    const { transfer_outcome, return_code, settle_delay_ms, webhook_url } = req.body || {};
+    if (transfer_outcome !== undefined) config.transferOutcome = transfer_outcome;
+    if (return_code !== undefined) config.returnCode = return_code;
+    if (settle_delay_ms !== undefined) config.settleDelayMs = Number(settle_delay_ms);
+    if (webhook_url !== undefined) config.webhookUrl = webhook_url;
+    res.json({ config: { ...config, webhookSecret: config.webhookSecret ? '(set)' : null } });
+  });
+
+  app.post('/_mock/transfers/:id/settle', (req, res) => {
+    const transfer = settleTransfer(req.params.id, req.body?.status, req.body?.code);
+    if (!transfer) {
+      return res.status(409).json({ error: 'Transfer not found or not pending' });
+    }
+    res.json({ transfer: transferBody(transfer) });
+  });
+
+  app.delete('/_mock/tokens', (_req, res) => {
+    tokens.clear();
+    res.status(204).end();
+  });
+
+  app.delete('/_mock/requests', (_req, res) => {
+    for (const timer of timers) {
+      clearTimeout(timer);
+    }
+    timers.clear();
+    requests.length = 0;
+    webhooks.length = 0;
+    queuedOutcomes.length = 0;
+    queuedOutcomes.push(...outcomes.map(outcome => ({ ...outcome })));
+    for (const store of [tokens, idempotentResponses, customers, fundingSources, transfers, events]) {
+      store.clear();
+    }
+    res.status(204).end();
+  });
+
+  // --- Auth, outcomes and idempotency ---
+
+  app.use((req, res, next) => {
+    baseUrl = baseUrl || `${req.protocol}://${req.get('host')}`;
+    requests.push({
+      method: req.method,
+      path: req.path,
+      body: req.body,
+      idempotency_key: req.get('idempotency-key') || null,
+      at: new Date().toISOString()
+    });
+
+    if (req.path === '/token') {
+      return next();
+    }
+    const token = req.get('authorization')?.match(/^Bearer (.+)$/)?.[1];
+    if (!tokens.has(token)) {
+      return dwollaError(res, 401, 'ExpiredAccessToken', 'Invalid access token.');
+    }
+
+    // A repeated idempotency key gets the original response, as from Dwolla
+    const key = req.method === 'POST' && req.get('idempotency-key');
+    if (key && idempotentResponses.has(key)) {
+      const replay = idempotentResponses.get(key);
+      return res.status(replay.status).set(replay.headers).type(HAL_JSON).send(replay.body);
+    }
+
+    const outcome = takeOutcome(req);
+    if (outcome && !outcome.timeout && !outcome.hang) {
+      if (outcome.status === 429) {
+        res.set('Retry-After', '0');
+      }
+      const code = outcome.code || (outcome.status >= 500 ? 'ServerError' : 'BadRequest');
+      return dwollaError(res, outcome.status, code, outcome.message || 'Fake Dwolla failure');
+    }
+
+    if (key || outcome) {
+      const end = res.end.bind(res);
+      res.end = (chunk, ...rest) => {
+        if (key && res.statusCode < 400) {
+          const location = res.get('location');
+          idempotentResponses.set(key, {
+            status: res.statusCode,
+            headers: location ? { Location: location } : {},
+            body: chunk ? String(chunk) : ''
+          });
+        }
+        if (outcome?.hang) {
+          later(() => end(chunk, ...rest), outcome.delay_ms ?? 60000);
+          return res;
+        }
+        if (outcome) {
+          // Timeout: the request was processed, but the caller never hears back
+          const socket = req.socket;
+          later(() => socket.destroy(), outcome.delay_ms || 0);
+          return res;
+        }
+        return end(chunk, ...rest);
+      };
+    }
+    next();
+  });
+
+  app.post('/token', (req, res) => {
+    const [key, secret] = Buffer.from(req.get('authorization')?.replace(/^Basic /, '') || '', 'base64').toString().split(':');
+    if (!key || !secret || req.body?.grant_type !== 'client_credentials') {
+      return hal(res, 401, { error: 'invalid_client' });
+    }
+    const token = crypto.randomBytes(24).toString('hex');
+    tokens.add(token);
+    later(() => tokens.delete(token), tokenTtlSeconds * 1000);
+    hal(res, 200, { access_token: token, token_type: 'bearer', expires_in: tokenTtlSeconds });
+  });
+
+  // --- Customers ---
+
+  app.post('/customers', (req, res) => {
+    const { firstName, lastName, email, type = 'unverified', businessName } = req.body || {};
+    const errors = [['firstName', firstName], ['lastName', lastName], ['email', email]]
+      .filter(([, value]) => !value)
+      .map(([field]) => ({ code: 'Required', message: `${field[0].toUpperCase()}${field.slice(1)} required.`, path: `/${field}` }));
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const existing = [...customers.values()].find(customer => customer.email.toLowerCase() === email.toLowerCase());
+    if (existing) {
+      return validationError(res, [{
+        code: 'Duplicate',
+        message: 'A customer with the specified email already exists.',
+        path: '/email',
+        _links: { about: { href: href('customers', existing.id) } }
+      }]);
+    }
+
+    const id = crypto.randomUUID();
+    customers.set(id, {
+      id, firstName, lastName, email, type, businessName,
+      status: type === 'personal' || type === 'business' ? 'verified' : 'unverified',
+      created: new Date().toISOString()
+    });
+    created(res, href('customers', id));
+  });
+
+  app.get('/customers', (req, res) => {
+    hal(res, 200, collection(req, '/customers', 'customers', [...customers.values()].map(customerBody)));
+  });
+
+  app.get('/customers/:id', (req, res) => {
+    const customer = customers.get(req.params.id);
+    if (!customer) {
+      return dwollaError(res, 404, 'NotFound', 'Customer not found.');
+    }
+    hal(res, 200, customerBody(customer));
+  });
+
+  app.post('/customers/:id/iav-token', (req, res) => {
+    if (!customers.has(req.params.id)) {
+      return dwollaError(res, 404, 'NotFound', 'Customer not found.');
+    }
+    hal(res, 201, {
+      _links: { self: { href: `${href('customers', req.params.id)}/iav-token` } },
+      token: `fake-iav-${crypto.randomBytes(12).toString('hex')}`
+    });
+  });
+
+  // --- Funding sources ---
+
+  app.post('/customers/:id/funding-sources', (req, res) => {
+    const customer = customers.get(req.params.id);
+    if (!customer) {
+      return dwollaError(res, 404, 'NotFound', 'Customer not found.');
+    }
+
+    const { routingNumber, accountNumber, bankAccountType, name } = req.body || {};
+    const errors = [];
+    if (!/^\d{9}$/.test(routingNumber || '')) {
+      errors.push({ code: 'InvalidFormat', message: 'Routing number invalid.', path: '/routingNumber' });
+    }
+    if (!/^\d{4,17}$/.test(accountNumber || '')) {
+      errors.push({ code: 'InvalidFormat', message: 'Account number invalid.', path: '/accountNumber' });
+    }
+    if (!['checking', 'savings'].includes(bankAccountType)) {
+      errors.push({ code: 'Invalid', message: 'Bank account type invalid.', path: '/bankAccountType' });
+    }
+    if (!name) {
+      errors.push({ code: 'Required', message: 'Name required.', path: '/name' });
+    }
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const existing = [...fundingSources.values()].find(fundingSource =>
+      fundingSource.customerId === customer.id &&
+      fundingSource.routingNumber === routingNumber &&
+      fundingSource.accountNumber === accountNumber
+    );
+    if (existing) {
+      return hal(res, 400, {
+        code: 'DuplicateResource',
+        message: `Bank already exists: id=${existing.id}`,
+        _links: { about: { href: href('funding-sources', existing.id) } }
+      });
+    }
+
+    const id = crypto.randomUUID();
+    fundingSources.set(id, {
+      id, customerId: customer.id, routingNumber, accountNumber, bankAccountType, name,
+      status: 'unverified',
+      microDeposits: false,
+      created: new Date().toISOString()
+    });
+    created(res, href('funding-sources', id));
+  });
+
+  app.get('/customers/:id/funding-sources', (req, res) => {
+    if (!customers.has(req.params.id)) {
+      return dwollaError(res, 404, 'NotFound', 'Customer not found.');
+    }
+    const items = [...fundingSources.values()]
+      .filter(fundingSource => fundingSource.customerId === req.params.id)
+      .map(fundingSourceBody);
+    hal(res, 200, collection(req, `/customers/${req.params.id}/funding-sources`, 'funding-sources', items));
+  });
+
+  app.get('/funding-sources/:id', (req, res) => {
+    const fundingSource = fundingSources.get(req.params.id);
+    if (!fundingSource) {
+      return dwollaError(res, 404, 'NotFound', 'Funding source not found.');
+    }
+    hal(res, 200, fundingSourceBody(fundingSource));
+  });
+
+  // An empty body initiates micro-deposits; amount1/amount2 verify them.
+  // As in the sandbox, any two amounts under $0.10 verify.
+  app.post('/funding-sources/:id/micro-deposits', (req, res) => {
+    const fundingSource = fundingSources.get(req.params.id);
+    if (!fundingSource) {
+      return dwollaError(res, 404, 'NotFound', 'Funding source not found.');
+    }
+    const fundingHref = href('funding-sources', fundingSource.id);
+
+    if (!req.body?.amount1 && !req.body?.amount2) {
+      if (fundingSource.status !== 'unverified' || fundingSource.microDeposits) {
+        return dwollaError(res, 400, 'InvalidResourceState', 'Funding source not eligible for micro-deposits.');
+      }
+      fundingSource.microDeposits = true;
+      later(() => fireWebhook('customer_microdeposits_added', fundingHref, fundingSource.customerId), 0);
+      return created(res, `${fundingHref}/micro-deposits`);
+    }
+
+    if (fundingSource.status !== 'unverified' || !fundingSource.microDeposits) {
+      return dwollaError(res, 400, 'InvalidResourceState', 'Micro-deposits have not been initiated or are already verified.');
+    }
+    const amounts = [req.body.amount1?.value, req.body.amount2?.value].map(Number);
+    if (amounts.some(amount => !(amount > 0 && amount < 0.1))) {
+      return validationError(res, [{ code: 'InvalidAmount', message: 'Wrong amount(s).', path: '/amount1' }]);
+    }
+
+    fundingSource.status = 'verified';
+    later(async () => {
+      await fireWebhook('customer_microdeposits_completed', fundingHref, fundingSource.customerId);
+      await fireWebhook('customer_funding_source_verified', fundingHref, fundingSource.customerId);
+    }, 0);
+    res.status(200).end();
+  });
+
+  // --- Transfers ---
+
+  app.post('/transfers', (req, res) => {
+    const { _links: links, amount, correlationId, metadata } = req.body || {};
+    const sourceHref = links?.source?.href;
+    const destinationHref = links?.destination?.href;
+    const errors = [];
+    if (!sourceHref) {
+      errors.push({ code: 'Required', message: 'Source required.', path: '/_links/source/href' });
+    }
+    if (!destinationHref) {
+      errors.push({ code: 'Required', message: 'Destination required.', path: '/_links/destination/href' });
+    }
+    if (!(Number(amount?.value) > 0) || amount?.currency !== 'USD') {
+      errors.push({ code: 'Invalid', message: 'Invalid amount.', path: '/amount/value' });
+    }
+
+    // Funding sources on this server must exist and be verified; any other
+    // href (e.g. DWOLLA_YOUR_FUNDING_HREF) is taken to be the account's
+    for (const [path, value] of [['/_links/source/href', sourceHref], ['/_links/destination/href', destinationHref]]) {
+      const id = idFromHref(value, 'funding-sources');
+      if (id && fundingSources.get(id)?.status !== 'verified') {
+        errors.push({
+          code: fundingSources.has(id) ? 'Invalid' : 'NotFound',
+          message: fundingSources.has(id) ? 'Funding source not verified.' : 'Funding source not found.',
+          path
+        });
+      }
+    }
+    if (errors.length > 0) {
+      return validationError(res, errors);
+    }
+
+    const id = crypto.randomUUID();
+    const transfer = {
+      id, sourceHref, destinationHref, amount, correlationId, metadata,
+      status: 'pending',
+      failure: null,
+      created: new Date().toISOString()
+    };
+    transfers.set(id, transfer);
+
+    const customerFundingSource = fundingSources.get(idFromHref(sourceHref, 'funding-sources')) ||
+      fundingSources.get(idFromHref(destinationHref, 'funding-sources'));
+    const sandboxCode = customerFundingSource?.name.match(/\bR\d{2}\b/)?.[0];
+    later(() => fireWebhook('customer_transfer_created', href('transfers', id), customerFundingSource?.customerId), 0);
+    if (config.transferOutcome !== 'pending') {
+      later(() => settleTransfer(id, sandboxCode ? 'failed' : config.transferOutcome, sandboxCode), config.settleDelayMs);
+    }
+
+    created(res, href('transfers', id));
+  });
+
+  app.get('/transfers/:id', (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer) {
+      return dwollaError(res, 404, 'NotFound', 'Transfer not found.');
+    }
+    hal(res, 200, transferBody(transfer));
+  });
+
+  app.post('/transfers/:id', (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer) {
+      return dwollaError(res, 404, 'NotFound', 'Transfer not found.');
+    }
+    if (req.body?.status !== 'cancelled') {
+      return validationError(res, [{ code: 'Invalid', message: 'Status invalid.', path: '/status' }]);
+    }
+    if (transfer.status !== 'pending') {
+      return dwollaError(res, 400, 'InvalidResourceState', 'Resource cannot be modified.');
+    }
+
+    transfer.status = 'cancelled';
+    const fundingSource = fundingSources.get(idFromHref(transfer.sourceHref, 'funding-sources')) ||
+      fundingSources.get(idFromHref(transfer.destinationHref, 'funding-sources'));
+    later(() => fireWebhook('customer_transfer_cancelled', href('transfers', transfer.id), fundingSource?.customerId), 0);
+    hal(res, 200, transferBody(transfer));
+  });
+
+  app.get('/transfers/:id/failure', (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer?.failure) {
+      return dwollaError(res, 404, 'NotFound', 'Failure not found.');
+    }
+    hal(res, 200, { _links: { self: { href: `${href('transfers', transfer.id)}/failure` } }, ...transfer.failure });
+  });
+
+  app.get('/customers/:id/transfers', (req, res) => {
+    const customerFundingHrefs = [...fundingSources.values()]
+      .filter(fundingSource => fundingSource.customerId === req.params.id)
+      .map(fundingSource => href('funding-sources', fundingSource.id));
+    const items = [...transfers.values()]
+      .filter(transfer => customerFundingHrefs.includes(transfer.sourceHref) || customerFundingHrefs.includes(transfer.destinationHref))
+      .filter(transfer => !req.query.correlationId || transfer.correlationId === req.query.correlationId)
+      .reverse()
+      .map(transferBody);
+    hal(res, 200, collection(req, `/customers/${req.params.id}/transfers`, 'transfers', items));
+  });
+
+  app.get('/events/:id', (req, res) => {
+    const event = events.get(req.params.id);
+    if (!event) {
+      return dwollaError(res, 404, 'NotFound', 'Event not found.');
+    }
+    hal(res, 200, event);
+  });
+
+  app.use((req, res) => dwollaError(res, 404, 'NotFound', `The requested resource was not found: ${req.method} ${req.path}`));
+
+  return { app, requests, webhooks, customers, fundingSources, transfers, settleTransfer };
+}
+
+if (require.main === module) {
+  const arg = name => process.argv.slice(2).find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
+  const port = Number(arg('port') || 4020);
+  const { app } = createFakeDwollaServer({
+    webhookUrl: arg('webhook-url') || 'http://localhost:3000/dwolla/webhook',
+    webhookSecret: arg('webhook-secret') || process.env.DWOLLA_WEBHOOK_SECRET,
+    transferOutcome: arg('transfer-outcome') || 'completed',
+    returnCode: arg('return-code') || 'R01',
+    settleDelayMs: Number(arg('settle-delay-ms') ?? 1000)
+  });
+  app.listen(port, () => console.log(`🧪 Fake Dwolla API listening on http://localhost:${port}`));
+}
+
+module.exports = { createFakeDwollaServer };
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Mock GoHighLevel API for local development and tests
+ * Implements the contact endpoints the GHL connector uses, keeps contacts in
+ * memory and records every request. Can fail the first N requests to
+ * exercise retries.
+ *
+ * Usage:
+ *   node scripts/mock-ghl-server.js [--port=4010] [--fail-first=2] [--fail-status=429]
+ *   GHL_API_BASE=http://localhost:4010 GHL_API_TOKEN=test npm run dev
+ *
+ * Inspect:
+ *   GET    /_mock/requests   - every request received
+ *   GET    /contacts/:id     - a contact's custom fields, tags and notes
+ *   DELETE /_mock/requests   - reset requests and contacts
+ */
+const express = require('express');
+
+/**
+ * Create the mock server app. failFirst requests are answered with failStatus.
+ */
+function createMockGhlServer({ failFirst = 0, failStatus = 503 } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  const requests = [];
+  const contacts = new Map();
+  let failuresLeft = failFirst;
+
+  function contact(id) {
+    if (!contacts.has(id)) {
+      contacts.set(id, { id, customFields: {}, tags: [], notes: [] });
+    }
+    return contacts.get(id);
+  }
+
+  app.get('/_mock/requests', (_req, res) => res.json({ requests }));
+  app.delete('/_mock/requests', (_req, res) => {
+    requests.length = 0;
+    contacts.clear();
+    failuresLeft = failFirst;
+    res.status(204).end();
+  });
+
+  app.use((req, res, next) => {
+    requests.push({ method: req.method, path: req.path, body: req.body, at: new Date().toISOString() });
+
+    if (!req.get('authorization')?.startsWith('Bearer ') || !req.get('version')) {
+      return res.status(401).json({ message: 'Missing Authorization or Version header' });
+    }
+    if (failuresLeft > 0) {
+      failuresLeft--;
+      if (failStatus === 429) {
+        res.set('Retry-After', '0');
+      }
+      return res.status(failStatus).json({ message: 'Mock failure' });
+    }
+    next();
+  });
+
+  app.get('/contacts/:id', (req, res) => res.json({ contact: contact(req.params.id) }));
+
+  app.put('/contacts/:id', (req, res) => {
+    const record = contact(req.params.id);
+    for (const field of req.body.customFields || []) {
+      record.customFields[field.id || field.key] = field.field_value;
+    }
+    res.json({ contact: record });
+  });
+
+  app.post('/contacts/:id/tags', (req, res) => {
+    const record = contact(req.params.id);
+    record.tags = [...new Set([...record.tags, ...(req.body.tags || [])])];
+    res.status(201).json({ tags: record.tags });
+  });
+
+  app.delete('/contacts/:id/tags', (req, res) => {
+    const record = contact(req.params.id);
+    record.tags = record.tags.filter(tag => !(req.body.tags || []).includes(tag));
+    res.json({ tags: record.tags });
+  });
+
+  app.post('/contacts/:id/notes', (req, res) => {
+    const note = { id: `note_${Date.now()}_${contact(req.params.id).notes.length}`, body: req.body.body };
+    contact(req.params.id).notes.push(note);
+    res.status(201).json({ note });
+  });
+
+  return { app, requests, contacts };
+}
+
+if (require.main === module) {
+  const arg = name => process.argv.slice(2).find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+  const port = Number(arg('port') || 4010);
+  const { app } = createMockGhlServer({
+    failFirst: Number(arg('fail-first') || 0),
+    failStatus: Number(arg('fail-status') || 503)
+  });
+  app.listen(port, () => console.log(`🧪 Mock GHL API listening on http://localhost:${port}`));
+}
+
+module.exports = { createMockGhlServer };
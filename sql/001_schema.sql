@@ -7,18 +7,6 @@ create table if not exists customers(
   status text default 'pending'
 );
 
-create table if not exists usage_ledger(
-  id serial primary key,
-  idempotency_key text unique not null,
-  crm_contact_id text not null,
-  units numeric not null,
-  occurred_at timestamptz not null,
-  invoice_id integer references invoices(id)
-);
-create index if not exists usage_idx on usage_ledger (crm_contact_id, occurred_at);
-create index if not exists usage_ledger_invoice_id_idx on usage_ledger(invoice_id);
-create index if not exists usage_ledger_unbilled_idx on usage_ledger(crm_contact_id, occurred_at) where invoice_id is null;
-
 create table if not exists invoices(
   id serial primary key,
   crm_contact_id text not null,
@@ -32,3 +20,15 @@ create table if not exists invoices(
 );
 create index if not exists invoices_transfer_href_idx on invoices (dwolla_transfer_href);
 create index if not exists invoices_crm_contact_idx on invoices (crm_contact_id, period_start, period_end);
+
+create table if not exists usage_ledger(
+  id serial primary key,
+  idempotency_key text unique not null,
+  crm_contact_id text not null,
+  units numeric not null,
+  occurred_at timestamptz not null,
+  invoice_id integer references invoices(id)
+);
+create index if not exists usage_idx on usage_ledger (crm_contact_id, occurred_at);
+create index if not exists usage_ledger_invoice_id_idx on usage_ledger(invoice_id);
+create index if not exists usage_ledger_unbilled_idx on usage_ledger(crm_contact_id, occurred_at) where invoice_id is null;
@@ -0,0 +1,49 @@
+-- Migration: Per-customer pricing plans
+-- Replaces the hard-coded per-unit price with plans stored in the database.
+--
+-- Plan models:
+--   flat       - every billable unit at unit_price_cents
+--   graduated  - each unit priced by the tier it falls into (like tax brackets)
+--   volume     - every billable unit priced by the tier the total falls into
+--
+-- included_units are free and deducted before tiers are applied.
+-- minimum_cents is the minimum charge per billing period.
+
+CREATE TABLE IF NOT EXISTS pricing_plans(
+  id serial PRIMARY KEY,
+  code text UNIQUE NOT NULL,
+  name text NOT NULL,
+  model text NOT NULL DEFAULT 'flat' CHECK (model IN ('flat', 'graduated', 'volume')),
+  unit_price_cents numeric,
+  included_units numeric NOT NULL DEFAULT 0,
+  minimum_cents int NOT NULL DEFAULT 0,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+-- Tiers for graduated/volume plans. up_to is inclusive; NULL means "and above".
+CREATE TABLE IF NOT EXISTS pricing_plan_tiers(
+  id serial PRIMARY KEY,
+  plan_id integer NOT NULL REFERENCES pricing_plans(id) ON DELETE CASCADE,
+  up_to numeric,
+  unit_price_cents numeric NOT NULL
+);
+CREATE UNIQUE INDEX IF NOT EXISTS pricing_plan_tiers_plan_up_to_idx ON pricing_plan_tiers(plan_id, up_to);
+
+-- Assign a plan per customer (NULL = default plan)
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS pricing_plan_id INTEGER REFERENCES pricing_plans(id);
+
+-- Record the plan and rate breakdown used on each invoice
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS pricing_plan_id INTEGER REFERENCES pricing_plans(id);
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS units numeric;
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS rate_breakdown jsonb;
+
+-- Default plan, matching the previous hard-coded price of $4.00/unit
+INSERT INTO pricing_plans(code, name, model, unit_price_cents)
+VALUES ('standard', 'Standard', 'flat', 400)
+ON CONFLICT (code) DO NOTHING;
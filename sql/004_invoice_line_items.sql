@@ -0,0 +1,16 @@
+-- Migration: Invoice line items
+-- One line per pricing component so each invoice amount can be explained.
+-- Discounts and credits are stored as negative amounts.
+
+CREATE TABLE IF NOT EXISTS invoice_line_items(
+  id serial PRIMARY KEY,
+  invoice_id integer NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  position integer NOT NULL DEFAULT 0,
+  line_type text NOT NULL CHECK (line_type IN ('usage', 'included', 'minimum_commitment', 'discount', 'credit', 'fee')),
+  description text NOT NULL,
+  units numeric,
+  unit_price_cents numeric,
+  amount_cents integer NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS invoice_line_items_invoice_id_idx ON invoice_line_items(invoice_id, position);
@@ -0,0 +1,25 @@
+-- Migration: Dunning workflow for failed ACH transfers
+-- Every Dwolla transfer made for an invoice is recorded as a payment attempt.
+-- Failed invoices are retried on a schedule (DUNNING_RETRY_DAYS) and the
+-- customer is suspended after the final failure.
+
+CREATE TABLE IF NOT EXISTS payment_attempts(
+  id serial PRIMARY KEY,
+  invoice_id integer NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  attempt_number integer NOT NULL,
+  dwolla_transfer_href text,
+  status text NOT NULL DEFAULT 'initiated' CHECK (status IN ('initiated', 'completed', 'failed')),
+  failure_code text,
+  failure_description text,
+  attempted_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (invoice_id, attempt_number)
+);
+CREATE INDEX IF NOT EXISTS payment_attempts_transfer_href_idx ON payment_attempts(dwolla_transfer_href);
+
+-- dunning_status: NULL (never failed), 'retrying', 'recovered', 'exhausted'
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS dunning_status text;
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS next_retry_at timestamptz;
+CREATE INDEX IF NOT EXISTS invoices_next_retry_idx ON invoices(next_retry_at) WHERE dunning_status = 'retrying';
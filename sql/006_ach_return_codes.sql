@@ -0,0 +1,15 @@
+-- Migration: ACH return codes
+-- Stores the Dwolla failure reason (e.g. R01 insufficient funds) on failed invoices
+-- and records funding sources deactivated after a permanent return.
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS return_code text;
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS return_description text;
+
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS deactivated_funding_href text;
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS funding_deactivated_at timestamptz;
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS funding_deactivated_reason text;
@@ -0,0 +1,10 @@
+-- Migration: Track Dwolla funding source state on customers
+-- Updated from customer_funding_source_* and customer_microdeposits_* webhooks.
+-- Values: verified, unverified, removed, microdeposits_added,
+--         microdeposits_completed, microdeposits_failed, microdeposits_maxattempts
+
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS funding_source_status text;
+
+CREATE INDEX IF NOT EXISTS customers_dwolla_customer_href_idx ON customers(dwolla_customer_href);
+CREATE INDEX IF NOT EXISTS customers_dwolla_funding_href_idx ON customers(dwolla_funding_href);
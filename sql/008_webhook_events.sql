@@ -0,0 +1,24 @@
+-- Migration: Persistent Dwolla webhook event store
+-- Every inbound event is stored by its Dwolla event id before processing so
+-- it is processed at most once and can be replayed if processing fails.
+--
+-- status: received, processing, processed, ignored (no handler for topic),
+--         failed (handler error, see error), rejected (invalid signature)
+
+CREATE TABLE IF NOT EXISTS webhook_events(
+  id serial PRIMARY KEY,
+  event_id text UNIQUE NOT NULL,
+  topic text,
+  resource_href text,
+  raw_body text NOT NULL,
+  signature_valid boolean NOT NULL,
+  status text NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processing', 'processed', 'ignored', 'failed', 'rejected')),
+  attempts integer NOT NULL DEFAULT 0,
+  error text,
+  received_at timestamptz NOT NULL DEFAULT now(),
+  processed_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS webhook_events_status_idx ON webhook_events(status, received_at);
+CREATE INDEX IF NOT EXISTS webhook_events_resource_href_idx ON webhook_events(resource_href);
@@ -0,0 +1,11 @@
+-- Migration: Crash-safe, idempotent invoice creation
+-- Invoices are committed as 'pending' with a deterministic billing key
+-- (customer + period) before the Dwolla transfer is created. The key is
+-- sent as the transfer's Idempotency-Key and correlationId, and the unique
+-- index stops a rerun from invoicing the same customer/period twice.
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS billing_key text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS invoices_billing_key_idx ON invoices(billing_key);
+CREATE INDEX IF NOT EXISTS invoices_pending_idx ON invoices(id) WHERE status = 'pending';
@@ -0,0 +1,22 @@
+-- Migration: Per-customer billing cycles
+-- billing_cycle: daily, weekly, biweekly or monthly
+-- billing_anchor_date: a date on which one of the customer's cycles starts
+--   weekly    - cycles start on the anchor's weekday (default Monday)
+--   biweekly  - cycles start every 14 days from the anchor (default 2024-01-01)
+--   monthly   - cycles start on the anchor's day of month, clamped to the
+--               last day of shorter months (default the 1st)
+--   daily     - ignored, cycles start at midnight
+-- Periods are computed in the TZ time zone.
+
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS billing_cycle text NOT NULL DEFAULT 'weekly';
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS billing_anchor_date date;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'customers_billing_cycle_check') THEN
+    ALTER TABLE customers
+    ADD CONSTRAINT customers_billing_cycle_check CHECK (billing_cycle IN ('daily', 'weekly', 'biweekly', 'monthly'));
+  END IF;
+END $$;
@@ -0,0 +1,24 @@
+-- Migration: Admin API
+-- Voided usage is never billed; adjusted usage keeps its original units.
+-- customers.created_at lets the admin API filter customers by date.
+
+ALTER TABLE usage_ledger
+ADD COLUMN IF NOT EXISTS voided_at timestamptz;
+ALTER TABLE usage_ledger
+ADD COLUMN IF NOT EXISTS void_reason text;
+ALTER TABLE usage_ledger
+ADD COLUMN IF NOT EXISTS original_units numeric;
+ALTER TABLE usage_ledger
+ADD COLUMN IF NOT EXISTS adjusted_at timestamptz;
+ALTER TABLE usage_ledger
+ADD COLUMN IF NOT EXISTS adjustment_reason text;
+
+-- Rebuild the unbilled index so it also skips voided usage
+DROP INDEX IF EXISTS usage_ledger_unbilled_idx;
+CREATE INDEX IF NOT EXISTS usage_ledger_unbilled_idx ON usage_ledger(crm_contact_id, occurred_at)
+WHERE invoice_id IS NULL AND voided_at IS NULL;
+
+ALTER TABLE customers
+ADD COLUMN IF NOT EXISTS created_at timestamptz NOT NULL DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS invoices_status_idx ON invoices(status, period_start);
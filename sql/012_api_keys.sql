@@ -0,0 +1,19 @@
+-- Migration: Role-based API keys
+-- Replaces the shared BILLING_AUTH_TOKEN and GHL_BEARER tokens.
+-- Keys are issued and revoked with manage-api-keys.js. Only a SHA-256 hash of
+-- each key is stored; key_prefix (its first characters) finds the candidate rows.
+-- scopes: usage:write, billing:run, admin:read, admin:write
+
+CREATE TABLE IF NOT EXISTS api_keys(
+  id serial PRIMARY KEY,
+  label text NOT NULL,
+  key_prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL,
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS api_keys_prefix_idx ON api_keys(key_prefix) WHERE revoked_at IS NULL;
@@ -0,0 +1,50 @@
+-- Migration: Customer balance ledger and refunds
+-- customer_ledger amounts are signed from the customer's side:
+--   credit   - positive, a credit note (goodwill, disputed usage, ...)
+--   debit    - negative, a manual charge
+--   applied  - the balance used on an invoice (negative for credits used,
+--              positive for debits added); always linked to the invoice
+-- The sum of a customer's entries is their balance. The billing job applies
+-- it to the next invoice, and skips the transfer if credits cover the total.
+
+CREATE TABLE IF NOT EXISTS customer_ledger(
+  id serial PRIMARY KEY,
+  crm_contact_id text NOT NULL REFERENCES customers(crm_contact_id),
+  entry_type text NOT NULL CHECK (entry_type IN ('credit', 'debit', 'applied')),
+  amount_cents integer NOT NULL CHECK (amount_cents <> 0),
+  description text NOT NULL,
+  invoice_id integer REFERENCES invoices(id),
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS customer_ledger_customer_idx ON customer_ledger(crm_contact_id, created_at);
+CREATE INDEX IF NOT EXISTS customer_ledger_invoice_idx ON customer_ledger(invoice_id);
+
+-- Balance taken off the invoice: positive for credits, negative for debits
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS balance_applied_cents integer NOT NULL DEFAULT 0;
+
+-- Debits added to an invoice get their own line type
+ALTER TABLE invoice_line_items DROP CONSTRAINT IF EXISTS invoice_line_items_line_type_check;
+ALTER TABLE invoice_line_items
+ADD CONSTRAINT invoice_line_items_line_type_check
+CHECK (line_type IN ('usage', 'included', 'minimum_commitment', 'discount', 'credit', 'adjustment', 'fee'));
+
+-- Refunds are reverse transfers (our account → the customer's bank) for a paid invoice
+CREATE TABLE IF NOT EXISTS refunds(
+  id serial PRIMARY KEY,
+  invoice_id integer NOT NULL REFERENCES invoices(id),
+  crm_contact_id text NOT NULL,
+  amount_cents integer NOT NULL CHECK (amount_cents > 0),
+  reason text NOT NULL,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'initiated', 'completed', 'failed', 'cancelled')),
+  idempotency_key text NOT NULL UNIQUE,
+  dwolla_transfer_href text,
+  error text,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS refunds_invoice_idx ON refunds(invoice_id);
+CREATE INDEX IF NOT EXISTS refunds_transfer_href_idx ON refunds(dwolla_transfer_href);
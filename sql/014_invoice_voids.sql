@@ -0,0 +1,19 @@
+-- Migration: Voiding invoices
+-- A voided invoice is never collected: its transfer is cancelled in Dwolla
+-- (while still cancellable), its usage is either released for re-billing or
+-- written off, and any balance applied to it is given back to the customer.
+
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS voided_at timestamptz;
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS voided_by text;
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS void_reason text;
+-- 'rebill' lets the billing job invoice the voided period again
+ALTER TABLE invoices
+ADD COLUMN IF NOT EXISTS void_usage text CHECK (void_usage IN ('rebill', 'write_off'));
+
+-- The attempt whose transfer was cancelled by the void
+ALTER TABLE payment_attempts DROP CONSTRAINT IF EXISTS payment_attempts_status_check;
+ALTER TABLE payment_attempts
+ADD CONSTRAINT payment_attempts_status_check CHECK (status IN ('initiated', 'completed', 'failed', 'cancelled'));
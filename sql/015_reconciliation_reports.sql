@@ -0,0 +1,17 @@
+-- Migration: Transfer status reconciliation reports
+-- Each run of the reconciliation job GETs the Dwolla transfer of every
+-- initiated invoice, syncs invoices whose webhook was missed and flags
+-- transfers stuck for more than RECONCILE_STUCK_BUSINESS_DAYS.
+
+CREATE TABLE IF NOT EXISTS reconciliation_reports(
+  id serial PRIMARY KEY,
+  started_at timestamptz NOT NULL,
+  finished_at timestamptz NOT NULL DEFAULT now(),
+  checked integer NOT NULL,
+  in_sync integer NOT NULL,
+  synced integer NOT NULL,
+  stuck integer NOT NULL,
+  failed integer NOT NULL,
+  report jsonb NOT NULL
+);
+CREATE INDEX IF NOT EXISTS reconciliation_reports_started_idx ON reconciliation_reports(started_at DESC);
@@ -0,0 +1,21 @@
+-- Migration: Billing runs
+-- The in-process scheduler records every billing run it starts. run_at is
+-- the moment the run billed up to: the next scheduled run catches up on every
+-- period that closed after the last completed run's run_at.
+
+CREATE TABLE IF NOT EXISTS billing_runs(
+  id serial PRIMARY KEY,
+  trigger text NOT NULL,
+  mode text NOT NULL DEFAULT 'cycles',
+  run_at timestamptz NOT NULL,
+  since timestamptz,
+  status text NOT NULL DEFAULT 'running',
+  started_at timestamptz NOT NULL DEFAULT now(),
+  finished_at timestamptz,
+  periods jsonb,
+  results jsonb,
+  errors jsonb,
+  error text,
+  CONSTRAINT billing_runs_status_check CHECK (status IN ('running', 'completed', 'failed'))
+);
+CREATE INDEX IF NOT EXISTS billing_runs_run_at_idx ON billing_runs(run_at DESC);
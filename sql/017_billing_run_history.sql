@@ -0,0 +1,28 @@
+-- Migration: Billing run history
+-- Every billing run (API, scheduler or retry) is recorded in billing_runs,
+-- with each customer's outcome in billing_run_customers. A retry bills the
+-- failed customers of an earlier run again and points back to it.
+
+ALTER TABLE billing_runs
+ADD COLUMN IF NOT EXISTS triggered_by text,
+ADD COLUMN IF NOT EXISTS retry_of integer REFERENCES billing_runs(id);
+
+CREATE INDEX IF NOT EXISTS billing_runs_started_idx ON billing_runs(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS billing_run_customers(
+  id serial PRIMARY KEY,
+  run_id integer NOT NULL REFERENCES billing_runs(id) ON DELETE CASCADE,
+  crm_contact_id text NOT NULL,
+  period_start timestamptz NOT NULL,
+  period_end timestamptz NOT NULL,
+  outcome text NOT NULL,
+  -- Not a foreign key: an invoice Dwolla rejected is deleted when it is released
+  invoice_id integer,
+  amount_cents integer,
+  transfer_href text,
+  error text,
+  CONSTRAINT billing_run_customers_outcome_check
+    CHECK (outcome IN ('billed', 'credited', 'skipped', 'already_invoiced', 'failed'))
+);
+CREATE INDEX IF NOT EXISTS billing_run_customers_run_idx ON billing_run_customers(run_id);
+CREATE INDEX IF NOT EXISTS billing_run_customers_contact_idx ON billing_run_customers(crm_contact_id);
@@ -0,0 +1,25 @@
+-- Migration: Customer email notifications
+-- One row per email (invoice receipt, payment receipt, payment-failed
+-- notice). dedupe_key makes each notification send once; a failed send, or
+-- one left 'sending' by a crash, is retried the next time the same event is
+-- handled.
+
+CREATE TABLE IF NOT EXISTS notifications(
+  id serial PRIMARY KEY,
+  kind text NOT NULL,
+  dedupe_key text NOT NULL UNIQUE,
+  crm_contact_id text NOT NULL,
+  invoice_id integer REFERENCES invoices(id) ON DELETE SET NULL,
+  recipient text,
+  subject text,
+  transport text NOT NULL,
+  status text NOT NULL DEFAULT 'sending',
+  error text,
+  message_id text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  sent_at timestamptz,
+  CONSTRAINT notifications_kind_check CHECK (kind IN ('invoice_created', 'payment_received', 'payment_failed')),
+  CONSTRAINT notifications_status_check CHECK (status IN ('sending', 'sent', 'failed', 'skipped'))
+);
+CREATE INDEX IF NOT EXISTS notifications_invoice_idx ON notifications(invoice_id);
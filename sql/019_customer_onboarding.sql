@@ -0,0 +1,26 @@
+-- Migration: Server-side customer onboarding
+-- One row per customer and onboarding step:
+--   create_customer         - Dwolla customer created from the CRM contact
+--   attach_funding_source   - bank account added to the Dwolla customer
+--   initiate_micro_deposits - two micro-deposits sent to the bank account
+--   verify_micro_deposits   - the customer's amounts accepted by Dwolla
+--   activate                - customer set to active and billable
+-- detail holds what the step produced (hrefs, bank name, last 4 digits);
+-- full account numbers are never stored.
+
+CREATE TABLE IF NOT EXISTS customer_onboarding_steps(
+  crm_contact_id text NOT NULL REFERENCES customers(crm_contact_id),
+  step text NOT NULL,
+  status text NOT NULL,
+  detail jsonb,
+  error text,
+  attempts integer NOT NULL DEFAULT 0,
+  started_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  completed_at timestamptz,
+  PRIMARY KEY (crm_contact_id, step),
+  CONSTRAINT customer_onboarding_steps_step_check CHECK (step IN (
+    'create_customer', 'attach_funding_source', 'initiate_micro_deposits', 'verify_micro_deposits', 'activate'
+  )),
+  CONSTRAINT customer_onboarding_steps_status_check CHECK (status IN ('in_progress', 'completed', 'failed'))
+);
@@ -0,0 +1,17 @@
+-- Migration: Hosted bank-link pages
+-- A bank link is a one-off URL sent to a customer (e.g. by a GHL workflow)
+-- where they link their bank through Dwolla Instant Account Verification.
+-- Only a SHA-256 hash of the link token is stored.
+
+CREATE TABLE IF NOT EXISTS bank_links(
+  id serial PRIMARY KEY,
+  crm_contact_id text NOT NULL REFERENCES customers(crm_contact_id),
+  token_hash text NOT NULL UNIQUE,
+  expires_at timestamptz NOT NULL,
+  created_by text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  opened_at timestamptz,
+  completed_at timestamptz,
+  funding_href text
+);
+CREATE INDEX IF NOT EXISTS bank_links_customer_idx ON bank_links(crm_contact_id, created_at);
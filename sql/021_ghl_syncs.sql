@@ -0,0 +1,23 @@
+-- Migration: Queued GoHighLevel invoice syncs
+-- Billing and the Dwolla webhook queue one row per invoice event instead of
+-- calling GHL inline; a background worker pushes them to GHL and retries
+-- failed ones with backoff. dedupe_key makes each event queue once.
+
+CREATE TABLE IF NOT EXISTS ghl_syncs(
+  id serial PRIMARY KEY,
+  dedupe_key text NOT NULL UNIQUE,
+  invoice_id integer NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+  crm_contact_id text NOT NULL,
+  event text NOT NULL,
+  failure_description text,
+  status text NOT NULL DEFAULT 'pending',
+  attempts integer NOT NULL DEFAULT 0,
+  error text,
+  next_attempt_at timestamptz NOT NULL DEFAULT now(),
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  sent_at timestamptz,
+  CONSTRAINT ghl_syncs_event_check CHECK (event IN ('created', 'completed', 'failed', 'cancelled', 'reclaimed')),
+  CONSTRAINT ghl_syncs_status_check CHECK (status IN ('pending', 'sending', 'sent', 'failed'))
+);
+CREATE INDEX IF NOT EXISTS ghl_syncs_due_idx ON ghl_syncs(next_attempt_at) WHERE status = 'pending';
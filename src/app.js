@@ -0,0 +1,178 @@
+/**
+ * Express App
+ * Builds the app with every route around a database pool. server.js starts
+ * it; tests import it without listening.
+ */
+const express = require('express');
+
+// Logging
+const log = require('./utils/logger');
+
+// Dwolla API
+const { dwollaPost, dwollaGet } = require('./dwolla/client');
+
+// Webhook handlers
+const { createGhlUsageHandler } = require('./webhooks/ghl-usage');
+const { createDwollaWebhookHandler } = require('./webhooks/dwolla-webhook');
+const createDwollaEventHandlers = require('./webhooks/dwolla-events');
+
+// Routes
+const { createScopeAuth } = require('./utils/auth');
+const {
+  createBillingRunHandler,
+  createBacklogHandler,
+  createBillingRunListHandler,
+  createBillingRunDetailHandler,
+  createBillingRunRetryHandler
+} = require('./routes/billing');
+const {
+  createInvoiceListHandler,
+  createInvoiceDetailHandler,
+  createInvoicePdfHandler,
+  createInvoiceVoidHandler
+} = require('./routes/invoices');
+const { createDunningRunHandler, createDunningStateHandler } = require('./routes/dunning');
+const { createWebhookEventListHandler, createWebhookEventReplayHandler } = require('./routes/webhook-events');
+const {
+  createCustomerListHandler,
+  createCustomerDetailHandler,
+  createCustomerCreateHandler,
+  createCustomerUpdateHandler,
+  createCustomerSuspendHandler,
+  createCustomerUsageHandler
+} = require('./routes/customers');
+const { createUsageVoidHandler, createUsageAdjustHandler } = require('./routes/usage');
+const {
+  createLedgerListHandler,
+  createLedgerEntryHandler,
+  createRefundHandler,
+  createRefundSendHandler
+} = require('./routes/ledger');
+const {
+  createReconciliationRunHandler,
+  createReconciliationReportListHandler,
+  createReconciliationReportHandler
+} = require('./routes/reconciliation');
+const {
+  createOnboardingStateHandler,
+  createOnboardingCustomerHandler,
+  createOnboardingFundingSourceHandler,
+  createOnboardingMicroDepositsHandler,
+  createOnboardingVerifyHandler
+} = require('./routes/onboarding');
+const {
+  createBankLinkCreateHandler,
+  createBankLinkPageHandler,
+  createBankLinkIavTokenHandler,
+  createBankLinkCompleteHandler
+} = require('./routes/bank-links');
+
+/**
+ * Create the app. zone is the billing time zone.
+ */
+function createApp(db, { zone }) {
+  const app = express();
+
+  // Apply raw body parser for Dwolla webhook (must be before JSON parser)
+  app.use('/dwolla/webhook', express.raw({ type: '*/*' }));
+
+  // Apply JSON parser for all other routes
+  app.use(express.json());
+
+  // API keys are scoped: usage:write, billing:run, admin:read, admin:write
+  const requireScope = createScopeAuth(db);
+
+  // --- 1) GoHighLevel Usage Webhook ---
+  app.post('/ghl/usage', requireScope('usage:write'), createGhlUsageHandler(db));
+
+  // --- 2) Billing job ---
+  // Bills every customer whose billing cycle has closed; /bill/week is kept for existing cron jobs
+  app.post('/bill/run', requireScope('billing:run'), createBillingRunHandler(db, { dwollaPost, dwollaGet }, { zone }));
+  app.post('/bill/week', requireScope('billing:run'),
+    createBillingRunHandler(db, { dwollaPost, dwollaGet }, { zone, weekAlias: true }));
+  app.post('/bill/preview', requireScope('admin:read'), createBillingRunHandler(db, null, { zone, preview: true }));
+  app.get('/bill/backlog', requireScope('admin:read'), createBacklogHandler(db, { zone }));
+  app.get('/bill/runs', requireScope('admin:read'), createBillingRunListHandler(db, { zone }));
+  app.get('/bill/runs/:id', requireScope('admin:read'), createBillingRunDetailHandler(db));
+  app.post('/bill/runs/:id/retry', requireScope('billing:run'),
+    createBillingRunRetryHandler(db, { dwollaPost, dwollaGet }, { zone }));
+
+  // --- 3) Dwolla Webhook ---
+  app.post('/dwolla/webhook', createDwollaWebhookHandler(db, { dwollaGet }, { zone }));
+
+  // --- 4) Invoices ---
+  app.get('/invoices', requireScope('admin:read'), createInvoiceListHandler(db, { zone }));
+  app.get('/invoices/:id', requireScope('admin:read'), createInvoiceDetailHandler(db));
+  app.get('/invoices/:id/pdf', requireScope('admin:read'), createInvoicePdfHandler(db, { zone }));
+  app.post('/invoices/:id/void', requireScope('admin:write'), createInvoiceVoidHandler(db, { dwollaGet, dwollaPost }));
+
+  // --- 5) Dunning ---
+  app.post('/dunning/run', requireScope('billing:run'), createDunningRunHandler(db, { dwollaPost }));
+  app.get('/invoices/:id/dunning', requireScope('admin:read'), createDunningStateHandler(db));
+
+  // --- 6) Webhook event store ---
+  app.get('/webhooks/events', requireScope('admin:read'), createWebhookEventListHandler(db));
+  app.post('/webhooks/events/replay', requireScope('admin:write'),
+    createWebhookEventReplayHandler(db, createDwollaEventHandlers(db, { dwollaGet }, { zone })));
+
+  // --- 7) Admin API: customers and usage ---
+  app.get('/customers', requireScope('admin:read'), createCustomerListHandler(db, { zone }));
+  app.post('/customers', requireScope('admin:write'), createCustomerCreateHandler(db));
+  app.get('/customers/:id', requireScope('admin:read'), createCustomerDetailHandler(db));
+  app.patch('/customers/:id', requireScope('admin:write'), createCustomerUpdateHandler(db));
+  app.post('/customers/:id/suspend', requireScope('admin:write'), createCustomerSuspendHandler(db));
+  app.get('/customers/:id/usage', requireScope('admin:read'), createCustomerUsageHandler(db, { zone }));
+  app.post('/usage/:id/void', requireScope('admin:write'), createUsageVoidHandler(db));
+  app.patch('/usage/:id', requireScope('admin:write'), createUsageAdjustHandler(db));
+
+  // --- 8) Credits, debits and refunds ---
+  app.get('/customers/:id/ledger', requireScope('admin:read'), createLedgerListHandler(db));
+  app.post('/customers/:id/ledger', requireScope('admin:write'), createLedgerEntryHandler(db));
+  app.post('/invoices/:id/refunds', requireScope('admin:write'), createRefundHandler(db, { dwollaPost }));
+  app.post('/refunds/:id/send', requireScope('admin:write'), createRefundSendHandler(db, { dwollaPost }));
+
+  // --- 9) Transfer status reconciliation ---
+  // Catches invoices whose webhook was missed; the built-in scheduler runs it daily
+  app.post('/reconciliation/run', requireScope('billing:run'),
+    createReconciliationRunHandler(db, { dwollaGet }, createDwollaEventHandlers(db, { dwollaGet }, { zone }), { zone }));
+  app.get('/reconciliation/reports', requireScope('admin:read'), createReconciliationReportListHandler(db));
+  app.get('/reconciliation/reports/:id', requireScope('admin:read'), createReconciliationReportHandler(db));
+
+  // --- 10) Customer onboarding ---
+  // Dwolla customer → bank account → micro-deposits → verification → active
+  app.get('/customers/:id/onboarding', requireScope('admin:read'), createOnboardingStateHandler(db));
+  app.post('/customers/:id/onboarding/dwolla-customer', requireScope('admin:write'),
+    createOnboardingCustomerHandler(db, { dwollaPost }));
+  app.post('/customers/:id/onboarding/funding-source', requireScope('admin:write'),
+    createOnboardingFundingSourceHandler(db, { dwollaPost, dwollaGet }));
+  app.post('/customers/:id/onboarding/micro-deposits', requireScope('admin:write'),
+    createOnboardingMicroDepositsHandler(db, { dwollaPost, dwollaGet }));
+  app.post('/customers/:id/onboarding/micro-deposits/verify', requireScope('admin:write'),
+    createOnboardingVerifyHandler(db, { dwollaPost }));
+
+  // --- 11) Hosted bank-link page ---
+  // The page and its endpoints are public: the link token in the URL authorizes them
+  app.post('/customers/:id/bank-link', requireScope('admin:write'), createBankLinkCreateHandler(db, { dwollaPost }));
+  app.get('/bank-link/:token', createBankLinkPageHandler(db));
+  app.post('/bank-link/:token/iav-token', createBankLinkIavTokenHandler(db, { dwollaPost }));
+  app.post('/bank-link/:token/complete', createBankLinkCompleteHandler(db, { dwollaGet }));
+
+  // Health check
+  app.get('/', (_req, res) => {
+    res.json({ 
+      status: 'ok', 
+      timestamp: new Date().toISOString(),
+      environment: process.env.DWOLLA_BASE?.includes('sandbox') ? 'sandbox' : 'production'
+    });
+  });
+
+  // Error handling
+  app.use((err, req, res, next) => {
+    log.error('Unhandled error', { error: err.message, stack: err.stack });
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+}
+
+module.exports = { createApp };
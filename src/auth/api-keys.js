@@ -0,0 +1,102 @@
+/**
+ * API Keys
+ * Issues, revokes and verifies scoped API keys. Only a SHA-256 hash of
+ * each key is stored; keys are shown once, when they are issued.
+ */
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['usage:write', 'billing:run', 'admin:read', 'admin:write'];
+
+const KEY_PREFIX = 'dbk_';
+const PREFIX_LENGTH = 12;
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Generate a new random key, e.g. dbk_Wq3v...
+ */
+function generateApiKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Store a key and return its record along with the plaintext key.
+ * Pass `key` to register an existing secret (e.g. the GHL bearer token
+ * already configured in GoHighLevel) instead of generating one.
+ */
+async function issueApiKey(db, { label, scopes, expiresAt = null, key = generateApiKey() }) {
+  const { rows } = await db.query(
+    `INSERT INTO api_keys(label, key_prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id, label, key_prefix, scopes, expires_at, created_at`,
+    [label, key.slice(0, PREFIX_LENGTH), hashApiKey(key), scopes, expiresAt]
+  );
+  return { ...rows[0], key };
+}
+
+/**
+ * Revoke a key. Returns the revoked record, or null if there is no
+ * unrevoked key with that id.
+ */
+async function revokeApiKey(db, id) {
+  const { rows } = await db.query(
+    `UPDATE api_keys SET revoked_at = now()
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING id, label, key_prefix, scopes, revoked_at`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * List every key (without hashes), newest first
+ */
+async function listApiKeys(db) {
+  const { rows } = await db.query(
+    `SELECT id, label, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+     FROM api_keys
+     ORDER BY created_at DESC, id DESC`
+  );
+  return rows;
+}
+
+/**
+ * Look up a presented key. Candidates are found by prefix and the hashes
+ * are compared in constant time. Returns { id, label, scopes } for a valid,
+ * unrevoked, unexpired key (and records its use) or null.
+ */
+async function verifyApiKey(db, key) {
+  if (!key) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT id, label, key_hash, scopes
+     FROM api_keys
+     WHERE key_prefix = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > now())`,
+    [key.slice(0, PREFIX_LENGTH)]
+  );
+
+  const presentedHash = Buffer.from(hashApiKey(key), 'hex');
+  const match = rows.find(row =>
+    crypto.timingSafeEqual(Buffer.from(row.key_hash, 'hex'), presentedHash)
+  );
+  if (!match) {
+    return null;
+  }
+
+  await db.query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [match.id]);
+  return { id: match.id, label: match.label, scopes: match.scopes };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  issueApiKey,
+  revokeApiKey,
+  listApiKeys,
+  verifyApiKey
+};
@@ -0,0 +1,54 @@
+/**
+ * Unbilled Backlog
+ * Finds unbilled usage older than each customer's current billing period,
+ * e.g. late-arriving GHL events or usage from before a customer was funded
+ */
+const { lastClosedPeriod } = require('./cycles');
+
+/**
+ * Report unbilled usage that a normal cycle run will never pick up again.
+ * Returns one row per customer with the usage count, units and date range,
+ * plus why the customer is not being billed (if they are not billable).
+ */
+async function findUnbilledBacklog(db, { now }) {
+  const { rows: customers } = await db.query(
+    `SELECT c.crm_contact_id, c.billing_cycle, c.billing_anchor_date::text AS billing_anchor_date
+     FROM customers c
+     WHERE EXISTS (
+       SELECT 1 FROM usage_ledger u
+       WHERE u.crm_contact_id = c.crm_contact_id AND u.invoice_id IS NULL
+         AND u.voided_at IS NULL
+     )`
+  );
+  if (customers.length === 0) {
+    return [];
+  }
+
+  const cutoffs = customers.map(customer =>
+    lastClosedPeriod(customer.billing_cycle, customer.billing_anchor_date, now).start.toISO()
+  );
+
+  const { rows } = await db.query(
+    `SELECT u.crm_contact_id, c.name, c.status, c.dwolla_funding_href IS NOT NULL AS has_funding_source,
+            p.cutoff AS current_period_start,
+            COUNT(*)::int AS usage_count, SUM(u.units) AS units,
+            MIN(u.occurred_at) AS oldest_occurred_at, MAX(u.occurred_at) AS newest_occurred_at
+     FROM usage_ledger u
+     JOIN unnest($1::text[], $2::timestamptz[]) AS p(crm_contact_id, cutoff) USING (crm_contact_id)
+     JOIN customers c USING (crm_contact_id)
+     WHERE u.invoice_id IS NULL AND u.voided_at IS NULL AND u.occurred_at < p.cutoff
+     GROUP BY u.crm_contact_id, c.name, c.status, c.dwolla_funding_href, p.cutoff
+     ORDER BY MIN(u.occurred_at)`,
+    [customers.map(customer => customer.crm_contact_id), cutoffs]
+  );
+
+  return rows.map(row => ({
+    ...row,
+    units: Number(row.units),
+    blocked_by: row.status !== 'active'
+      ? `customer status is ${row.status}`
+      : (row.has_funding_source ? null : 'no funding source')
+  }));
+}
+
+module.exports = { findUnbilledBacklog };
@@ -0,0 +1,464 @@
+/**
+ * Billing Job
+ * Invoices every active customer's unbilled usage for a period and collects
+ * it with a Dwolla transfer
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { DEFAULT_PRICING_PLAN_CODE, loadPricingPlans, calculateCharge } = require('./pricing');
+const { insertLineItems } = require('./invoices');
+const { createBillingKey, sendInvoiceTransfer } = require('./transfers');
+const { lastClosedPeriod, closedPeriodsSince } = require('./cycles');
+const { balanceToApply, lockBalance, recordBalanceApplied, balanceComponent } = require('./ledger');
+const { notifyInvoiceCreated } = require('../notifications/notifier');
+const { queueInvoiceSync } = require('../ghl/sync');
+
+/**
+ * Phase 1: commit a pending invoice, its line items and the usage it bills.
+ * The customer's balance is applied to the charge; an invoice fully covered
+ * by credit is committed as 'credited' and needs no transfer.
+ * Returns null if the customer already has an invoice for the period.
+ */
+async function createPendingInvoice(db, customer, plan, charge, { start, end, billingKey }) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const balanceCents = await lockBalance(client, customer.crm_contact_id);
+    const appliedCents = balanceToApply(balanceCents, charge.amountCents);
+    const amountCents = charge.amountCents - appliedCents;
+
+    const invoiceResult = await client.query(
+      `INSERT INTO invoices(crm_contact_id, period_start, period_end, amount_cents, balance_applied_cents, status,
+                            billing_key, pricing_plan_id, units, rate_breakdown)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (billing_key) DO NOTHING
+       RETURNING id, crm_contact_id, amount_cents, balance_applied_cents, status, period_start, period_end, billing_key`,
+      [customer.crm_contact_id, start.toISO(), end.toISO(), amountCents, appliedCents,
+        amountCents > 0 ? 'pending' : 'credited', billingKey,
+        plan.id, Number(customer.units), JSON.stringify(charge.breakdown)]
+    );
+
+    if (invoiceResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const invoice = invoiceResult.rows[0];
+
+    const components = [...charge.breakdown.components, balanceComponent(appliedCents)].filter(Boolean);
+    await insertLineItems(client, invoice.id, components);
+    await recordBalanceApplied(client, { crmContactId: customer.crm_contact_id, invoiceId: invoice.id, appliedCents });
+
+    // Mark usage records as billed by linking them to the invoice
+    await client.query(
+      `UPDATE usage_ledger
+       SET invoice_id = $1
+       WHERE crm_contact_id = $2
+         AND occurred_at >= $3 AND occurred_at < $4
+         AND invoice_id IS NULL
+         AND voided_at IS NULL`,
+      [invoice.id, customer.crm_contact_id, start.toISO(), end.toISO()]
+    );
+
+    await client.query('COMMIT');
+    return { ...invoice, dwolla_funding_href: customer.dwolla_funding_href };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Customers with unbilled usage in the period who will not be billed
+ * because they are not active or have no funding source
+ */
+async function findIneligibleCustomers(db, { start, end, crmContactIds }) {
+  const { rows } = await db.query(`
+    WITH usage_totals AS (
+      SELECT crm_contact_id, SUM(units) AS units
+      FROM usage_ledger
+      WHERE ($1::timestamptz IS NULL OR occurred_at >= $1) AND occurred_at < $2
+        AND invoice_id IS NULL AND voided_at IS NULL
+      GROUP BY crm_contact_id
+    )
+    SELECT c.crm_contact_id, c.name, c.status, c.dwolla_funding_href IS NOT NULL AS has_funding_source, u.units
+    FROM customers c
+    JOIN usage_totals u USING (crm_contact_id)
+    WHERE (c.status IS DISTINCT FROM 'active' OR c.dwolla_funding_href IS NULL)
+      AND ($3::text[] IS NULL OR c.crm_contact_id = ANY($3))
+    ORDER BY c.crm_contact_id
+  `, [start ? start.toISO() : null, end.toISO(), crmContactIds]);
+
+  return rows.map(row => ({
+    crm_contact_id: row.crm_contact_id,
+    name: row.name,
+    units: Number(row.units),
+    reason: row.status !== 'active' ? `customer status is ${row.status}` : 'no funding source'
+  }));
+}
+
+/**
+ * Bill every active customer with unbilled usage (or a minimum commitment)
+ * in [start, end), optionally limited to crmContactIds. Each customer is
+ * billed in two phases: a pending invoice is committed first, then the
+ * transfer is sent with an idempotency key.
+ *
+ * With start = null (a backfill) all unbilled usage before end is billed:
+ * each invoice's period starts at the customer's oldest unbilled usage and
+ * customers without usage are not charged their minimum.
+ *
+ * Each customer's ledger balance is applied to their charge: credits reduce
+ * it (an invoice fully covered by credit is 'credited' and no transfer is
+ * sent) and manual debits are added to it. Customers who owe a balance are
+ * billed even without usage, except in a backfill. When the period overlaps
+ * one of their invoices a customer without usage is skipped and late usage
+ * is priced without the minimum, so an explicit period inside an invoiced
+ * cycle never charges the minimum (or sweeps the balance) twice.
+ *
+ * An invoice voided with its usage released for rebilling does not block its
+ * period: the next run bills it again under a new billing key.
+ *
+ * With preview set nothing is written and Dwolla is not called: the results
+ * list the charge each customer would get (`charges`, counted as successful)
+ * and the customers skipped for status or funding (`skipped_customers`).
+ * Otherwise the results list each customer's outcome (`outcomes`: billed,
+ * credited, skipped, already_invoiced or failed) for the billing run history.
+ */
+async function runBillingJob(db, dwolla, { start, end, crmContactIds = null, preview = false }) {
+  const backfill = !start;
+  const { rows: customers } = await db.query(`
+    WITH usage_totals AS (
+      SELECT crm_contact_id, SUM(units) AS units, MIN(occurred_at) AS first_usage_at
+      FROM usage_ledger
+      WHERE ($1::timestamptz IS NULL OR occurred_at >= $1) AND occurred_at < $2
+        AND invoice_id IS NULL AND voided_at IS NULL
+      GROUP BY crm_contact_id
+    ),
+    balances AS (
+      SELECT crm_contact_id, SUM(amount_cents) AS balance_cents
+      FROM customer_ledger
+      GROUP BY crm_contact_id
+    )
+    SELECT c.crm_contact_id, c.name, c.email, c.dwolla_funding_href,
+           p.id AS pricing_plan_id, COALESCE(u.units, 0) AS units, u.first_usage_at,
+           COALESCE(b.balance_cents, 0) AS balance_cents,
+           EXISTS (
+             SELECT 1 FROM invoices i
+             WHERE i.crm_contact_id = c.crm_contact_id AND i.status != 'voided'
+               AND i.period_start < $2 AND i.period_end > COALESCE($1::timestamptz, u.first_usage_at)
+           ) AS overlaps_invoice,
+           (
+             SELECT COUNT(*) FROM invoices i
+             WHERE i.crm_contact_id = c.crm_contact_id AND i.status = 'voided'
+               AND i.period_start = COALESCE($1::timestamptz, u.first_usage_at) AND i.period_end = $2
+           ) AS voided_invoices
+    FROM customers c
+    LEFT JOIN usage_totals u USING (crm_contact_id)
+    LEFT JOIN balances b USING (crm_contact_id)
+    LEFT JOIN pricing_plans d ON d.code = $3 AND d.active
+    LEFT JOIN pricing_plans p ON p.id = COALESCE(c.pricing_plan_id, d.id)
+    WHERE c.status = 'active'
+      AND c.dwolla_funding_href IS NOT NULL
+      AND (COALESCE(u.units, 0) > 0 OR ((COALESCE(p.minimum_cents, 0) > 0 OR COALESCE(b.balance_cents, 0) < 0) AND NOT $5))
+      AND ($4::text[] IS NULL OR c.crm_contact_id = ANY($4))
+      AND NOT EXISTS (
+        SELECT 1 FROM invoices i
+        WHERE i.crm_contact_id = c.crm_contact_id
+          AND (
+            -- An invoice voided for rebilling gives the period back
+            (i.period_start = $1 AND i.period_end = $2 AND i.void_usage IS DISTINCT FROM 'rebill')
+            -- Without usage only the minimum or balance is charged: never for time already invoiced
+            OR (COALESCE(u.units, 0) = 0 AND i.status != 'voided' AND i.period_start < $2 AND i.period_end > $1)
+          )
+      )
+  `, [start ? start.toISO() : null, end.toISO(), DEFAULT_PRICING_PLAN_CODE, crmContactIds, backfill]);
+
+  log.info('Found customers to bill', { count: customers.length });
+
+  const pricingPlans = await loadPricingPlans(db);
+
+  const results = {
+    total: customers.length,
+    successful: 0,
+    failed: 0,
+    skipped: 0,
+    total_amount_cents: 0,
+    total_amount_dollars: 0,
+    errors: []
+  };
+  if (preview) {
+    results.charges = [];
+    results.skipped_customers = await findIneligibleCustomers(db, { start, end, crmContactIds });
+  } else {
+    results.outcomes = [];
+  }
+
+  for (const customer of customers) {
+    const periodStart = start || DateTime.fromJSDate(customer.first_usage_at).setZone(end.zone);
+    const recordOutcome = (outcome, details = {}) => results.outcomes?.push({
+      crm_contact_id: customer.crm_contact_id,
+      period_start: periodStart.toISO(),
+      period_end: end.toISO(),
+      outcome,
+      ...details
+    });
+
+    let plan;
+    let charge;
+    try {
+      plan = pricingPlans.get(customer.pricing_plan_id);
+      if (!plan) {
+        throw new Error(customer.pricing_plan_id
+          ? 'Pricing plan is not active'
+          : 'No pricing plan assigned and no active default plan found');
+      }
+      // The minimum was already charged on the invoice this period overlaps
+      charge = calculateCharge(plan, customer.units, { minimum: !customer.overlaps_invoice });
+    } catch (error) {
+      results.failed++;
+      results.errors.push({ crm_contact_id: customer.crm_contact_id, error: error.message });
+      recordOutcome('failed', { error: error.message });
+      log.error('Pricing failed', { crm_contact_id: customer.crm_contact_id, error: error.message });
+      continue;
+    }
+    const balanceCents = Number(customer.balance_cents);
+    if (charge.amountCents <= 0 && balanceCents >= 0) {
+      results.skipped++;
+      recordOutcome('skipped');
+      continue;
+    }
+    const appliedCents = balanceToApply(balanceCents, charge.amountCents);
+    const amountCents = charge.amountCents - appliedCents;
+
+    if (preview) {
+      results.successful++;
+      results.total_amount_cents += amountCents;
+      results.total_amount_dollars += amountCents / 100;
+      results.charges.push({
+        crm_contact_id: customer.crm_contact_id,
+        name: customer.name,
+        email: customer.email,
+        period_start: periodStart.toISO(),
+        period_end: end.toISO(),
+        pricing_plan: plan.code,
+        units: Number(customer.units),
+        charge_cents: charge.amountCents,
+        balance_applied_cents: appliedCents,
+        amount_cents: amountCents,
+        amount_dollars: (amountCents / 100).toFixed(2),
+        rate_breakdown: charge.breakdown
+      });
+      continue;
+    }
+
+    const billingKey = createBillingKey(customer.crm_contact_id, periodStart, end, Number(customer.voided_invoices));
+
+    let invoice = null;
+    try {
+      invoice = await createPendingInvoice(db, customer, plan, charge, { start: periodStart, end, billingKey });
+      if (!invoice) {
+        results.skipped++;
+        recordOutcome('already_invoiced');
+        log.warn('Customer already invoiced for period', { crm_contact_id: customer.crm_contact_id, billing_key: billingKey });
+        continue;
+      }
+
+      if (invoice.status === 'credited') {
+        results.successful++;
+        recordOutcome('credited', { invoice_id: invoice.id, amount_cents: 0 });
+        log.info('Invoice covered by credit, no transfer needed', {
+          crm_contact_id: customer.crm_contact_id,
+          invoice_id: invoice.id,
+          balance_applied_cents: invoice.balance_applied_cents
+        });
+        await notifyInvoiceCreated(db, invoice.id, { zone: end.zone });
+        await queueInvoiceSync(db, invoice.id, 'created');
+        continue;
+      }
+
+      const transferHref = await sendInvoiceTransfer(db, dwolla, invoice);
+
+      results.successful++;
+      results.total_amount_cents += invoice.amount_cents;
+      results.total_amount_dollars += invoice.amount_cents / 100;
+      recordOutcome('billed', { invoice_id: invoice.id, amount_cents: invoice.amount_cents, transfer_href: transferHref });
+
+      log.info('Billing successful', {
+        crm_contact_id: customer.crm_contact_id,
+        name: customer.name,
+        units: customer.units,
+        pricing_plan: plan.code,
+        invoice_id: invoice.id,
+        balance_applied_cents: invoice.balance_applied_cents,
+        amount_cents: invoice.amount_cents,
+        amount_dollars: (invoice.amount_cents / 100).toFixed(2),
+        transfer_href: transferHref
+      });
+      await notifyInvoiceCreated(db, invoice.id, { zone: end.zone });
+      await queueInvoiceSync(db, invoice.id, 'created');
+    } catch (error) {
+      results.failed++;
+      results.errors.push({
+        crm_contact_id: customer.crm_contact_id,
+        error: error.message
+      });
+      // A released invoice no longer exists; one left pending is finished by reconcilePendingInvoices
+      recordOutcome('failed', { invoice_id: error.released ? null : invoice?.id ?? null, error: error.message });
+      log.error('Billing failed', {
+        crm_contact_id: customer.crm_contact_id,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Bill every customer whose billing cycle has closed: groups active customers
+ * by their last closed period and runs the billing job once per period.
+ * Periods already invoiced are skipped, so this is safe to run at any time.
+ *
+ * With since set (a catch-up) every period that closed after since is billed,
+ * oldest first, instead of only the last one. Periods that closed before a
+ * customer was created are never billed.
+ */
+async function runBillingCycles(db, dwolla, { now, since = null, preview = false }) {
+  // A preview also reports customers that cannot be billed, so it needs all of them
+  const { rows: customers } = await db.query(
+    `SELECT crm_contact_id, billing_cycle, billing_anchor_date::text AS billing_anchor_date, created_at
+     FROM customers
+     WHERE $1 OR (status = 'active' AND dwolla_funding_href IS NOT NULL)`,
+    [preview]
+  );
+
+  const periods = new Map();
+  for (const customer of customers) {
+    const { billing_cycle: cycle, billing_anchor_date: anchorDate } = customer;
+    const customerPeriods = since
+      ? closedPeriodsSince(cycle, anchorDate, DateTime.max(since, DateTime.fromJSDate(customer.created_at)), now)
+      : [lastClosedPeriod(cycle, anchorDate, now)];
+
+    for (const { start, end } of customerPeriods) {
+      const key = `${start.toISO()}|${end.toISO()}`;
+      if (!periods.has(key)) {
+        periods.set(key, { start, end, cycles: new Set(), crmContactIds: [] });
+      }
+      const period = periods.get(key);
+      period.cycles.add(cycle);
+      period.crmContactIds.push(customer.crm_contact_id);
+    }
+  }
+
+  const sortedPeriods = [...periods.values()].sort((a, b) => a.end - b.end || a.start - b.start);
+  return runBillingPeriods(db, dwolla, sortedPeriods, { preview });
+}
+
+/**
+ * Run the billing job for each { start, end, crmContactIds, cycles } period in
+ * order and return { periods, results } with the results added up
+ */
+async function runBillingPeriods(db, dwolla, periods, { preview = false } = {}) {
+  const totals = {
+    total: 0,
+    successful: 0,
+    failed: 0,
+    skipped: 0,
+    total_amount_cents: 0,
+    total_amount_dollars: 0,
+    errors: []
+  };
+  if (preview) {
+    totals.charges = [];
+    totals.skipped_customers = [];
+  } else {
+    totals.outcomes = [];
+  }
+  const periodResults = [];
+
+  for (const { start, end, cycles = [], crmContactIds } of periods) {
+    log.info('Billing period', { start: start.toISO(), end: end.toISO(), cycles: [...cycles], customers: crmContactIds.length });
+    const results = await runBillingJob(db, dwolla, { start, end, crmContactIds, preview });
+
+    for (const field of ['total', 'successful', 'failed', 'skipped', 'total_amount_cents', 'total_amount_dollars']) {
+      totals[field] += results[field];
+    }
+    totals.errors.push(...results.errors);
+    if (preview) {
+      totals.charges.push(...results.charges);
+      totals.skipped_customers.push(...results.skipped_customers);
+    } else {
+      totals.outcomes.push(...results.outcomes);
+    }
+
+    if (results.total > 0 || results.skipped_customers?.length > 0) {
+      periodResults.push({ start: start.toISO(), end: end.toISO(), cycles: [...cycles], results });
+    }
+  }
+
+  return { periods: periodResults, results: totals };
+}
+
+/**
+ * Parse an ISO 8601 request field in the billing time zone
+ */
+function parseDate(value, zone) {
+  const date = DateTime.fromISO(String(value), { zone });
+  return date.isValid ? date : null;
+}
+
+/**
+ * Work out what a billing request asks for:
+ *   {}                                  - every customer's last closed cycle
+ *   { "start": ISO, "end": ISO }        - an explicit period for every customer
+ *   { "through": ISO }                  - all unbilled usage before a date
+ * Returns { mode, start, end } or { error }.
+ */
+function parseBillingRequest(body, now) {
+  const { start, end, through } = body || {};
+  const zone = now.zone;
+
+  if (through !== undefined) {
+    const throughDate = parseDate(through, zone);
+    if (!throughDate) return { error: 'through must be a valid ISO 8601 timestamp' };
+    if (throughDate > now) return { error: 'through cannot be in the future' };
+    return { mode: 'backfill', start: null, end: throughDate };
+  }
+
+  if (start !== undefined || end !== undefined) {
+    const startDate = parseDate(start, zone);
+    const endDate = parseDate(end, zone);
+    if (!startDate || !endDate) return { error: 'start and end must be valid ISO 8601 timestamps' };
+    if (startDate >= endDate) return { error: 'start must be before end' };
+    if (endDate > now) return { error: 'end cannot be in the future' };
+    return { mode: 'period', start: startDate, end: endDate };
+  }
+
+  return { mode: 'cycles' };
+}
+
+/**
+ * Run (or preview) the billing parsed by parseBillingRequest and return { periods, results }
+ */
+async function runRequestedBilling(db, dwolla, request, { now, preview = false }) {
+  if (request.mode === 'cycles') {
+    return runBillingCycles(db, dwolla, { now, preview });
+  }
+
+  const results = await runBillingJob(db, dwolla, { start: request.start, end: request.end, preview });
+  return {
+    periods: [{ start: request.start ? request.start.toISO() : null, end: request.end.toISO(), results }],
+    results
+  };
+}
+
+module.exports = {
+  runBillingJob,
+  runBillingCycles,
+  runBillingPeriods,
+  parseBillingRequest,
+  runRequestedBilling
+};
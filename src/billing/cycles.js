@@ -0,0 +1,81 @@
+/**
+ * Billing Cycles
+ * Period math for daily, weekly, biweekly and monthly billing cycles
+ */
+const { DateTime } = require('luxon');
+
+const BILLING_CYCLES = ['daily', 'weekly', 'biweekly', 'monthly'];
+
+// Biweekly cycles without an anchor count from this Monday
+const DEFAULT_BIWEEKLY_ANCHOR = '2024-01-01';
+
+/**
+ * Start of the monthly cycle in the month of `date`, clamping the anchor day
+ * to the length of the month (an anchor of the 31st starts on Feb 28/29)
+ */
+function monthlyCycleStart(date, anchorDay) {
+  const month = date.startOf('month');
+  return month.set({ day: Math.min(anchorDay, month.daysInMonth) });
+}
+
+/**
+ * The most recent period of a cycle that has fully closed at `now`.
+ * `now` must be a zoned Luxon DateTime; `anchorDate` is an ISO date string or null.
+ * Returns { start, end } where end <= now and the period is [start, end).
+ */
+function lastClosedPeriod(cycle, anchorDate, now) {
+  const zone = now.zone;
+  const today = now.startOf('day');
+  const anchor = anchorDate ? DateTime.fromISO(anchorDate, { zone }).startOf('day') : null;
+
+  switch (cycle) {
+    case 'daily':
+      return { start: today.minus({ days: 1 }), end: today };
+
+    case 'weekly': {
+      const weekday = anchor ? anchor.weekday : 1;
+      const end = today.minus({ days: (today.weekday - weekday + 7) % 7 });
+      return { start: end.minus({ weeks: 1 }), end };
+    }
+
+    case 'biweekly': {
+      const origin = anchor || DateTime.fromISO(DEFAULT_BIWEEKLY_ANCHOR, { zone });
+      const days = Math.round(today.diff(origin, 'days').days);
+      const end = origin.plus({ days: Math.floor(days / 14) * 14 });
+      return { start: end.minus({ days: 14 }), end };
+    }
+
+    case 'monthly': {
+      const anchorDay = anchor ? anchor.day : 1;
+      let end = monthlyCycleStart(today, anchorDay);
+      if (end > today) {
+        end = monthlyCycleStart(today.minus({ months: 1 }), anchorDay);
+      }
+      return { start: monthlyCycleStart(end.minus({ months: 1 }), anchorDay), end };
+    }
+
+    default:
+      throw new Error(`Unknown billing cycle: ${cycle}`);
+  }
+}
+
+/**
+ * Every period of a cycle that closed after `since` and by `now`, oldest
+ * first. Used to catch up on periods missed while billing was not running.
+ */
+function closedPeriodsSince(cycle, anchorDate, since, now) {
+  const periods = [];
+  let period = lastClosedPeriod(cycle, anchorDate, now);
+  while (period.end > since) {
+    periods.unshift(period);
+    // The period that closed when this one started
+    period = lastClosedPeriod(cycle, anchorDate, period.start);
+  }
+  return periods;
+}
+
+module.exports = {
+  BILLING_CYCLES,
+  lastClosedPeriod,
+  closedPeriodsSince
+};
@@ -0,0 +1,342 @@
+/**
+ * Dunning
+ * Retries failed ACH transfers on a schedule and suspends customers
+ * once every retry has failed
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+
+/**
+ * Days to wait before each retry, e.g. "3,5,7" retries 3 days after the
+ * first failure, 5 days after the second and 7 days after the third
+ */
+function parseRetryDays(value) {
+  return String(value)
+    .split(',')
+    .map(day => Number(day.trim()))
+    .filter(day => Number.isFinite(day) && day > 0);
+}
+
+const DUNNING_RETRY_DAYS = parseRetryDays(process.env.DUNNING_RETRY_DAYS ?? '3,5,7');
+
+/**
+ * Record a new transfer attempt for an invoice
+ */
+async function recordAttempt(client, invoiceId, transferHref) {
+  const { rows } = await client.query(
+    `INSERT INTO payment_attempts(invoice_id, attempt_number, dwolla_transfer_href)
+     VALUES ($1, COALESCE((SELECT MAX(attempt_number) FROM payment_attempts WHERE invoice_id = $1), 0) + 1, $2)
+     RETURNING attempt_number`,
+    [invoiceId, transferHref]
+  );
+  return rows[0].attempt_number;
+}
+
+/**
+ * Mark the attempt for a transfer as failed and schedule the next retry,
+ * or suspend the customer if no retries remain (or the failure is final)
+ */
+async function handleTransferFailed(db, invoice, { transferHref, failureCode = null, failureDescription = null, final = false } = {}) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const updated = await client.query(
+      `UPDATE payment_attempts
+       SET status = 'failed', failure_code = $3, failure_description = $4, updated_at = now()
+       WHERE invoice_id = $1 AND dwolla_transfer_href = $2
+       RETURNING attempt_number`,
+      [invoice.id, transferHref, failureCode, failureDescription]
+    );
+
+    // Invoices created before dunning existed have no attempt rows yet
+    if (updated.rows.length === 0) {
+      await client.query(
+        `INSERT INTO payment_attempts(invoice_id, attempt_number, dwolla_transfer_href, status, failure_code, failure_description)
+         VALUES ($1, COALESCE((SELECT MAX(attempt_number) FROM payment_attempts WHERE invoice_id = $1), 0) + 1, $2, 'failed', $3, $4)`,
+        [invoice.id, transferHref, failureCode, failureDescription]
+      );
+    }
+
+    const { rows } = await client.query(
+      'SELECT COUNT(*)::int AS attempts FROM payment_attempts WHERE invoice_id = $1',
+      [invoice.id]
+    );
+    const attempts = rows[0].attempts;
+    const retriesUsed = attempts - 1;
+
+    let state;
+    if (!final && retriesUsed < DUNNING_RETRY_DAYS.length) {
+      const nextRetryAt = DateTime.now().plus({ days: DUNNING_RETRY_DAYS[retriesUsed] });
+      await client.query(
+        `UPDATE invoices
+         SET dunning_status = 'retrying', next_retry_at = $2, updated_at = now()
+         WHERE id = $1`,
+        [invoice.id, nextRetryAt.toISO()]
+      );
+      state = { action: 'retry_scheduled', attempts, next_retry_at: nextRetryAt.toISO() };
+    } else {
+      await client.query(
+        `UPDATE invoices
+         SET dunning_status = 'exhausted', next_retry_at = NULL, updated_at = now()
+         WHERE id = $1`,
+        [invoice.id]
+      );
+      await client.query(
+        `UPDATE customers SET status = 'suspended' WHERE crm_contact_id = $1`,
+        [invoice.crm_contact_id]
+      );
+      state = { action: 'customer_suspended', attempts };
+    }
+
+    await client.query('COMMIT');
+
+    log.warn('Dunning updated', {
+      invoice_id: invoice.id,
+      crm_contact_id: invoice.crm_contact_id,
+      failure_code: failureCode,
+      ...state
+    });
+    return state;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark the attempt for a transfer as completed and close out dunning
+ */
+async function handleTransferCompleted(db, invoice, { transferHref }) {
+  await db.query(
+    `UPDATE payment_attempts
+     SET status = 'completed', updated_at = now()
+     WHERE invoice_id = $1 AND dwolla_transfer_href = $2`,
+    [invoice.id, transferHref]
+  );
+
+  const { rows } = await db.query(
+    `UPDATE invoices
+     SET dunning_status = 'recovered', next_retry_at = NULL, updated_at = now()
+     WHERE id = $1 AND dunning_status = 'retrying'
+     RETURNING id`,
+    [invoice.id]
+  );
+
+  if (rows.length > 0) {
+    log.info('Dunning recovered', { invoice_id: invoice.id, crm_contact_id: invoice.crm_contact_id });
+  }
+}
+
+/**
+ * Phase 1 of a retry: lock a due invoice and reserve its next payment
+ * attempt (an attempt row without a transfer). A reservation left behind by
+ * a crash or a Dwolla outage is reused, so the retry is re-sent with the same
+ * idempotency key. Returns the attempt number, or null if the invoice is no
+ * longer due or another run holds it.
+ */
+async function reserveRetryAttempt(db, invoiceId) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Lock the invoice and make sure another run has not already retried it
+    const { rows: locked } = await client.query(
+      `SELECT id FROM invoices
+       WHERE id = $1 AND dunning_status = 'retrying' AND status = 'failed' AND next_retry_at <= now()
+       FOR UPDATE SKIP LOCKED`,
+      [invoiceId]
+    );
+    if (locked.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { rows: reserved } = await client.query(
+      `SELECT attempt_number FROM payment_attempts
+       WHERE invoice_id = $1 AND dwolla_transfer_href IS NULL AND status = 'initiated'
+       ORDER BY attempt_number DESC
+       LIMIT 1`,
+      [invoiceId]
+    );
+    const attemptNumber = reserved.length > 0
+      ? reserved[0].attempt_number
+      : await recordAttempt(client, invoiceId, null);
+
+    await client.query('COMMIT');
+    return attemptNumber;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Phase 2 of a retry: record the transfer on the reserved attempt and move
+ * the invoice back to 'initiated'. Returns false if the invoice left dunning
+ * (e.g. it was voided) while Dwolla was being called.
+ */
+async function markRetryInitiated(db, invoiceId, attemptNumber, transferHref) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `UPDATE payment_attempts
+       SET dwolla_transfer_href = $3, updated_at = now()
+       WHERE invoice_id = $1 AND attempt_number = $2`,
+      [invoiceId, attemptNumber, transferHref]
+    );
+    const { rows } = await client.query(
+      `UPDATE invoices
+       SET dwolla_transfer_href = $2, status = 'initiated', next_retry_at = NULL, updated_at = now()
+       WHERE id = $1 AND dunning_status = 'retrying' AND status = 'failed'
+       RETURNING id`,
+      [invoiceId, transferHref]
+    );
+    await client.query('COMMIT');
+    return rows.length > 0;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop a reserved attempt Dwolla refused, so the next run tries again
+ */
+async function releaseRetryAttempt(db, invoiceId, attemptNumber) {
+  await db.query(
+    `DELETE FROM payment_attempts
+     WHERE invoice_id = $1 AND attempt_number = $2 AND dwolla_transfer_href IS NULL`,
+    [invoiceId, attemptNumber]
+  );
+}
+
+/**
+ * Create a new transfer for every failed invoice whose retry is due.
+ * Like billing, each retry is two-phase: the attempt is reserved and
+ * committed first, then the transfer is sent with the attempt's idempotency
+ * key, so no lock or connection is held while Dwolla is called.
+ */
+async function processDueRetries(db, { dwollaPost }) {
+  const { rows: invoices } = await db.query(
+    `SELECT i.id, i.crm_contact_id, i.amount_cents, i.period_start, i.period_end, c.dwolla_funding_href
+     FROM invoices i
+     JOIN customers c USING (crm_contact_id)
+     WHERE i.dunning_status = 'retrying'
+       AND i.status = 'failed'
+       AND i.next_retry_at <= now()
+       AND c.status = 'active'
+     ORDER BY i.next_retry_at`
+  );
+
+  const results = { total: invoices.length, retried: 0, failed: 0, errors: [] };
+
+  for (const invoice of invoices) {
+    try {
+      if (!invoice.dwolla_funding_href) {
+        throw new Error('Customer has no funding source');
+      }
+
+      const attempt = await reserveRetryAttempt(db, invoice.id);
+      if (attempt === null) {
+        continue;
+      }
+
+      // Same key on a rerun after a crash, so Dwolla returns the original transfer
+      const idempotencyKey = `invoice-${invoice.id}-attempt-${attempt}`;
+
+      let resp;
+      try {
+        resp = await dwollaPost('transfers', {
+          _links: {
+            source: { href: invoice.dwolla_funding_href },
+            destination: { href: process.env.DWOLLA_YOUR_FUNDING_HREF }
+          },
+          amount: { currency: 'USD', value: (invoice.amount_cents / 100).toFixed(2) },
+          metadata: {
+            crm_contact_id: invoice.crm_contact_id,
+            invoice_id: String(invoice.id),
+            period_start: DateTime.fromJSDate(invoice.period_start).toISO(),
+            period_end: DateTime.fromJSDate(invoice.period_end).toISO()
+          }
+        }, { idempotencyKey });
+      } catch (error) {
+        // Dwolla created nothing; any other error keeps the reservation for the next run
+        if (error.status >= 400 && error.status < 500) {
+          await releaseRetryAttempt(db, invoice.id, attempt);
+        }
+        throw error;
+      }
+
+      if (!await markRetryInitiated(db, invoice.id, attempt, resp.location)) {
+        log.warn('Invoice left dunning during retry', { invoice_id: invoice.id, attempt, transfer_href: resp.location });
+        continue;
+      }
+
+      results.retried++;
+      log.info('Dunning retry initiated', {
+        invoice_id: invoice.id,
+        crm_contact_id: invoice.crm_contact_id,
+        attempt,
+        transfer_href: resp.location
+      });
+    } catch (error) {
+      results.failed++;
+      results.errors.push({ invoice_id: invoice.id, error: error.message });
+      log.error('Dunning retry failed', { invoice_id: invoice.id, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Load the dunning state of an invoice. Returns null if it does not exist.
+ */
+async function getDunningState(db, invoiceId) {
+  const { rows: invoices } = await db.query(
+    `SELECT id, crm_contact_id, status, dunning_status, next_retry_at
+     FROM invoices WHERE id = $1`,
+    [invoiceId]
+  );
+  if (invoices.length === 0) {
+    return null;
+  }
+
+  const { rows: attempts } = await db.query(
+    `SELECT attempt_number, dwolla_transfer_href, status, failure_code, failure_description, attempted_at, updated_at
+     FROM payment_attempts
+     WHERE invoice_id = $1
+     ORDER BY attempt_number`,
+    [invoiceId]
+  );
+
+  const invoice = invoices[0];
+  return {
+    invoice_id: invoice.id,
+    crm_contact_id: invoice.crm_contact_id,
+    status: invoice.status,
+    dunning_status: invoice.dunning_status,
+    next_retry_at: invoice.next_retry_at,
+    attempt_count: attempts.length,
+    max_attempts: DUNNING_RETRY_DAYS.length + 1,
+    retry_schedule_days: DUNNING_RETRY_DAYS,
+    attempts
+  };
+}
+
+module.exports = {
+  DUNNING_RETRY_DAYS,
+  recordAttempt,
+  handleTransferFailed,
+  handleTransferCompleted,
+  processDueRetries,
+  getDunningState
+};
@@ -0,0 +1,187 @@
+/**
+ * Invoice PDFs
+ * Renders an invoice document: our business details, the customer, the
+ * period, the line items, the daily usage billed and the payment status
+ *
+ * Business details come from BUSINESS_NAME, BUSINESS_ADDRESS (lines
+ * separated by "|" or newlines) and BUSINESS_EMAIL.
+ */
+const PDFDocument = require('pdfkit');
+const { DateTime } = require('luxon');
+
+const PAGE_MARGIN = 50;
+
+// Invoice status → what the customer sees
+const STATUS_LABELS = {
+  pending: 'Processing',
+  initiated: 'Payment in progress',
+  credited: 'Paid with account credit',
+  completed: 'Paid',
+  failed: 'Payment failed',
+  cancelled: 'Payment cancelled',
+  reclaimed: 'Payment reclaimed',
+  voided: 'Void'
+};
+
+function formatCents(cents) {
+  const dollars = `$${(Math.abs(cents) / 100).toFixed(2)}`;
+  return cents < 0 ? `-${dollars}` : dollars;
+}
+
+function formatDate(value, zone) {
+  return DateTime.fromJSDate(value).setZone(zone).toISODate();
+}
+
+function businessDetails() {
+  return {
+    name: process.env.BUSINESS_NAME || '',
+    address: (process.env.BUSINESS_ADDRESS || '').split(/\||\n/).map(line => line.trim()).filter(Boolean),
+    email: process.env.BUSINESS_EMAIL || ''
+  };
+}
+
+/**
+ * Usage billed on the invoice, one row per day in the billing time zone
+ */
+function dailyUsage(usage, zone) {
+  const days = new Map();
+  for (const row of usage) {
+    const day = formatDate(row.occurred_at, zone);
+    const totals = days.get(day) || { day, events: 0, units: 0 };
+    totals.events++;
+    totals.units += Number(row.units);
+    days.set(day, totals);
+  }
+  return [...days.values()];
+}
+
+/**
+ * Draw a table: columns are { header, width, align }, rows are arrays of strings.
+ * Starts a new page (with the header repeated) when the page is full.
+ */
+function drawTable(doc, columns, rows) {
+  const left = PAGE_MARGIN;
+  const bottom = doc.page.height - PAGE_MARGIN;
+
+  const header = columns.map(column => column.header);
+  const drawRow = (cells, { bold = false } = {}) => {
+    if (doc.y + 16 > bottom) {
+      doc.addPage();
+      if (cells !== header) {
+        drawRow(header, { bold: true });
+      }
+    }
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    for (const [index, column] of columns.entries()) {
+      doc.text(cells[index], x, y, { width: column.width - 6, align: column.align || 'left', lineBreak: false, ellipsis: true });
+      x += column.width;
+    }
+    doc.x = left;
+    doc.y = y + 16;
+  };
+
+  drawRow(header, { bold: true });
+  for (const row of rows) {
+    drawRow(row);
+  }
+  doc.moveDown(0.5);
+}
+
+/**
+ * Render an invoice (as returned by getInvoiceDetail) to a PDF, with dates
+ * in the billing time zone. Returns a promise for the PDF as a Buffer.
+ */
+function renderInvoicePdf(detail, { zone }) {
+  const { invoice, line_items: lineItems, usage, totals } = detail;
+  const business = businessDetails();
+
+  const doc = new PDFDocument({ size: 'LETTER', margin: PAGE_MARGIN, info: { Title: `Invoice #${invoice.id}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const width = doc.page.width - PAGE_MARGIN * 2;
+  const top = doc.y;
+
+  // Our details (left) and the invoice header (right)
+  doc.font('Helvetica-Bold').fontSize(14).text(business.name || ' ', PAGE_MARGIN, top, { width: width / 2 });
+  doc.font('Helvetica').fontSize(9);
+  for (const line of [...business.address, business.email].filter(Boolean)) {
+    doc.text(line, { width: width / 2 });
+  }
+  const leftBottom = doc.y;
+
+  doc.font('Helvetica-Bold').fontSize(20).text(`Invoice #${invoice.id}`, PAGE_MARGIN + width / 2, top, { width: width / 2, align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Issued ${formatDate(invoice.created_at, zone)}`, { width: width / 2, align: 'right' })
+    .text(`Status: ${STATUS_LABELS[invoice.status] || invoice.status}`, { width: width / 2, align: 'right' });
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+
+  // Customer and period
+  doc.font('Helvetica-Bold').fontSize(10).text('Bill to');
+  doc.font('Helvetica').fontSize(9);
+  doc.text(invoice.name || invoice.crm_contact_id);
+  if (invoice.email) {
+    doc.text(invoice.email);
+  }
+  doc.text(`Customer ID: ${invoice.crm_contact_id}`);
+  doc.moveDown();
+  // Periods end at midnight; show the last day billed
+  const periodEnd = DateTime.fromJSDate(invoice.period_end).minus({ milliseconds: 1 }).toJSDate();
+  doc.font('Helvetica-Bold').fontSize(10).text('Billing period');
+  doc.font('Helvetica').fontSize(9).text(`${formatDate(invoice.period_start, zone)} to ${formatDate(periodEnd, zone)}`);
+  doc.moveDown();
+
+  // Line items
+  doc.font('Helvetica-Bold').fontSize(10).text('Charges');
+  doc.moveDown(0.3);
+  drawTable(doc, [
+    { header: 'Description', width: width - 240 },
+    { header: 'Units', width: 70, align: 'right' },
+    { header: 'Unit price', width: 80, align: 'right' },
+    { header: 'Amount', width: 90, align: 'right' }
+  ], lineItems.map(line => [
+    line.description,
+    line.units === null ? '' : String(Number(line.units)),
+    line.unit_price_cents === null ? '' : formatCents(line.unit_price_cents),
+    formatCents(line.amount_cents)
+  ]));
+
+  // Totals
+  const amountLabel = { completed: 'Amount paid', voided: 'Amount (void)' }[invoice.status] || 'Amount due';
+  const totalRows = [[amountLabel, formatCents(invoice.amount_cents)]];
+  if (totals.refunded_cents > 0) {
+    totalRows.push(['Refunded', formatCents(-totals.refunded_cents)]);
+  }
+  for (const [label, value] of totalRows) {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10).text(label, PAGE_MARGIN, y, { width: width - 90, align: 'right' });
+    doc.text(value, PAGE_MARGIN + width - 90, y, { width: 84, align: 'right' });
+    doc.x = PAGE_MARGIN;
+  }
+  doc.moveDown(1.5);
+
+  // Usage billed, by day
+  if (usage.length > 0) {
+    doc.font('Helvetica-Bold').fontSize(10).text('Usage');
+    doc.moveDown(0.3);
+    drawTable(doc, [
+      { header: 'Date', width: width - 200 },
+      { header: 'Events', width: 100, align: 'right' },
+      { header: 'Units', width: 100, align: 'right' }
+    ], dailyUsage(usage, zone).map(day => [day.day, String(day.events), String(day.units)]));
+  }
+
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  renderInvoicePdf
+};
@@ -0,0 +1,127 @@
+/**
+ * Invoices
+ * Persists and reads back the per-component breakdown of an invoice
+ * and lists invoices for the admin API
+ */
+const { listInvoiceRefunds } = require('./refunds');
+
+/**
+ * Insert one line item per pricing component
+ */
+async function insertLineItems(client, invoiceId, components) {
+  for (const [position, component] of components.entries()) {
+    await client.query(
+      `INSERT INTO invoice_line_items(invoice_id, position, line_type, description, units, unit_price_cents, amount_cents)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [
+        invoiceId,
+        position,
+        component.type,
+        component.description,
+        component.units,
+        component.unit_price_cents,
+        component.amount_cents
+      ]
+    );
+  }
+}
+
+/**
+ * Load an invoice with its line items, the usage rows billed on it, its
+ * refunds and the emails sent about it. Returns null if the invoice does not exist.
+ */
+async function getInvoiceDetail(db, invoiceId) {
+  const { rows: invoices } = await db.query(
+    `SELECT i.*, c.name, c.email
+     FROM invoices i
+     LEFT JOIN customers c USING (crm_contact_id)
+     WHERE i.id = $1`,
+    [invoiceId]
+  );
+  if (invoices.length === 0) {
+    return null;
+  }
+
+  const { rows: lineItems } = await db.query(
+    `SELECT id, position, line_type, description, units, unit_price_cents, amount_cents
+     FROM invoice_line_items
+     WHERE invoice_id = $1
+     ORDER BY position, id`,
+    [invoiceId]
+  );
+
+  const { rows: usage } = await db.query(
+    `SELECT id, idempotency_key, units, occurred_at
+     FROM usage_ledger
+     WHERE invoice_id = $1
+     ORDER BY occurred_at, id`,
+    [invoiceId]
+  );
+
+  const refunds = await listInvoiceRefunds(db, invoiceId);
+
+  const { rows: notifications } = await db.query(
+    `SELECT id, kind, recipient, subject, transport, status, error, created_at, sent_at
+     FROM notifications
+     WHERE invoice_id = $1
+     ORDER BY created_at, id`,
+    [invoiceId]
+  );
+
+  const invoice = invoices[0];
+  return {
+    invoice: {
+      ...invoice,
+      amount_dollars: (invoice.amount_cents / 100).toFixed(2)
+    },
+    line_items: lineItems,
+    usage,
+    refunds,
+    notifications,
+    totals: {
+      line_items_cents: lineItems.reduce((sum, line) => sum + line.amount_cents, 0),
+      usage_units: usage.reduce((sum, row) => sum + Number(row.units), 0),
+      refunded_cents: refunds
+        .filter(refund => !['failed', 'cancelled'].includes(refund.status))
+        .reduce((sum, refund) => sum + refund.amount_cents, 0)
+    }
+  };
+}
+
+/**
+ * List invoices, newest period first, filtered by customer, status,
+ * dunning status and by period_start in [from, to).
+ * Returns { invoices, total }.
+ */
+async function listInvoices(db, { crmContactId, status, dunningStatus, from, to, limit, offset }) {
+  const { rows } = await db.query(
+    `SELECT i.id, i.crm_contact_id, c.name, i.period_start, i.period_end, i.amount_cents, i.units,
+            i.status, i.dunning_status, i.return_code, i.dwolla_transfer_href, i.created_at, i.updated_at,
+            COUNT(*) OVER()::int AS total
+     FROM invoices i
+     LEFT JOIN customers c USING (crm_contact_id)
+     WHERE ($1::text IS NULL OR i.crm_contact_id = $1)
+       AND ($2::text IS NULL OR i.status = $2)
+       AND ($3::text IS NULL OR i.dunning_status = $3)
+       AND ($4::timestamptz IS NULL OR i.period_start >= $4)
+       AND ($5::timestamptz IS NULL OR i.period_start < $5)
+     ORDER BY i.period_start DESC, i.id DESC
+     LIMIT $6 OFFSET $7`,
+    [crmContactId || null, status || null, dunningStatus || null, from, to, limit, offset]
+  );
+
+  return {
+    invoices: rows.map(({ total, ...invoice }) => ({
+      ...invoice,
+      units: invoice.units === null ? null : Number(invoice.units),
+      amount_dollars: (invoice.amount_cents / 100).toFixed(2)
+    })),
+    total: rows.length > 0 ? rows[0].total : 0
+  };
+}
+
+module.exports = {
+  insertLineItems,
+  getInvoiceDetail,
+  listInvoices
+};
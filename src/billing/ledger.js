@@ -0,0 +1,119 @@
+/**
+ * Customer Balance Ledger
+ * Credit notes and manual debits, and how a customer's balance is applied
+ * to their next invoice
+ *
+ * Amounts are signed from the customer's side: a positive balance is credit
+ * owed to the customer, a negative balance is money the customer owes.
+ */
+
+const MANUAL_ENTRY_TYPES = ['credit', 'debit'];
+
+/**
+ * A customer's current balance in cents
+ */
+async function getBalance(db, crmContactId) {
+  const { rows } = await db.query(
+    'SELECT COALESCE(SUM(amount_cents), 0)::int AS balance_cents FROM customer_ledger WHERE crm_contact_id = $1',
+    [crmContactId]
+  );
+  return rows[0].balance_cents;
+}
+
+/**
+ * Record a credit note or a manual debit. amountCents is always positive;
+ * debits are stored as negative amounts.
+ */
+async function addLedgerEntry(db, { crmContactId, type, amountCents, description, invoiceId = null, createdBy = null }) {
+  const { rows } = await db.query(
+    `INSERT INTO customer_ledger(crm_contact_id, entry_type, amount_cents, description, invoice_id, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [crmContactId, type, type === 'debit' ? -amountCents : amountCents, description, invoiceId, createdBy]
+  );
+  return rows[0];
+}
+
+/**
+ * A customer's ledger entries (newest first) and current balance
+ */
+async function listLedgerEntries(db, crmContactId, { limit, offset }) {
+  const { rows } = await db.query(
+    `SELECT id, entry_type, amount_cents, description, invoice_id, created_by, created_at,
+            COUNT(*) OVER()::int AS total
+     FROM customer_ledger
+     WHERE crm_contact_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT $2 OFFSET $3`,
+    [crmContactId, limit, offset]
+  );
+
+  return {
+    balance_cents: await getBalance(db, crmContactId),
+    entries: rows.map(({ total, ...entry }) => entry),
+    total: rows.length > 0 ? rows[0].total : 0
+  };
+}
+
+/**
+ * How much of a balance to take off a charge: credits up to the charge,
+ * debits in full. The invoice amount is chargeCents minus the result.
+ */
+function balanceToApply(balanceCents, chargeCents) {
+  return balanceCents > 0 ? Math.min(balanceCents, chargeCents) : balanceCents;
+}
+
+/**
+ * Lock a customer's balance for the rest of the transaction and return it,
+ * so two billing runs cannot apply the same credit twice
+ */
+async function lockBalance(client, crmContactId) {
+  await client.query('SELECT 1 FROM customers WHERE crm_contact_id = $1 FOR UPDATE', [crmContactId]);
+  return getBalance(client, crmContactId);
+}
+
+/**
+ * Record the balance applied to an invoice (a no-op for zero)
+ */
+async function recordBalanceApplied(client, { crmContactId, invoiceId, appliedCents }) {
+  if (appliedCents === 0) {
+    return;
+  }
+  await client.query(
+    `INSERT INTO customer_ledger(crm_contact_id, entry_type, amount_cents, description, invoice_id)
+     VALUES ($1, 'applied', $2, $3, $4)`,
+    [
+      crmContactId,
+      -appliedCents,
+      appliedCents > 0 ? `Credit applied to invoice #${invoiceId}` : `Balance due added to invoice #${invoiceId}`,
+      invoiceId
+    ]
+  );
+}
+
+/**
+ * The invoice line item for an applied balance, or null for zero
+ */
+function balanceComponent(appliedCents) {
+  if (appliedCents === 0) {
+    return null;
+  }
+  return {
+    type: appliedCents > 0 ? 'credit' : 'adjustment',
+    description: appliedCents > 0 ? 'Account credit applied' : 'Outstanding balance',
+    units: null,
+    unit_price_cents: null,
+    amount_cents: -appliedCents
+  };
+}
+
+module.exports = {
+  MANUAL_ENTRY_TYPES,
+  getBalance,
+  addLedgerEntry,
+  listLedgerEntries,
+  balanceToApply,
+  lockBalance,
+  recordBalanceApplied,
+  balanceComponent
+};
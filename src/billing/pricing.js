@@ -0,0 +1,171 @@
+/**
+ * Pricing Plans
+ * Loads customer pricing plans and computes charges for a billing period
+ */
+
+const DEFAULT_PRICING_PLAN_CODE = process.env.DEFAULT_PRICING_PLAN || 'standard';
+
+/**
+ * Load the active pricing plans with their tiers, keyed by plan id.
+ * Customers on a deactivated plan are not priced until they are moved.
+ */
+async function loadPricingPlans(db) {
+  const { rows: plans } = await db.query(
+    `SELECT id, code, name, model, unit_price_cents, included_units, minimum_cents
+     FROM pricing_plans
+     WHERE active`
+  );
+  const { rows: tiers } = await db.query(
+    `SELECT plan_id, up_to, unit_price_cents
+     FROM pricing_plan_tiers
+     ORDER BY plan_id, up_to ASC NULLS LAST`
+  );
+
+  const byId = new Map();
+  for (const plan of plans) {
+    byId.set(plan.id, {
+      id: plan.id,
+      code: plan.code,
+      name: plan.name,
+      model: plan.model,
+      unit_price_cents: plan.unit_price_cents === null ? null : Number(plan.unit_price_cents),
+      included_units: Number(plan.included_units),
+      minimum_cents: Number(plan.minimum_cents),
+      tiers: []
+    });
+  }
+  for (const tier of tiers) {
+    const plan = byId.get(tier.plan_id);
+    if (!plan) continue;
+    plan.tiers.push({
+      up_to: tier.up_to === null ? null : Number(tier.up_to),
+      unit_price_cents: Number(tier.unit_price_cents)
+    });
+  }
+
+  return byId;
+}
+
+function usageComponent(units, unitPriceCents, description) {
+  return {
+    type: 'usage',
+    description,
+    units,
+    unit_price_cents: unitPriceCents,
+    amount_cents: Math.round(units * unitPriceCents)
+  };
+}
+
+function tierLabel(from, upTo) {
+  return upTo === null ? `Units ${from}+` : `Units ${from}-${upTo}`;
+}
+
+/**
+ * Price each unit by the tier it falls into
+ */
+function graduatedComponents(plan, billableUnits) {
+  const components = [];
+  let lower = 0;
+
+  for (const tier of plan.tiers) {
+    if (billableUnits <= lower) break;
+    const upper = tier.up_to === null ? billableUnits : Math.min(tier.up_to, billableUnits);
+    const units = upper - lower;
+    if (units > 0) {
+      components.push(usageComponent(units, tier.unit_price_cents, tierLabel(lower + 1, tier.up_to)));
+    }
+    if (tier.up_to === null) break;
+    lower = tier.up_to;
+  }
+
+  return components;
+}
+
+/**
+ * Price every unit by the tier the total falls into
+ */
+function volumeComponents(plan, billableUnits) {
+  let lower = 0;
+  for (const tier of plan.tiers) {
+    if (tier.up_to === null || billableUnits <= tier.up_to) {
+      return [usageComponent(billableUnits, tier.unit_price_cents, tierLabel(lower + 1, tier.up_to))];
+    }
+    lower = tier.up_to;
+  }
+
+  // Usage above the highest bounded tier is priced at that tier
+  const last = plan.tiers[plan.tiers.length - 1];
+  return [usageComponent(billableUnits, last.unit_price_cents, tierLabel(lower + 1, null))];
+}
+
+/**
+ * Compute the charge for a number of units under a pricing plan.
+ * Returns the amount in cents and the rate breakdown stored on the invoice.
+ * With minimum = false the plan's minimum commitment is not applied.
+ */
+function calculateCharge(plan, units, { minimum = true } = {}) {
+  const totalUnits = Number(units);
+  const minimumCents = minimum ? plan.minimum_cents : 0;
+  const billableUnits = Math.max(totalUnits - plan.included_units, 0);
+  let components = [];
+
+  if (plan.included_units > 0 && totalUnits > 0) {
+    components.push({
+      type: 'included',
+      description: 'Included units',
+      units: Math.min(totalUnits, plan.included_units),
+      unit_price_cents: 0,
+      amount_cents: 0
+    });
+  }
+
+  if (billableUnits > 0) {
+    if (plan.model === 'flat') {
+      if (plan.unit_price_cents === null) {
+        throw new Error(`Pricing plan ${plan.code} has no unit price`);
+      }
+      components.push(usageComponent(billableUnits, plan.unit_price_cents, 'Units'));
+    } else if (plan.model === 'graduated' || plan.model === 'volume') {
+      if (plan.tiers.length === 0) {
+        throw new Error(`Pricing plan ${plan.code} has no tiers`);
+      }
+      components = components.concat(
+        plan.model === 'graduated'
+          ? graduatedComponents(plan, billableUnits)
+          : volumeComponents(plan, billableUnits)
+      );
+    } else {
+      throw new Error(`Unknown pricing model: ${plan.model}`);
+    }
+  }
+
+  const subtotalCents = components.reduce((sum, c) => sum + c.amount_cents, 0);
+  if (subtotalCents < minimumCents) {
+    components.push({
+      type: 'minimum_commitment',
+      description: 'Minimum commitment adjustment',
+      units: null,
+      unit_price_cents: null,
+      amount_cents: minimumCents - subtotalCents
+    });
+  }
+
+  return {
+    amountCents: Math.max(subtotalCents, minimumCents),
+    breakdown: {
+      plan: { id: plan.id, code: plan.code, name: plan.name, model: plan.model },
+      units: totalUnits,
+      included_units: plan.included_units,
+      billable_units: billableUnits,
+      minimum_cents: minimumCents,
+      subtotal_cents: subtotalCents,
+      components
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PRICING_PLAN_CODE,
+  loadPricingPlans,
+  calculateCharge
+};
@@ -0,0 +1,153 @@
+/**
+ * Transfer Status Reconciliation
+ * Catches invoices whose Dwolla webhook was missed: GETs the transfer of
+ * every initiated invoice, applies any final status through the same event
+ * handlers the webhook uses, and flags transfers that have been pending
+ * for too long
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+
+// ACH debits normally settle in 3-4 business days
+const RECONCILE_STUCK_BUSINESS_DAYS = Number(process.env.RECONCILE_STUCK_BUSINESS_DAYS || 5);
+
+// Dwolla transfer status → the webhook topic that would have reported it
+const STATUS_TOPICS = {
+  processed: 'transfer_completed',
+  failed: 'transfer_failed',
+  cancelled: 'transfer_cancelled'
+};
+
+/**
+ * Whole business days (Monday-Friday) from start to end
+ */
+function businessDaysBetween(start, end) {
+  let days = 0;
+  let day = start.startOf('day').plus({ days: 1 });
+  while (day <= end) {
+    if (day.weekday <= 5) {
+      days++;
+    }
+    day = day.plus({ days: 1 });
+  }
+  return days;
+}
+
+/**
+ * Reconcile every initiated invoice against Dwolla and store the report.
+ * handlers is the Dwolla event handler map (createDwollaEventHandlers).
+ * Returns the stored report.
+ */
+async function reconcileTransferStatuses(db, { dwollaGet }, handlers, { now, stuckBusinessDays = RECONCILE_STUCK_BUSINESS_DAYS }) {
+  const startedAt = DateTime.now();
+
+  // The latest attempt is when the current transfer was sent
+  const { rows: invoices } = await db.query(
+    `SELECT i.id, i.crm_contact_id, i.amount_cents, i.dwolla_transfer_href,
+            COALESCE(MAX(a.attempted_at), i.updated_at) AS initiated_at
+     FROM invoices i
+     LEFT JOIN payment_attempts a ON a.invoice_id = i.id AND a.dwolla_transfer_href = i.dwolla_transfer_href
+     WHERE i.status = 'initiated' AND i.dwolla_transfer_href IS NOT NULL
+     GROUP BY i.id
+     ORDER BY i.id`
+  );
+
+  const report = { checked: invoices.length, in_sync: 0, synced: [], stuck: [], errors: [] };
+
+  for (const invoice of invoices) {
+    try {
+      const transfer = await dwollaGet(invoice.dwolla_transfer_href);
+      const topic = STATUS_TOPICS[transfer.status];
+
+      if (topic) {
+        await handlers[topic](invoice.dwolla_transfer_href);
+        report.synced.push({
+          invoice_id: invoice.id,
+          crm_contact_id: invoice.crm_contact_id,
+          transfer_href: invoice.dwolla_transfer_href,
+          dwolla_status: transfer.status,
+          applied: topic
+        });
+        log.warn('Invoice status out of sync with Dwolla, synced', {
+          invoice_id: invoice.id,
+          transfer_href: invoice.dwolla_transfer_href,
+          dwolla_status: transfer.status
+        });
+        continue;
+      }
+
+      report.in_sync++;
+
+      const initiatedAt = DateTime.fromJSDate(invoice.initiated_at).setZone(now.zone);
+      const businessDays = businessDaysBetween(initiatedAt, now);
+      if (businessDays > stuckBusinessDays) {
+        report.stuck.push({
+          invoice_id: invoice.id,
+          crm_contact_id: invoice.crm_contact_id,
+          amount_cents: invoice.amount_cents,
+          transfer_href: invoice.dwolla_transfer_href,
+          dwolla_status: transfer.status,
+          initiated_at: initiatedAt.toISO(),
+          business_days: businessDays
+        });
+      }
+    } catch (error) {
+      report.errors.push({ invoice_id: invoice.id, transfer_href: invoice.dwolla_transfer_href, error: error.message });
+      log.error('Transfer reconciliation failed', { invoice_id: invoice.id, error: error.message });
+    }
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO reconciliation_reports(started_at, checked, in_sync, synced, stuck, failed, report)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id, started_at, finished_at`,
+    [startedAt.toISO(), report.checked, report.in_sync, report.synced.length, report.stuck.length,
+      report.errors.length, JSON.stringify({ ...report, stuck_business_days: stuckBusinessDays })]
+  );
+
+  const summary = {
+    report_id: rows[0].id,
+    checked: report.checked,
+    in_sync: report.in_sync,
+    synced: report.synced.length,
+    stuck: report.stuck.length,
+    failed: report.errors.length
+  };
+  if (report.synced.length > 0 || report.stuck.length > 0 || report.errors.length > 0) {
+    log.warn('Transfer reconciliation found problems', summary);
+  } else {
+    log.info('Transfer reconciliation completed', summary);
+  }
+
+  return { ...rows[0], stuck_business_days: stuckBusinessDays, ...report };
+}
+
+/**
+ * Summaries of the stored reconciliation reports, newest first
+ */
+async function listReconciliationReports(db, { limit, offset }) {
+  const { rows } = await db.query(
+    `SELECT id, started_at, finished_at, checked, in_sync, synced, stuck, failed
+     FROM reconciliation_reports
+     ORDER BY started_at DESC, id DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset]
+  );
+  return rows;
+}
+
+/**
+ * One stored report with its full detail (null if it does not exist)
+ */
+async function getReconciliationReport(db, id) {
+  const { rows } = await db.query('SELECT * FROM reconciliation_reports WHERE id = $1', [id]);
+  return rows[0] || null;
+}
+
+module.exports = {
+  RECONCILE_STUCK_BUSINESS_DAYS,
+  businessDaysBetween,
+  reconcileTransferStatuses,
+  listReconciliationReports,
+  getReconciliationReport
+};
@@ -0,0 +1,172 @@
+/**
+ * Refunds
+ * Returns money for a paid invoice with a reverse Dwolla transfer
+ * (our funding source → the customer's bank) linked to the invoice
+ *
+ * A refund is committed as 'pending' with its own idempotency key before
+ * Dwolla is called, so sending it again after a timeout cannot pay twice.
+ */
+const crypto = require('crypto');
+const log = require('../utils/logger');
+
+// Refunds in these statuses no longer count against the invoice amount
+const VOID_REFUND_STATUSES = ['failed', 'cancelled'];
+
+/**
+ * Commit a pending refund for a completed invoice. amountCents defaults to
+ * everything not yet refunded. Returns { refund }, { error } if the invoice
+ * cannot be refunded for that amount, or null if the invoice does not exist.
+ */
+async function createRefund(db, invoiceId, { amountCents, reason, createdBy = null }) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: invoices } = await client.query(
+      'SELECT id, crm_contact_id, amount_cents, status FROM invoices WHERE id = $1 FOR UPDATE',
+      [invoiceId]
+    );
+    if (invoices.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const invoice = invoices[0];
+
+    if (invoice.status !== 'completed') {
+      await client.query('ROLLBACK');
+      return { error: `Only completed invoices can be refunded (invoice is ${invoice.status})` };
+    }
+
+    const { rows: [{ refunded_cents: refundedCents }] } = await client.query(
+      `SELECT COALESCE(SUM(amount_cents), 0)::int AS refunded_cents
+       FROM refunds
+       WHERE invoice_id = $1 AND status != ALL($2)`,
+      [invoiceId, VOID_REFUND_STATUSES]
+    );
+    const refundableCents = invoice.amount_cents - refundedCents;
+    const refundCents = amountCents === undefined ? refundableCents : amountCents;
+
+    if (refundCents <= 0 || refundCents > refundableCents) {
+      await client.query('ROLLBACK');
+      return { error: `Refund must be between $0.01 and $${(refundableCents / 100).toFixed(2)}` };
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO refunds(invoice_id, crm_contact_id, amount_cents, reason, idempotency_key, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [invoiceId, invoice.crm_contact_id, refundCents, reason, `refund_${crypto.randomUUID()}`, createdBy]
+    );
+
+    await client.query('COMMIT');
+    return { refund: rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a refund's new status (and its transfer, once created)
+ */
+async function markRefund(db, refundId, { status, transferHref = null, error = null }) {
+  const { rows } = await db.query(
+    `UPDATE refunds
+     SET status = $2, dwolla_transfer_href = COALESCE($3, dwolla_transfer_href), error = $4, updated_at = now()
+     WHERE id = $1
+     RETURNING *`,
+    [refundId, status, transferHref, error]
+  );
+  return rows[0];
+}
+
+/**
+ * Create the Dwolla transfer for a pending refund and return the updated refund.
+ * If Dwolla rejects the transfer (4xx) the refund is marked failed; any other
+ * error leaves it pending so it can be sent again with the same idempotency key.
+ */
+async function sendRefundTransfer(db, { dwollaPost }, refund) {
+  const { rows: customers } = await db.query(
+    'SELECT dwolla_funding_href FROM customers WHERE crm_contact_id = $1',
+    [refund.crm_contact_id]
+  );
+  const destination = customers[0]?.dwolla_funding_href;
+  if (!destination) {
+    return markRefund(db, refund.id, { status: 'failed', error: 'Customer has no funding source' });
+  }
+
+  let resp;
+  try {
+    resp = await dwollaPost('transfers', {
+      _links: {
+        source: { href: process.env.DWOLLA_YOUR_FUNDING_HREF },
+        destination: { href: destination }
+      },
+      amount: { currency: 'USD', value: (refund.amount_cents / 100).toFixed(2) },
+      correlationId: refund.idempotency_key,
+      metadata: {
+        crm_contact_id: refund.crm_contact_id,
+        invoice_id: String(refund.invoice_id),
+        refund_id: String(refund.id)
+      }
+    }, { idempotencyKey: refund.idempotency_key });
+  } catch (error) {
+    if (error.status >= 400 && error.status < 500) {
+      log.warn('Refund transfer rejected', { refund_id: refund.id, invoice_id: refund.invoice_id, status: error.status });
+      return markRefund(db, refund.id, { status: 'failed', error: error.message });
+    }
+    throw error;
+  }
+
+  log.info('Refund transfer created', {
+    refund_id: refund.id,
+    invoice_id: refund.invoice_id,
+    amount_cents: refund.amount_cents,
+    transfer_href: resp.location
+  });
+  return markRefund(db, refund.id, { status: 'initiated', transferHref: resp.location });
+}
+
+/**
+ * Load a refund by id (null if it does not exist)
+ */
+async function getRefund(db, refundId) {
+  const { rows } = await db.query('SELECT * FROM refunds WHERE id = $1', [refundId]);
+  return rows[0] || null;
+}
+
+/**
+ * Refunds for an invoice, oldest first
+ */
+async function listInvoiceRefunds(db, invoiceId) {
+  const { rows } = await db.query(
+    'SELECT * FROM refunds WHERE invoice_id = $1 ORDER BY created_at, id',
+    [invoiceId]
+  );
+  return rows;
+}
+
+/**
+ * Move a refund to a new status by its transfer href (from a Dwolla webhook).
+ * Returns the updated refund, or undefined if none matched or it was already in that status.
+ */
+async function updateRefundStatus(db, transferHref, status) {
+  const { rows } = await db.query(
+    `UPDATE refunds
+     SET status = $2, updated_at = now()
+     WHERE dwolla_transfer_href = $1 AND status != $2
+     RETURNING id, invoice_id, crm_contact_id, amount_cents`,
+    [transferHref, status]
+  );
+  return rows[0];
+}
+
+module.exports = {
+  createRefund,
+  sendRefundTransfer,
+  getRefund,
+  listInvoiceRefunds,
+  updateRefundStatus
+};
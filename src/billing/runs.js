@@ -0,0 +1,245 @@
+/**
+ * Billing Runs
+ * Records every billing run with its periods, results and per-customer
+ * outcomes, keeps billing runs from overlapping across instances and
+ * re-bills the customers a run failed to bill
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { runBillingPeriods } = require('./billing-job');
+const { reconcilePendingInvoices } = require('./transfers');
+
+// Postgres advisory lock key shared by every instance of this app
+const BILLING_LOCK_KEY = 4839201;
+
+const RUN_TRIGGERS = ['api', 'schedule', 'startup', 'retry'];
+const RUN_STATUSES = ['running', 'completed', 'failed'];
+
+const RUN_COLUMNS = `
+  id, trigger, triggered_by, mode, status, run_at, since, retry_of, started_at, finished_at,
+  (EXTRACT(EPOCH FROM finished_at - started_at) * 1000)::int AS duration_ms, results, error`;
+
+/**
+ * Run fn while holding the billing advisory lock.
+ * Returns { locked: true, result } or { locked: false } if another run holds it.
+ */
+async function withBillingLock(db, fn) {
+  const client = await db.connect();
+  try {
+    const { rows } = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [BILLING_LOCK_KEY]);
+    if (!rows[0].locked) {
+      return { locked: false };
+    }
+    try {
+      return { locked: true, result: await fn() };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [BILLING_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record the start of a billing run and return its id.
+ * runAt is the moment the run bills up to; since is set for a catch-up run.
+ */
+async function startBillingRun(db, { trigger, mode = 'cycles', runAt, since = null, triggeredBy = null, retryOf = null }) {
+  const { rows } = await db.query(
+    `INSERT INTO billing_runs(trigger, mode, run_at, since, triggered_by, retry_of)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id`,
+    [trigger, mode, runAt.toISO(), since ? since.toISO() : null, triggeredBy, retryOf]
+  );
+  return rows[0].id;
+}
+
+/**
+ * Drop the per-customer outcomes from billing results; they are stored in billing_run_customers
+ */
+function withoutOutcomes({ outcomes, ...results }) {
+  return results;
+}
+
+/**
+ * Record the outcome of a billing run: its { periods, results } from
+ * runRequestedBilling, or the error that stopped it
+ */
+async function finishBillingRun(db, runId, { periods = null, results = null, error = null }) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows } = await client.query(
+      `UPDATE billing_runs
+       SET status = $2, finished_at = now(), periods = $3, results = $4, errors = $5, error = $6
+       WHERE id = $1
+       RETURNING *`,
+      [
+        runId,
+        error ? 'failed' : 'completed',
+        periods ? JSON.stringify(periods.map(period => ({ ...period, results: withoutOutcomes(period.results) }))) : null,
+        results ? JSON.stringify({ ...withoutOutcomes(results), errors: undefined }) : null,
+        results ? JSON.stringify(results.errors) : null,
+        error ? error.message : null
+      ]
+    );
+
+    if (results?.outcomes?.length > 0) {
+      await client.query(
+        `INSERT INTO billing_run_customers(run_id, crm_contact_id, period_start, period_end, outcome,
+                                           invoice_id, amount_cents, transfer_href, error)
+         SELECT $1, o.crm_contact_id, o.period_start, o.period_end, o.outcome,
+                o.invoice_id, o.amount_cents, o.transfer_href, o.error
+         FROM jsonb_to_recordset($2) AS o(crm_contact_id text, period_start timestamptz, period_end timestamptz,
+                                          outcome text, invoice_id integer, amount_cents integer,
+                                          transfer_href text, error text)`,
+        [runId, JSON.stringify(results.outcomes)]
+      );
+    }
+
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Record a billing run around fn, which returns { periods, results }.
+ * A run that throws is recorded as failed and the error is rethrown.
+ * Returns { run, periods, results } with run the finished billing_runs row.
+ */
+async function recordBillingRun(db, run, fn) {
+  const runId = await startBillingRun(db, run);
+  let billing;
+  try {
+    billing = await fn();
+  } catch (error) {
+    await finishBillingRun(db, runId, { error });
+    throw error;
+  }
+  return { run: await finishBillingRun(db, runId, billing), ...billing };
+}
+
+/**
+ * The most recent completed run from any of the given triggers (null if none)
+ */
+async function getLastCompletedRun(db, triggers) {
+  const { rows } = await db.query(
+    `SELECT * FROM billing_runs
+     WHERE status = 'completed' AND trigger = ANY($1)
+     ORDER BY run_at DESC
+     LIMIT 1`,
+    [triggers]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * List billing runs, newest first; from/to filter on started_at.
+ * Returns { runs, total }.
+ */
+async function listBillingRuns(db, { trigger, status, from, to, limit, offset }) {
+  const { rows } = await db.query(
+    `SELECT ${RUN_COLUMNS}, COUNT(*) OVER()::int AS total
+     FROM billing_runs
+     WHERE ($1::text IS NULL OR trigger = $1)
+       AND ($2::text IS NULL OR status = $2)
+       AND ($3::timestamptz IS NULL OR started_at >= $3)
+       AND ($4::timestamptz IS NULL OR started_at < $4)
+     ORDER BY started_at DESC, id DESC
+     LIMIT $5 OFFSET $6`,
+    [trigger || null, status || null, from, to, limit, offset]
+  );
+
+  return {
+    runs: rows.map(({ total, ...run }) => run),
+    total: rows.length > 0 ? rows[0].total : 0
+  };
+}
+
+/**
+ * Load a billing run with its periods, errors, each customer's outcome and
+ * the runs that retried it. Returns null if the run does not exist.
+ */
+async function getBillingRun(db, runId) {
+  const { rows } = await db.query(
+    `SELECT ${RUN_COLUMNS}, periods, errors FROM billing_runs WHERE id = $1`,
+    [runId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { rows: customers } = await db.query(
+    `SELECT crm_contact_id, period_start, period_end, outcome, invoice_id, amount_cents, transfer_href, error
+     FROM billing_run_customers
+     WHERE run_id = $1
+     ORDER BY period_end, crm_contact_id`,
+    [runId]
+  );
+  const { rows: retries } = await db.query(
+    'SELECT id, status, started_at FROM billing_runs WHERE retry_of = $1 ORDER BY id',
+    [runId]
+  );
+
+  return { ...rows[0], customers, retries };
+}
+
+/**
+ * Bill the failed customers of a run again, for the same periods, as a new
+ * 'retry' run. Customers who have been invoiced since are skipped by the
+ * billing job. Returns { run, periods, results }, { error } if the run has
+ * no failed customers, or null if it does not exist.
+ */
+async function retryFailedCustomers(db, dwolla, runId, { now, triggeredBy = null }) {
+  const original = await getBillingRun(db, runId);
+  if (!original) {
+    return null;
+  }
+  if (original.status === 'running') {
+    return { error: 'Billing run is still running' };
+  }
+
+  const periods = new Map();
+  for (const customer of original.customers.filter(c => c.outcome === 'failed')) {
+    const start = DateTime.fromJSDate(customer.period_start).setZone(now.zone);
+    const end = DateTime.fromJSDate(customer.period_end).setZone(now.zone);
+    const key = `${start.toISO()}|${end.toISO()}`;
+    if (!periods.has(key)) {
+      periods.set(key, { start, end, crmContactIds: [] });
+    }
+    periods.get(key).crmContactIds.push(customer.crm_contact_id);
+  }
+  if (periods.size === 0) {
+    return { error: 'Billing run has no failed customers to retry' };
+  }
+
+  log.info('Retrying failed customers of billing run', {
+    run_id: runId,
+    periods: periods.size,
+    customers: [...periods.values()].reduce((count, period) => count + period.crmContactIds.length, 0)
+  });
+
+  return recordBillingRun(db, { trigger: 'retry', mode: 'retry', runAt: now, triggeredBy, retryOf: runId }, async () => {
+    // Finish any invoice the failed run left between its two phases first
+    await reconcilePendingInvoices(db, dwolla, { zone: now.zone });
+    return runBillingPeriods(db, dwolla, [...periods.values()]);
+  });
+}
+
+module.exports = {
+  RUN_TRIGGERS,
+  RUN_STATUSES,
+  withBillingLock,
+  withoutOutcomes,
+  recordBillingRun,
+  getLastCompletedRun,
+  listBillingRuns,
+  getBillingRun,
+  retryFailedCustomers
+};
@@ -0,0 +1,145 @@
+/**
+ * Billing Scheduler
+ * Runs the billing job once a day in-process instead of an external cron,
+ * followed by the transfer status reconciliation that catches missed
+ * webhooks and the dunning retries that are due. Every instance schedules
+ * the run, but the billing advisory lock lets only one of them bill. Each
+ * run catches up on every period that closed since the last completed
+ * scheduled run, so a missed day is billed at the next run (or at startup).
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { runBillingCycles } = require('./billing-job');
+const { reconcilePendingInvoices } = require('./transfers');
+const { reconcileTransferStatuses } = require('./reconciliation');
+const { processDueRetries } = require('./dunning');
+const { withBillingLock, recordBillingRun, getLastCompletedRun } = require('./runs');
+const createDwollaEventHandlers = require('../webhooks/dwolla-events');
+
+// Local hour of the daily run; daily cycles close at midnight
+const BILLING_SCHEDULE_HOUR = Number(process.env.BILLING_SCHEDULE_HOUR || 2);
+
+const SCHEDULER_TRIGGERS = ['schedule', 'startup'];
+
+/**
+ * The most recent scheduled run time at or before now
+ */
+function lastScheduledAt(now, hour) {
+  const today = now.startOf('day').set({ hour });
+  return today <= now ? today : today.minus({ days: 1 });
+}
+
+/**
+ * Run one job of the scheduled run. Its error is logged rather than thrown,
+ * so the jobs after it still run. Returns the job's result, or null if it failed.
+ */
+async function runScheduledJob(job, trigger, fn) {
+  try {
+    return await fn();
+  } catch (error) {
+    log.error('Scheduled job error', { job, trigger, error: error.message, stack: error.stack });
+    return null;
+  }
+}
+
+/**
+ * Bill every period that closed since the last completed scheduled run, then
+ * reconcile initiated invoices with their Dwolla transfers and send the due
+ * dunning retries, unless it already ran for the latest scheduled time.
+ * Returns { locked: false } if another instance is billing, otherwise
+ * { locked: true, result } with result null if there was nothing due, or
+ * { run, reconciliation, dunning }: the finished billing_runs row, the
+ * reconciliation report and the dunning results (null for a job that failed).
+ */
+async function runScheduledBilling(db, dwolla, { now, trigger, hour = BILLING_SCHEDULE_HOUR }) {
+  return withBillingLock(db, async () => {
+    const lastRun = await getLastCompletedRun(db, SCHEDULER_TRIGGERS);
+    const lastRunAt = lastRun ? DateTime.fromJSDate(lastRun.run_at).setZone(now.zone) : null;
+    if (lastRunAt && lastRunAt >= lastScheduledAt(now, hour)) {
+      return null;
+    }
+
+    // Without a previous run there is nothing to catch up on: bill the last closed cycles
+    const run = await runScheduledJob('billing', trigger, async () => {
+      const billing = await recordBillingRun(db, { trigger, runAt: now, since: lastRunAt }, async () => {
+        await reconcilePendingInvoices(db, dwolla, { zone: now.zone });
+        return runBillingCycles(db, dwolla, { now, since: lastRunAt });
+      });
+      return billing.run;
+    });
+
+    // Apply any transfer status whose webhook was missed
+    const handlers = createDwollaEventHandlers(db, dwolla, { zone: now.zone });
+    const reconciliation = await runScheduledJob('reconciliation', trigger,
+      () => reconcileTransferStatuses(db, dwolla, handlers, { now }));
+
+    const dunning = await runScheduledJob('dunning', trigger, () => processDueRetries(db, dwolla));
+    if (dunning?.total > 0) {
+      log.info('Scheduled dunning run completed', { trigger, ...dunning, errors: dunning.errors.length });
+    }
+
+    return { run, reconciliation, dunning };
+  });
+}
+
+/**
+ * Create the daily billing scheduler. start() schedules the daily run and
+ * returns a promise for the startup catch-up run; stop() cancels the timer.
+ */
+function createBillingScheduler(db, dwolla, { zone, hour = BILLING_SCHEDULE_HOUR }) {
+  let timer = null;
+
+  async function run(trigger) {
+    const now = DateTime.now().setZone(zone);
+    try {
+      const { locked, result } = await runScheduledBilling(db, dwolla, { now, trigger, hour });
+      const billingRun = result?.run;
+      if (!locked) {
+        log.info('Billing run skipped, another instance is billing', { trigger });
+      } else if (!result) {
+        log.info('Billing already ran for this schedule', { trigger });
+      } else if (billingRun) {
+        log.info('Scheduled billing run completed', {
+          run_id: billingRun.id,
+          trigger,
+          since: billingRun.since,
+          periods: billingRun.periods.length,
+          successful: billingRun.results.successful,
+          failed: billingRun.results.failed,
+          skipped: billingRun.results.skipped
+        });
+      }
+    } catch (error) {
+      log.error('Scheduled billing run error', { trigger, error: error.message, stack: error.stack });
+    }
+  }
+
+  function scheduleNext() {
+    const now = DateTime.now().setZone(zone);
+    const next = lastScheduledAt(now, hour).plus({ days: 1 });
+    // A second late so the run never starts before its scheduled time
+    const delay = next.diff(now).as('milliseconds') + 1000;
+    timer = setTimeout(async () => {
+      await run('schedule');
+      scheduleNext();
+    }, delay);
+    log.info('Next billing run scheduled', { at: next.toISO() });
+  }
+
+  return {
+    start() {
+      scheduleNext();
+      return run('startup');
+    },
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  BILLING_SCHEDULE_HOUR,
+  runScheduledBilling,
+  createBillingScheduler
+};
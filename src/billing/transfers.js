@@ -0,0 +1,202 @@
+/**
+ * Invoice Transfers
+ * Creates the Dwolla transfer for a committed invoice without ever
+ * creating two transfers for the same invoice
+ *
+ * Invoices are committed as 'pending' before Dwolla is called. The transfer
+ * is sent with the invoice's billing key as both the Idempotency-Key header
+ * and the transfer correlationId, so a pending invoice left behind by a crash
+ * can be matched to its transfer (or safely re-sent) on the next start.
+ */
+const crypto = require('crypto');
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { recordAttempt } = require('./dunning');
+const { notifyInvoiceCreated } = require('../notifications/notifier');
+const { queueInvoiceSync } = require('../ghl/sync');
+
+/**
+ * Deterministic key for a customer's invoice in a billing period.
+ * revision counts the customer's voided invoices for the period, so a
+ * rebill gets a new key (and a new transfer) instead of the voided one's.
+ * Hashed because Dwolla correlation ids only allow [A-Za-z0-9-._].
+ */
+function createBillingKey(crmContactId, start, end, revision = 0) {
+  const period = `${crmContactId}|${start.toUTC().toISO()}|${end.toUTC().toISO()}`;
+  const hash = crypto
+    .createHash('sha256')
+    .update(revision > 0 ? `${period}|${revision}` : period)
+    .digest('hex');
+  return `bill_${hash.slice(0, 48)}`;
+}
+
+function toISO(value) {
+  return value instanceof Date ? DateTime.fromJSDate(value).toISO() : value;
+}
+
+/**
+ * Record the Dwolla transfer on a pending invoice
+ */
+async function markInvoiceInitiated(db, invoiceId, transferHref) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `UPDATE invoices
+       SET dwolla_transfer_href = $2, status = 'initiated', updated_at = now()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [invoiceId, transferHref]
+    );
+    if (rows.length > 0) {
+      await recordAttempt(client, invoiceId, transferHref);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Undo a pending invoice Dwolla refused, so its usage is billed (and any
+ * balance applied to it is available again) on the next run
+ */
+async function releasePendingInvoice(db, invoiceId) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `SELECT id FROM invoices WHERE id = $1 AND status = 'pending' FOR UPDATE`,
+      [invoiceId]
+    );
+    if (rows.length > 0) {
+      await client.query('UPDATE usage_ledger SET invoice_id = NULL WHERE invoice_id = $1', [invoiceId]);
+      await client.query(`DELETE FROM customer_ledger WHERE invoice_id = $1 AND entry_type = 'applied'`, [invoiceId]);
+      await client.query('DELETE FROM invoices WHERE id = $1', [invoiceId]);
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create the Dwolla transfer for a pending invoice.
+ * If Dwolla rejects the transfer (4xx) the invoice is released; any other
+ * error leaves it pending for reconcilePendingInvoices.
+ */
+async function sendInvoiceTransfer(db, { dwollaPost }, invoice) {
+  let resp;
+  try {
+    resp = await dwollaPost('transfers', {
+      _links: {
+        source: { href: invoice.dwolla_funding_href },
+        destination: { href: process.env.DWOLLA_YOUR_FUNDING_HREF }
+      },
+      amount: { currency: 'USD', value: (invoice.amount_cents / 100).toFixed(2) },
+      correlationId: invoice.billing_key,
+      metadata: {
+        crm_contact_id: invoice.crm_contact_id,
+        invoice_id: String(invoice.id),
+        period_start: toISO(invoice.period_start),
+        period_end: toISO(invoice.period_end)
+      }
+    }, { idempotencyKey: invoice.billing_key });
+  } catch (error) {
+    if (error.status >= 400 && error.status < 500) {
+      await releasePendingInvoice(db, invoice.id);
+      error.released = true;
+      log.warn('Transfer rejected, pending invoice released', { invoice_id: invoice.id, status: error.status });
+    }
+    throw error;
+  }
+
+  await markInvoiceInitiated(db, invoice.id, resp.location);
+  return resp.location;
+}
+
+/**
+ * Find a transfer Dwolla already created for an invoice, by correlationId
+ */
+async function findTransferByCorrelationId({ dwollaGet }, invoice) {
+  let customerHref = invoice.dwolla_customer_href;
+  if (!customerHref) {
+    const fundingSource = await dwollaGet(invoice.dwolla_funding_href);
+    customerHref = fundingSource?._links?.customer?.href;
+  }
+  if (!customerHref) {
+    throw new Error('Cannot determine Dwolla customer for invoice');
+  }
+
+  const list = await dwollaGet(`${customerHref}/transfers?correlationId=${encodeURIComponent(invoice.billing_key)}`);
+  return list?._embedded?.transfers?.[0]?._links?.self?.href || null;
+}
+
+/**
+ * Resolve every invoice left 'pending' (e.g. by a crash between committing
+ * the invoice and recording its transfer): attach the transfer Dwolla already
+ * created, or send it now with the same idempotency key. The customer gets
+ * the invoice receipt (and GHL the 'created' sync) the billing run could not send.
+ * zone is the billing time zone, for the dates in the receipt.
+ */
+async function reconcilePendingInvoices(db, dwolla, { zone }) {
+  const { rows: invoices } = await db.query(
+    `SELECT i.id, i.crm_contact_id, i.amount_cents, i.period_start, i.period_end, i.billing_key,
+            c.dwolla_customer_href, c.dwolla_funding_href
+     FROM invoices i
+     JOIN customers c USING (crm_contact_id)
+     WHERE i.status = 'pending'
+     ORDER BY i.id`
+  );
+
+  const results = { total: invoices.length, attached: 0, sent: 0, released: 0, failed: 0, errors: [] };
+
+  for (const invoice of invoices) {
+    try {
+      if (!invoice.dwolla_funding_href) {
+        throw new Error('Customer has no funding source');
+      }
+
+      const existingHref = await findTransferByCorrelationId(dwolla, invoice);
+      if (existingHref) {
+        await markInvoiceInitiated(db, invoice.id, existingHref);
+        results.attached++;
+        log.info('Pending invoice matched to existing transfer', { invoice_id: invoice.id, transfer_href: existingHref });
+        await notifyInvoiceCreated(db, invoice.id, { zone });
+        await queueInvoiceSync(db, invoice.id, 'created');
+        continue;
+      }
+
+      const transferHref = await sendInvoiceTransfer(db, dwolla, invoice);
+      results.sent++;
+      log.info('Pending invoice transfer sent', { invoice_id: invoice.id, transfer_href: transferHref });
+      await notifyInvoiceCreated(db, invoice.id, { zone });
+      await queueInvoiceSync(db, invoice.id, 'created');
+    } catch (error) {
+      if (error.released) {
+        results.released++;
+      } else {
+        results.failed++;
+      }
+      results.errors.push({ invoice_id: invoice.id, error: error.message });
+      log.error('Pending invoice reconciliation failed', { invoice_id: invoice.id, error: error.message });
+    }
+  }
+
+  if (results.total > 0) {
+    log.info('Pending invoices reconciled', { ...results, errors: results.errors.length });
+  }
+  return results;
+}
+
+module.exports = {
+  createBillingKey,
+  sendInvoiceTransfer,
+  reconcilePendingInvoices
+};
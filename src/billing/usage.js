@@ -0,0 +1,101 @@
+/**
+ * Usage Ledger
+ * Lists a customer's usage and voids or adjusts usage that has not been billed
+ */
+
+const USAGE_STATUSES = ['unbilled', 'billed', 'voided'];
+
+const USAGE_COLUMNS = `
+  id, idempotency_key, crm_contact_id, units, original_units, occurred_at, invoice_id,
+  voided_at, void_reason, adjusted_at, adjustment_reason,
+  CASE
+    WHEN voided_at IS NOT NULL THEN 'voided'
+    WHEN invoice_id IS NOT NULL THEN 'billed'
+    ELSE 'unbilled'
+  END AS status`;
+
+function toUsage(row) {
+  return {
+    ...row,
+    units: Number(row.units),
+    original_units: row.original_units === null ? null : Number(row.original_units)
+  };
+}
+
+/**
+ * List a customer's usage, newest first, filtered by status
+ * (unbilled, billed or voided) and by occurred_at in [from, to).
+ * Returns { usage, total }.
+ */
+async function listUsage(db, crmContactId, { status, from, to, limit, offset }) {
+  const { rows } = await db.query(
+    `SELECT ${USAGE_COLUMNS}, COUNT(*) OVER()::int AS total
+     FROM usage_ledger
+     WHERE crm_contact_id = $1
+       AND ($2::timestamptz IS NULL OR occurred_at >= $2)
+       AND ($3::timestamptz IS NULL OR occurred_at < $3)
+       AND ($4::text IS NULL
+            OR ($4 = 'voided' AND voided_at IS NOT NULL)
+            OR ($4 = 'billed' AND invoice_id IS NOT NULL AND voided_at IS NULL)
+            OR ($4 = 'unbilled' AND invoice_id IS NULL AND voided_at IS NULL))
+     ORDER BY occurred_at DESC, id DESC
+     LIMIT $5 OFFSET $6`,
+    [crmContactId, from, to, status || null, limit, offset]
+  );
+
+  return {
+    usage: rows.map(({ total, ...row }) => toUsage(row)),
+    total: rows.length > 0 ? rows[0].total : 0
+  };
+}
+
+/**
+ * Apply an UPDATE to a usage row only while it is unbilled and not voided.
+ * Returns { usage, updated }: usage is null if the row does not exist and
+ * updated is false if it was already billed or voided.
+ */
+async function updateUnbilledUsage(db, usageId, assignments, values) {
+  const { rows } = await db.query(
+    `UPDATE usage_ledger
+     SET ${assignments}
+     WHERE id = $1 AND invoice_id IS NULL AND voided_at IS NULL
+     RETURNING ${USAGE_COLUMNS}`,
+    [usageId, ...values]
+  );
+  if (rows.length > 0) {
+    return { usage: toUsage(rows[0]), updated: true };
+  }
+
+  const { rows: existing } = await db.query(
+    `SELECT ${USAGE_COLUMNS} FROM usage_ledger WHERE id = $1`,
+    [usageId]
+  );
+  return { usage: existing.length > 0 ? toUsage(existing[0]) : null, updated: false };
+}
+
+/**
+ * Void an unbilled usage row so it is never billed
+ */
+async function voidUsage(db, usageId, { reason }) {
+  return updateUnbilledUsage(db, usageId, 'voided_at = now(), void_reason = $2', [reason]);
+}
+
+/**
+ * Change the units of an unbilled usage row, keeping the units it was
+ * first recorded with in original_units
+ */
+async function adjustUsage(db, usageId, { units, reason }) {
+  return updateUnbilledUsage(
+    db,
+    usageId,
+    'original_units = COALESCE(original_units, units), units = $2, adjusted_at = now(), adjustment_reason = $3',
+    [units, reason]
+  );
+}
+
+module.exports = {
+  USAGE_STATUSES,
+  listUsage,
+  voidUsage,
+  adjustUsage
+};
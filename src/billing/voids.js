@@ -0,0 +1,142 @@
+/**
+ * Invoice Voids
+ * Backs out a mistaken invoice: cancels its Dwolla transfer while it is
+ * still cancellable, releases or writes off its usage and gives back any
+ * balance applied to it
+ */
+const log = require('../utils/logger');
+
+const USAGE_ACTIONS = ['rebill', 'write_off'];
+
+// Invoices whose money is not moving (or never moved) can be voided without Dwolla
+const SETTLED_STATUSES = ['credited', 'failed', 'cancelled', 'reclaimed'];
+
+/**
+ * Cancel an invoice's transfer in Dwolla. Returns null once cancelled, or
+ * an error message if Dwolla no longer allows it (e.g. already processed).
+ */
+async function cancelTransfer({ dwollaGet, dwollaPost }, transferHref) {
+  const transfer = await dwollaGet(transferHref);
+  if (transfer.status === 'cancelled') {
+    return null;
+  }
+  if (!transfer._links?.cancel) {
+    return `Transfer is ${transfer.status} and can no longer be cancelled; refund the invoice instead`;
+  }
+
+  try {
+    await dwollaPost(transferHref, { status: 'cancelled' });
+  } catch (error) {
+    if (error.status >= 400 && error.status < 500) {
+      return `Dwolla refused to cancel the transfer: ${error.message}`;
+    }
+    throw error;
+  }
+  return null;
+}
+
+/**
+ * Void an invoice. usage is 'rebill' (unlink the usage so the next run for
+ * the period bills it again) or 'write_off' (void the usage so it is never
+ * billed).
+ * Returns { invoice }, { error } if the invoice cannot be voided, or null
+ * if it does not exist.
+ */
+async function voidInvoice(db, dwolla, invoiceId, { reason, usage = 'rebill', voidedBy = null }) {
+  const { rows: invoices } = await db.query(
+    'SELECT id, crm_contact_id, status, dwolla_transfer_href FROM invoices WHERE id = $1',
+    [invoiceId]
+  );
+  if (invoices.length === 0) {
+    return null;
+  }
+  const invoice = invoices[0];
+
+  let cancelledTransfer = null;
+  if (invoice.status === 'initiated') {
+    const error = await cancelTransfer(dwolla, invoice.dwolla_transfer_href);
+    if (error) {
+      return { error };
+    }
+    cancelledTransfer = invoice.dwolla_transfer_href;
+    log.info('Transfer cancelled for void', { invoice_id: invoiceId, transfer_href: cancelledTransfer });
+  } else if (invoice.status === 'pending') {
+    return { error: 'Invoice is still being billed; try again after it is reconciled' };
+  } else if (invoice.status === 'completed') {
+    return { error: 'Invoice has been paid; refund it instead' };
+  } else if (!SETTLED_STATUSES.includes(invoice.status)) {
+    return { error: `A ${invoice.status} invoice cannot be voided` };
+  }
+
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+
+    // Only void the invoice in the state we checked (a webhook may have moved it since)
+    const { rows } = await client.query(
+      `UPDATE invoices
+       SET status = 'voided', voided_at = now(), voided_by = $3, void_reason = $4, void_usage = $5,
+           dunning_status = CASE WHEN dunning_status = 'retrying' THEN 'voided' ELSE dunning_status END,
+           next_retry_at = NULL, updated_at = now()
+       WHERE id = $1 AND status = ANY($2)
+       RETURNING *`,
+      [invoiceId, cancelledTransfer ? ['initiated', 'cancelled'] : SETTLED_STATUSES, voidedBy, reason, usage]
+    );
+    if (rows.length === 0) {
+      await client.query('ROLLBACK');
+      return { error: 'Invoice changed while it was being voided; try again' };
+    }
+
+    if (cancelledTransfer) {
+      await client.query(
+        `UPDATE payment_attempts SET status = 'cancelled', updated_at = now()
+         WHERE invoice_id = $1 AND dwolla_transfer_href = $2 AND status = 'initiated'`,
+        [invoiceId, cancelledTransfer]
+      );
+    }
+
+    if (usage === 'write_off') {
+      await client.query(
+        `UPDATE usage_ledger SET voided_at = now(), void_reason = $2
+         WHERE invoice_id = $1 AND voided_at IS NULL`,
+        [invoiceId, `Written off with voided invoice #${invoiceId}: ${reason}`]
+      );
+    } else {
+      await client.query('UPDATE usage_ledger SET invoice_id = NULL WHERE invoice_id = $1', [invoiceId]);
+    }
+
+    // Give back credit used on (or take back debits added to) the invoice
+    await client.query(
+      `INSERT INTO customer_ledger(crm_contact_id, entry_type, amount_cents, description, invoice_id, created_by)
+       SELECT crm_contact_id, 'applied', -SUM(amount_cents), $2, invoice_id, $3
+       FROM customer_ledger
+       WHERE invoice_id = $1 AND entry_type = 'applied'
+       GROUP BY crm_contact_id, invoice_id
+       HAVING SUM(amount_cents) <> 0`,
+      [invoiceId, `Invoice #${invoiceId} voided`, voidedBy]
+    );
+
+    await client.query('COMMIT');
+
+    log.warn('Invoice voided', {
+      invoice_id: invoiceId,
+      crm_contact_id: invoice.crm_contact_id,
+      previous_status: invoice.status,
+      cancelled_transfer: cancelledTransfer,
+      usage,
+      voided_by: voidedBy,
+      reason
+    });
+    return { invoice: rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  USAGE_ACTIONS,
+  voidInvoice
+};
@@ -0,0 +1,121 @@
+/**
+ * Bank Links
+ * One-off links to a hosted page where a customer links their own bank
+ * account through Dwolla Instant Account Verification (IAV), so we never
+ * handle routing or account numbers. Only a SHA-256 hash of each link token
+ * is stored; the URL is shown once, when the link is created.
+ */
+const crypto = require('crypto');
+const log = require('../utils/logger');
+const { createDwollaCustomer, linkFundingSource } = require('./onboarding');
+
+const BANK_LINK_TTL_HOURS = Number(process.env.BANK_LINK_TTL_HOURS || 72);
+
+const TOKEN_PREFIX = 'bl_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a bank link for a customer. A customer without a Dwolla customer
+ * gets one first (onboarding step 1).
+ * Returns null if the customer does not exist, { error }, { conflict } if
+ * they already have a funding source, { failed } if Dwolla rejected the
+ * customer, or { link, token } with the plaintext token.
+ */
+async function createBankLink(db, dwolla, crmContactId, { createdBy = null } = {}) {
+  const { rows: customers } = await db.query(
+    'SELECT dwolla_customer_href, dwolla_funding_href FROM customers WHERE crm_contact_id = $1',
+    [crmContactId]
+  );
+  if (customers.length === 0) {
+    return null;
+  }
+  if (customers[0].dwolla_funding_href) {
+    return { conflict: 'Customer already has a funding source' };
+  }
+
+  if (!customers[0].dwolla_customer_href) {
+    const created = await createDwollaCustomer(db, dwolla, crmContactId);
+    if (created.error || created.failed) {
+      return created;
+    }
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const { rows } = await db.query(
+    `INSERT INTO bank_links(crm_contact_id, token_hash, expires_at, created_by)
+     VALUES ($1, $2, now() + $3::float8 * interval '1 hour', $4)
+     RETURNING id, crm_contact_id, expires_at, created_at`,
+    [crmContactId, hashToken(token), BANK_LINK_TTL_HOURS, createdBy]
+  );
+
+  log.info('Bank link created', { crm_contact_id: crmContactId, bank_link_id: rows[0].id, created_by: createdBy });
+  return { link: rows[0], token };
+}
+
+/**
+ * Look up a link by its token with the customer it belongs to.
+ * Returns the link with state 'open', 'expired' or 'completed', or null.
+ */
+async function findBankLink(db, token) {
+  if (!token?.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const { rows } = await db.query(
+    `SELECT l.id, l.crm_contact_id, l.expires_at, l.completed_at, l.funding_href,
+            c.name, c.dwolla_customer_href, c.dwolla_funding_href,
+            CASE
+              WHEN l.completed_at IS NOT NULL OR c.dwolla_funding_href IS NOT NULL THEN 'completed'
+              WHEN l.expires_at <= now() THEN 'expired'
+              ELSE 'open'
+            END AS state
+     FROM bank_links l
+     JOIN customers c ON c.crm_contact_id = l.crm_contact_id
+     WHERE l.token_hash = $1`,
+    [hashToken(token)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Issue a Dwolla IAV token for an open link. IAV tokens last an hour, so a
+ * new one is issued every time the page is opened.
+ */
+async function issueIavToken(db, { dwollaPost }, link) {
+  const resp = await dwollaPost(`${link.dwolla_customer_href}/iav-token`, {});
+  await db.query('UPDATE bank_links SET opened_at = COALESCE(opened_at, now()) WHERE id = $1', [link.id]);
+  return resp.body.token;
+}
+
+/**
+ * Finish an open link with the funding source the customer linked and
+ * store it on the customer (see linkFundingSource).
+ * Returns the linkFundingSource result.
+ */
+async function completeBankLink(db, dwolla, link, fundingHref) {
+  const result = await linkFundingSource(db, dwolla, link.crm_contact_id, fundingHref, { via: 'bank_link' });
+  if (result?.onboarding && !result.failed) {
+    await db.query(
+      'UPDATE bank_links SET completed_at = now(), funding_href = $2 WHERE id = $1',
+      [link.id, fundingHref]
+    );
+    log.info('Bank link completed', {
+      crm_contact_id: link.crm_contact_id,
+      bank_link_id: link.id,
+      funding_href: fundingHref,
+      status: result.onboarding.status
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  BANK_LINK_TTL_HOURS,
+  createBankLink,
+  findBankLink,
+  issueIavToken,
+  completeBankLink
+};
@@ -0,0 +1,237 @@
+/**
+ * Customers
+ * Lists, creates and updates customer records for the admin API
+ */
+const { DateTime } = require('luxon');
+const { BILLING_CYCLES } = require('../billing/cycles');
+const { getBalance } = require('../billing/ledger');
+
+const CUSTOMER_STATUSES = ['pending', 'active', 'suspended', 'deactivated'];
+
+// Fields an admin may set on create or update; crm_contact_id is only set on create
+const EDITABLE_FIELDS = [
+  'name',
+  'email',
+  'status',
+  'dwolla_customer_href',
+  'dwolla_funding_href',
+  'pricing_plan',
+  'billing_cycle',
+  'billing_anchor_date'
+];
+
+const CUSTOMER_COLUMNS = `
+  c.crm_contact_id, c.name, c.email, c.status, c.dwolla_customer_href, c.dwolla_funding_href,
+  c.funding_source_status, c.billing_cycle, c.billing_anchor_date::text AS billing_anchor_date,
+  p.code AS pricing_plan, c.created_at`;
+
+function isNullableString(value) {
+  return value === null || typeof value === 'string';
+}
+
+/**
+ * Validate a create (requireId) or update payload.
+ * Returns an array of error messages.
+ */
+function validateCustomerFields(body, { requireId = false } = {}) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['Body must be a JSON object'];
+  }
+
+  if (requireId && (!body.crm_contact_id || typeof body.crm_contact_id !== 'string')) {
+    errors.push('crm_contact_id is required and must be a string');
+  }
+  if (!requireId && body.crm_contact_id !== undefined) {
+    errors.push('crm_contact_id cannot be changed');
+  }
+
+  const unknown = Object.keys(body).filter(key => key !== 'crm_contact_id' && !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`Unknown fields: ${unknown.join(', ')}`);
+  }
+
+  for (const field of ['name', 'email', 'dwolla_customer_href', 'dwolla_funding_href', 'pricing_plan']) {
+    if (body[field] !== undefined && !isNullableString(body[field])) {
+      errors.push(`${field} must be a string or null`);
+    }
+  }
+  if (typeof body.email === 'string' && !body.email.includes('@')) {
+    errors.push('email must be a valid email address');
+  }
+  if (body.status !== undefined && !CUSTOMER_STATUSES.includes(body.status)) {
+    errors.push(`status must be one of: ${CUSTOMER_STATUSES.join(', ')}`);
+  }
+  if (body.billing_cycle !== undefined && !BILLING_CYCLES.includes(body.billing_cycle)) {
+    errors.push(`billing_cycle must be one of: ${BILLING_CYCLES.join(', ')}`);
+  }
+  if (body.billing_anchor_date !== undefined && body.billing_anchor_date !== null &&
+      !DateTime.fromISO(String(body.billing_anchor_date)).isValid) {
+    errors.push('billing_anchor_date must be an ISO 8601 date or null');
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve a pricing plan code to its id. null clears the plan (the default
+ * plan is used); an unknown or inactive code returns undefined.
+ */
+async function resolvePricingPlanId(db, code) {
+  if (code === null) {
+    return null;
+  }
+  const { rows } = await db.query('SELECT id FROM pricing_plans WHERE code = $1 AND active', [code]);
+  return rows.length > 0 ? rows[0].id : undefined;
+}
+
+/**
+ * Turn validated fields into { columns, values } for an INSERT or UPDATE,
+ * or { error } if the pricing plan does not exist or is inactive
+ */
+async function toColumnValues(db, body) {
+  const columns = [];
+  const values = [];
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (field === 'pricing_plan') {
+      const planId = await resolvePricingPlanId(db, body.pricing_plan);
+      if (planId === undefined) {
+        return { error: `Unknown or inactive pricing plan: ${body.pricing_plan}` };
+      }
+      columns.push('pricing_plan_id');
+      values.push(planId);
+    } else {
+      columns.push(field);
+      values.push(body[field]);
+    }
+  }
+  return { columns, values };
+}
+
+/**
+ * List customers, newest first.
+ * q searches crm_contact_id, name and email; from/to filter on created_at.
+ * Returns { customers, total }.
+ */
+async function listCustomers(db, { q, status, billingCycle, from, to, limit, offset }) {
+  const { rows } = await db.query(
+    `SELECT ${CUSTOMER_COLUMNS}, COUNT(*) OVER()::int AS total
+     FROM customers c
+     LEFT JOIN pricing_plans p ON p.id = c.pricing_plan_id
+     WHERE ($1::text IS NULL OR c.crm_contact_id ILIKE $1 OR c.name ILIKE $1 OR c.email ILIKE $1)
+       AND ($2::text IS NULL OR c.status = $2)
+       AND ($3::text IS NULL OR c.billing_cycle = $3)
+       AND ($4::timestamptz IS NULL OR c.created_at >= $4)
+       AND ($5::timestamptz IS NULL OR c.created_at < $5)
+     ORDER BY c.created_at DESC, c.crm_contact_id
+     LIMIT $6 OFFSET $7`,
+    [q ? `%${q}%` : null, status || null, billingCycle || null, from, to, limit, offset]
+  );
+
+  return {
+    customers: rows.map(({ total, ...customer }) => customer),
+    total: rows.length > 0 ? rows[0].total : 0
+  };
+}
+
+/**
+ * Load a customer with their balance and a summary of their unbilled usage and invoices.
+ * Returns null if the customer does not exist.
+ */
+async function getCustomer(db, crmContactId) {
+  const { rows } = await db.query(
+    `SELECT ${CUSTOMER_COLUMNS}, c.deactivated_funding_href, c.funding_deactivated_at, c.funding_deactivated_reason
+     FROM customers c
+     LEFT JOIN pricing_plans p ON p.id = c.pricing_plan_id
+     WHERE c.crm_contact_id = $1`,
+    [crmContactId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const { rows: [unbilled] } = await db.query(
+    `SELECT COUNT(*)::int AS usage_count, COALESCE(SUM(units), 0) AS units,
+            MIN(occurred_at) AS oldest_occurred_at
+     FROM usage_ledger
+     WHERE crm_contact_id = $1 AND invoice_id IS NULL AND voided_at IS NULL`,
+    [crmContactId]
+  );
+  const balanceCents = await getBalance(db, crmContactId);
+  const { rows: invoices } = await db.query(
+    `SELECT status, COUNT(*)::int AS count, SUM(amount_cents)::int AS amount_cents
+     FROM invoices
+     WHERE crm_contact_id = $1
+     GROUP BY status
+     ORDER BY status`,
+    [crmContactId]
+  );
+
+  return {
+    ...rows[0],
+    unbilled_usage: { ...unbilled, units: Number(unbilled.units) },
+    balance_cents: balanceCents,
+    invoices_by_status: invoices
+  };
+}
+
+/**
+ * Create a customer. Returns { customer }, { error } for an unknown pricing
+ * plan, or { conflict: true } if the crm_contact_id is taken.
+ */
+async function createCustomer(db, body) {
+  const { columns, values, error } = await toColumnValues(db, body);
+  if (error) {
+    return { error };
+  }
+
+  const allColumns = ['crm_contact_id', ...columns];
+  const placeholders = allColumns.map((_, index) => `$${index + 1}`);
+  const { rows } = await db.query(
+    `INSERT INTO customers(${allColumns.join(', ')})
+     VALUES (${placeholders.join(', ')})
+     ON CONFLICT (crm_contact_id) DO NOTHING
+     RETURNING crm_contact_id`,
+    [body.crm_contact_id, ...values]
+  );
+  if (rows.length === 0) {
+    return { conflict: true };
+  }
+
+  return { customer: await getCustomer(db, body.crm_contact_id) };
+}
+
+/**
+ * Update the given fields of a customer. Returns { customer } (null if the
+ * customer does not exist) or { error } for an unknown or inactive pricing plan.
+ */
+async function updateCustomer(db, crmContactId, body) {
+  const { columns, values, error } = await toColumnValues(db, body);
+  if (error) {
+    return { error };
+  }
+
+  if (columns.length > 0) {
+    const assignments = columns.map((column, index) => `${column} = $${index + 2}`);
+    const { rowCount } = await db.query(
+      `UPDATE customers SET ${assignments.join(', ')} WHERE crm_contact_id = $1`,
+      [crmContactId, ...values]
+    );
+    if (rowCount === 0) {
+      return { customer: null };
+    }
+  }
+
+  return { customer: await getCustomer(db, crmContactId) };
+}
+
+module.exports = {
+  CUSTOMER_STATUSES,
+  validateCustomerFields,
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer
+};
@@ -0,0 +1,395 @@
+/**
+ * Customer Onboarding
+ * Takes a CRM contact from no Dwolla account to billable: creates an
+ * unverified Dwolla customer, attaches their bank account, sends and
+ * verifies micro-deposits, then activates the customer. Each step's state
+ * is kept in customer_onboarding_steps so a failed step can be run again.
+ *
+ * Dwolla answers a repeated customer email or bank account with the
+ * existing resource, which is adopted instead of failing the step.
+ */
+const log = require('../utils/logger');
+const { DwollaError } = require('../dwolla/client');
+
+const ONBOARDING_STEPS = [
+  'create_customer',
+  'attach_funding_source',
+  'initiate_micro_deposits',
+  'verify_micro_deposits',
+  'activate'
+];
+
+const BANK_ACCOUNT_TYPES = ['checking', 'savings'];
+
+async function loadCustomer(db, crmContactId) {
+  const { rows } = await db.query(
+    `SELECT crm_contact_id, name, email, status, dwolla_customer_href, dwolla_funding_href, funding_source_status
+     FROM customers
+     WHERE crm_contact_id = $1`,
+    [crmContactId]
+  );
+  return rows[0] || null;
+}
+
+async function loadSteps(db, crmContactId) {
+  const { rows } = await db.query(
+    `SELECT step, status, detail, error, attempts, started_at, updated_at, completed_at
+     FROM customer_onboarding_steps
+     WHERE crm_contact_id = $1`,
+    [crmContactId]
+  );
+  return new Map(rows.map(row => [row.step, row]));
+}
+
+/**
+ * A customer's onboarding: their Dwolla hrefs and status, every step's state
+ * and the next step to run. Returns null if the customer does not exist.
+ */
+async function getOnboarding(db, crmContactId) {
+  const customer = await loadCustomer(db, crmContactId);
+  if (!customer) {
+    return null;
+  }
+
+  const byStep = await loadSteps(db, crmContactId);
+  const steps = ONBOARDING_STEPS.map(step => byStep.get(step) || { step, status: 'not_started' });
+
+  return {
+    crm_contact_id: customer.crm_contact_id,
+    status: customer.status,
+    dwolla_customer_href: customer.dwolla_customer_href,
+    dwolla_funding_href: customer.dwolla_funding_href,
+    funding_source_status: customer.funding_source_status,
+    next_step: steps.find(step => step.status !== 'completed')?.step || null,
+    steps
+  };
+}
+
+/**
+ * Run one onboarding step. fn() does the work and returns the step's
+ * detail. A Dwolla rejection (or any error with a 4xx status) fails the
+ * step and returns { failed }; any other error fails the step and is rethrown.
+ */
+async function runStep(db, crmContactId, step, fn) {
+  await db.query(
+    `INSERT INTO customer_onboarding_steps(crm_contact_id, step, status, attempts)
+     VALUES ($1, $2, 'in_progress', 1)
+     ON CONFLICT (crm_contact_id, step) DO UPDATE
+     SET status = 'in_progress', error = NULL, attempts = customer_onboarding_steps.attempts + 1, updated_at = now()`,
+    [crmContactId, step]
+  );
+
+  let detail;
+  try {
+    detail = await fn();
+  } catch (error) {
+    const rejected = error.status >= 400 && error.status < 500;
+    const message = error instanceof DwollaError ? error.detail : error.message;
+    await db.query(
+      `UPDATE customer_onboarding_steps SET status = 'failed', error = $3, updated_at = now()
+       WHERE crm_contact_id = $1 AND step = $2`,
+      [crmContactId, step, message]
+    );
+    log.warn('Onboarding step failed', { crm_contact_id: crmContactId, step, status: error.status, error: message });
+    if (rejected) {
+      return { failed: message };
+    }
+    throw error;
+  }
+
+  await db.query(
+    `UPDATE customer_onboarding_steps
+     SET status = 'completed', detail = $3, updated_at = now(), completed_at = now()
+     WHERE crm_contact_id = $1 AND step = $2`,
+    [crmContactId, step, JSON.stringify(detail)]
+  );
+  log.info('Onboarding step completed', { crm_contact_id: crmContactId, step });
+  return { detail };
+}
+
+/**
+ * The customer's onboarding after a step, with the step's failure if it was rejected
+ */
+async function stepResult(db, crmContactId, { failed }) {
+  const onboarding = await getOnboarding(db, crmContactId);
+  return failed ? { failed, onboarding } : { onboarding };
+}
+
+/**
+ * Activate a customer whose bank account is verified. Suspended and
+ * deactivated customers are left alone and the step fails.
+ */
+async function activateCustomer(db, crmContactId) {
+  return runStep(db, crmContactId, 'activate', async () => {
+    const { rows } = await db.query(
+      `UPDATE customers SET status = 'active', funding_source_status = 'verified'
+       WHERE crm_contact_id = $1 AND status IN ('pending', 'active')
+       RETURNING crm_contact_id`,
+      [crmContactId]
+    );
+    if (rows.length === 0) {
+      const { status } = await loadCustomer(db, crmContactId);
+      const error = new Error(`Customer is ${status}; set their status to active to bill them`);
+      error.status = 409;
+      throw error;
+    }
+    log.info('Customer onboarded', { crm_contact_id: crmContactId });
+    return { status: 'active' };
+  });
+}
+
+/**
+ * Step 1: create an unverified Dwolla customer from the CRM contact's name
+ * and email. firstName/lastName default to the contact's name split at the
+ * first space. A customer that already has a Dwolla customer keeps it.
+ * Returns null if the customer does not exist, { error } if a name or email
+ * is missing, { failed, onboarding } if Dwolla rejects it, or { onboarding }.
+ */
+async function createDwollaCustomer(db, { dwollaPost }, crmContactId, { firstName, lastName, businessName } = {}) {
+  const customer = await loadCustomer(db, crmContactId);
+  if (!customer) {
+    return null;
+  }
+
+  if (customer.dwolla_customer_href) {
+    const result = await runStep(db, crmContactId, 'create_customer', async () => ({
+      customer_href: customer.dwolla_customer_href,
+      existing: true
+    }));
+    return stepResult(db, crmContactId, result);
+  }
+
+  const [first, ...rest] = (customer.name || '').trim().split(/\s+/);
+  firstName = firstName || first;
+  lastName = lastName || rest.join(' ');
+  if (!firstName || !lastName) {
+    return { error: 'first_name and last_name are required when the customer has no full name' };
+  }
+  if (!customer.email) {
+    return { error: 'Customer has no email address; set one with PATCH /customers/:id' };
+  }
+
+  const result = await runStep(db, crmContactId, 'create_customer', async () => {
+    let customerHref;
+    let existing = false;
+    try {
+      // One key per customer and step: resending after a timeout returns what Dwolla already created
+      const resp = await dwollaPost('customers', {
+        firstName,
+        lastName,
+        email: customer.email,
+        ...(businessName ? { businessName } : {})
+      }, { idempotencyKey: `onboarding-${crmContactId}-customer` });
+      customerHref = resp.location;
+    } catch (error) {
+      customerHref = error instanceof DwollaError ? error.existingHref : null;
+      if (!customerHref) {
+        throw error;
+      }
+      existing = true;
+      log.warn('Dwolla customer already exists for email, adopting it', { crm_contact_id: crmContactId, customer_href: customerHref });
+    }
+
+    await db.query('UPDATE customers SET dwolla_customer_href = $2 WHERE crm_contact_id = $1', [crmContactId, customerHref]);
+    return { customer_href: customerHref, existing };
+  });
+  return stepResult(db, crmContactId, result);
+}
+
+/**
+ * Step 2: add the customer's bank account to their Dwolla customer and store
+ * it as their funding source. Only the last 4 digits of the account are kept.
+ * Returns null, { conflict } if the step cannot run yet (or already ran),
+ * { failed, onboarding } if Dwolla rejects the account, or { onboarding }.
+ */
+async function attachFundingSource(db, { dwollaPost, dwollaGet }, crmContactId, { routingNumber, accountNumber, bankAccountType, name }) {
+  const customer = await loadCustomer(db, crmContactId);
+  if (!customer) {
+    return null;
+  }
+  if (!customer.dwolla_customer_href) {
+    return { conflict: 'Create the Dwolla customer first' };
+  }
+  if (customer.dwolla_funding_href) {
+    return { conflict: 'Customer already has a funding source' };
+  }
+
+  const result = await runStep(db, crmContactId, 'attach_funding_source', async () => {
+    let fundingHref;
+    let existing = false;
+    try {
+      const resp = await dwollaPost(`${customer.dwolla_customer_href}/funding-sources`, {
+        routingNumber,
+        accountNumber,
+        bankAccountType,
+        name
+      }, { idempotencyKey: `onboarding-${crmContactId}-funding-source` });
+      fundingHref = resp.location;
+    } catch (error) {
+      fundingHref = error instanceof DwollaError ? error.existingHref : null;
+      if (!fundingHref) {
+        throw error;
+      }
+      existing = true;
+      log.warn('Bank account already attached in Dwolla, adopting it', { crm_contact_id: crmContactId, funding_href: fundingHref });
+    }
+
+    const fundingSource = await dwollaGet(fundingHref);
+    await db.query(
+      'UPDATE customers SET dwolla_funding_href = $2, funding_source_status = $3 WHERE crm_contact_id = $1',
+      [crmContactId, fundingHref, fundingSource.status]
+    );
+    return {
+      funding_href: fundingHref,
+      name: fundingSource.name,
+      bank_name: fundingSource.bankName || null,
+      bank_account_type: bankAccountType,
+      account_last4: accountNumber.slice(-4),
+      funding_source_status: fundingSource.status,
+      existing
+    };
+  });
+  return stepResult(db, crmContactId, result);
+}
+
+/**
+ * Step 3: send the two micro-deposits. A bank account Dwolla has already
+ * verified skips straight to activation.
+ * Returns null, { conflict }, { failed, onboarding } or { onboarding }.
+ */
+async function initiateMicroDeposits(db, { dwollaPost, dwollaGet }, crmContactId) {
+  const customer = await loadCustomer(db, crmContactId);
+  if (!customer) {
+    return null;
+  }
+  if (!customer.dwolla_funding_href) {
+    return { conflict: 'Attach a funding source first' };
+  }
+  const steps = await loadSteps(db, crmContactId);
+  if (steps.get('initiate_micro_deposits')?.status === 'completed') {
+    return { conflict: 'Micro-deposits were already sent' };
+  }
+
+  const fundingHref = customer.dwolla_funding_href;
+  let verified = false;
+  const result = await runStep(db, crmContactId, 'initiate_micro_deposits', async () => {
+    const fundingSource = await dwollaGet(fundingHref);
+    if (fundingSource.status === 'verified') {
+      verified = true;
+      return { funding_href: fundingHref, already_verified: true };
+    }
+    if (fundingSource._links?.['verify-micro-deposits']) {
+      return { funding_href: fundingHref, existing: true };
+    }
+    if (!fundingSource._links?.['initiate-micro-deposits']) {
+      const error = new Error(`Funding source cannot be verified with micro-deposits (status: ${fundingSource.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    await dwollaPost(`${fundingHref}/micro-deposits`, {}, { idempotencyKey: `onboarding-${crmContactId}-micro-deposits` });
+    return { funding_href: fundingHref, existing: false };
+  });
+
+  if (verified) {
+    await runStep(db, crmContactId, 'verify_micro_deposits', async () => ({ funding_href: fundingHref, already_verified: true }));
+    await activateCustomer(db, crmContactId);
+  }
+  return stepResult(db, crmContactId, result);
+}
+
+/**
+ * Step 4: verify the two micro-deposit amounts (e.g. "0.03") the customer
+ * saw on their statement, then activate the customer (step 5). Once
+ * verified, calling it again only retries a failed activation.
+ * Returns null, { conflict }, { failed, onboarding } (wrong amounts, too
+ * many attempts) or { onboarding }.
+ */
+async function verifyMicroDeposits(db, { dwollaPost }, crmContactId, { amount1, amount2 }) {
+  const customer = await loadCustomer(db, crmContactId);
+  if (!customer) {
+    return null;
+  }
+  const steps = await loadSteps(db, crmContactId);
+  if (steps.get('initiate_micro_deposits')?.status !== 'completed') {
+    return { conflict: 'Send the micro-deposits first' };
+  }
+  if (steps.get('verify_micro_deposits')?.status === 'completed') {
+    if (steps.get('activate')?.status === 'completed') {
+      return { conflict: 'Customer is already onboarded' };
+    }
+    // Verified, but activation failed (e.g. the customer was suspended): try it again
+    return stepResult(db, crmContactId, await activateCustomer(db, crmContactId));
+  }
+
+  const result = await runStep(db, crmContactId, 'verify_micro_deposits', async () => {
+    await dwollaPost(`${customer.dwolla_funding_href}/micro-deposits`, {
+      amount1: { value: amount1, currency: 'USD' },
+      amount2: { value: amount2, currency: 'USD' }
+    });
+    return { funding_href: customer.dwolla_funding_href };
+  });
+
+  if (!result.failed) {
+    await activateCustomer(db, crmContactId);
+  }
+  return stepResult(db, crmContactId, result);
+}
+
+/**
+ * Store a bank account the customer linked themselves (e.g. through a bank
+ * link page) as their funding source, completing step 2. An account Dwolla
+ * verified instantly also completes steps 3-4 and activates the customer;
+ * an unverified one waits for micro-deposits. The funding source must belong
+ * to the customer's Dwolla customer.
+ * Returns null, { error } if it belongs to someone else, { conflict } if the
+ * customer already has another funding source, { failed, onboarding } or { onboarding }.
+ */
+async function linkFundingSource(db, { dwollaGet }, crmContactId, fundingHref, { via }) {
+  const customer = await loadCustomer(db, crmContactId);
+  if (!customer) {
+    return null;
+  }
+  if (customer.dwolla_funding_href && customer.dwolla_funding_href !== fundingHref) {
+    return { conflict: 'Customer already has a funding source' };
+  }
+
+  const fundingSource = await dwollaGet(fundingHref);
+  if (!customer.dwolla_customer_href || fundingSource._links?.customer?.href !== customer.dwolla_customer_href) {
+    log.warn('Linked funding source belongs to another Dwolla customer', { crm_contact_id: crmContactId, funding_href: fundingHref });
+    return { error: 'Funding source does not belong to this customer' };
+  }
+
+  const result = await runStep(db, crmContactId, 'attach_funding_source', async () => {
+    await db.query(
+      'UPDATE customers SET dwolla_funding_href = $2, funding_source_status = $3 WHERE crm_contact_id = $1',
+      [crmContactId, fundingHref, fundingSource.status]
+    );
+    return {
+      funding_href: fundingHref,
+      name: fundingSource.name,
+      bank_name: fundingSource.bankName || null,
+      funding_source_status: fundingSource.status,
+      via
+    };
+  });
+
+  if (fundingSource.status === 'verified') {
+    for (const step of ['initiate_micro_deposits', 'verify_micro_deposits']) {
+      await runStep(db, crmContactId, step, async () => ({ funding_href: fundingHref, already_verified: true }));
+    }
+    await activateCustomer(db, crmContactId);
+  }
+  return stepResult(db, crmContactId, result);
+}
+
+module.exports = {
+  ONBOARDING_STEPS,
+  BANK_ACCOUNT_TYPES,
+  getOnboarding,
+  createDwollaCustomer,
+  attachFundingSource,
+  initiateMicroDeposits,
+  verifyMicroDeposits,
+  linkFundingSource
+};
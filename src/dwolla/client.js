@@ -0,0 +1,270 @@
+/**
+ * Dwolla API client
+ * The one Dwolla client for the server and every CLI script: OAuth token
+ * caching, GET/POST with retries and backoff, idempotency keys, paging over
+ * HAL _links and typed errors parsed from Dwolla's error bodies
+ *
+ * DWOLLA_BASE, DWOLLA_KEY and DWOLLA_SECRET configure it. DWOLLA_BASE can
+ * point at a local fake Dwolla server.
+ */
+const log = require('../utils/logger');
+
+const DWOLLA_TOKEN_EXPIRY_BUFFER_SECONDS = 60;
+const DWOLLA_MAX_RETRIES = Number(process.env.DWOLLA_MAX_RETRIES || 3);
+const DWOLLA_RETRY_BASE_MS = Number(process.env.DWOLLA_RETRY_BASE_MS || 1000);
+const DWOLLA_TIMEOUT_MS = Number(process.env.DWOLLA_TIMEOUT_MS || 30000);
+
+const HAL_JSON = 'application/vnd.dwolla.v1.hal+json';
+
+/**
+ * A request Dwolla answered with an error status.
+ * code is Dwolla's error code (ValidationError, DuplicateResource,
+ * InvalidResourceState, NotFound, ...) and errors the field errors of a
+ * ValidationError ({ code, message, path, _links }).
+ */
+class DwollaError extends Error {
+  constructor(status, body, text) {
+    const errors = body?._embedded?.errors || [];
+    const detail = errors.length > 0
+      ? errors.map(fieldError => fieldError.message).join(' ')
+      : body?.message || text;
+    super(`Dwolla API error: ${status}${body?.code ? ` ${body.code}` : ''} - ${detail}`);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = body?.code || null;
+    this.errors = errors;
+    this.detail = detail;
+    this.body = body;
+  }
+
+  /**
+   * Dwolla rejected the request; sending it again will not change the answer
+   */
+  get rejected() {
+    return this.status >= 400 && this.status < 500;
+  }
+
+  /**
+   * The href of the resource Dwolla says already exists (a customer with the
+   * same email, the same bank account), or null
+   */
+  get existingHref() {
+    if (this.code === 'DuplicateResource') {
+      return this.body._links?.about?.href || null;
+    }
+    const duplicate = this.errors.find(fieldError => fieldError.code === 'Duplicate');
+    return duplicate?._links?.about?.href || null;
+  }
+}
+
+/** 400 ValidationError: the request body failed Dwolla's validation (see errors) */
+class DwollaValidationError extends DwollaError {}
+
+/** 401/403: bad credentials, or the application lacks access */
+class DwollaAuthError extends DwollaError {}
+
+/** 404: the resource does not exist (or belongs to another application) */
+class DwollaNotFoundError extends DwollaError {}
+
+/**
+ * Build the typed error for a failed Dwolla response
+ */
+function dwollaError(status, text) {
+  let body = null;
+  try {
+    body = JSON.parse(text);
+  } catch {
+    // Not JSON (e.g. a proxy error page); the text is kept in the message
+  }
+
+  if (status === 400 && body?.code === 'ValidationError') {
+    return new DwollaValidationError(status, body, text);
+  }
+  if (status === 401 || status === 403) {
+    return new DwollaAuthError(status, body, text);
+  }
+  if (status === 404) {
+    return new DwollaNotFoundError(status, body, text);
+  }
+  return new DwollaError(status, body, text);
+}
+
+function dwollaBase() {
+  const base = process.env.DWOLLA_BASE;
+  if (!base || !process.env.DWOLLA_KEY || !process.env.DWOLLA_SECRET) {
+    throw new Error('DWOLLA_BASE, DWOLLA_KEY and DWOLLA_SECRET must be set');
+  }
+  return base.replace(/\/$/, '');
+}
+
+/**
+ * Resolve a path relative to DWOLLA_BASE, or pass a full href through
+ */
+function dwollaUrl(pathOrHref) {
+  return pathOrHref.startsWith('http') ? pathOrHref : `${dwollaBase()}/${pathOrHref.replace(/^\//, '')}`;
+}
+
+// Token cache; concurrent requests share one token request
+let tokenCache = { token: null, expiresAt: null };
+let tokenRequest = null;
+
+async function requestDwollaToken() {
+  const creds = Buffer.from(`${process.env.DWOLLA_KEY.trim()}:${process.env.DWOLLA_SECRET.trim()}`).toString('base64');
+  const res = await fetch(`${dwollaBase()}/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${creds}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials',
+    signal: AbortSignal.timeout(DWOLLA_TIMEOUT_MS)
+  });
+
+  if (!res.ok) {
+    throw dwollaError(res.status, await res.text());
+  }
+
+  const json = await res.json();
+  const expiresIn = json.expires_in || 3600;
+
+  tokenCache = {
+    token: json.access_token,
+    expiresAt: Date.now() + (expiresIn - DWOLLA_TOKEN_EXPIRY_BUFFER_SECONDS) * 1000
+  };
+
+  log.info('Dwolla token refreshed', { expiresIn });
+  return json.access_token;
+}
+
+async function getDwollaToken() {
+  if (tokenCache.token && tokenCache.expiresAt && Date.now() < tokenCache.expiresAt) {
+    return tokenCache.token;
+  }
+  if (!tokenRequest) {
+    tokenRequest = requestDwollaToken().finally(() => {
+      tokenRequest = null;
+    });
+  }
+  return tokenRequest;
+}
+
+/**
+ * Delay before a retry: Retry-After when Dwolla rate limits us, otherwise exponential backoff
+ */
+function retryDelay(res, attempt) {
+  const retryAfter = res?.headers.get('retry-after');
+  if (retryAfter && Number(retryAfter) >= 0) {
+    return Number(retryAfter) * 1000;
+  }
+  return Math.min(DWOLLA_RETRY_BASE_MS * Math.pow(2, attempt - 1), 30000);
+}
+
+/**
+ * Send a request to Dwolla and return { status, location, body }.
+ * An expired token (401) is refreshed and rate limits (429) are retried for
+ * every request. Network errors, timeouts (no response within
+ * DWOLLA_TIMEOUT_MS) and 5xx are retried only when repeating the request is
+ * safe: GETs, and POSTs with an idempotency key (Dwolla returns the original
+ * response for a repeated key within 24 hours). Any other error is thrown as
+ * a DwollaError.
+ */
+async function dwollaRequest(method, pathOrHref, body, { idempotencyKey, retries = DWOLLA_MAX_RETRIES } = {}) {
+  const url = dwollaUrl(pathOrHref);
+  const repeatable = method === 'GET' || Boolean(idempotencyKey);
+
+  for (let attempt = 1; ; attempt++) {
+    const headers = {
+      Authorization: `Bearer ${await getDwollaToken()}`,
+      Accept: HAL_JSON
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = HAL_JSON;
+    }
+    if (idempotencyKey) {
+      headers['Idempotency-Key'] = idempotencyKey;
+    }
+
+    let res;
+    let text;
+    try {
+      res = await fetch(url, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(DWOLLA_TIMEOUT_MS)
+      });
+      // The timeout covers the body too
+      text = await res.text();
+    } catch (error) {
+      if (!repeatable || attempt >= retries) throw error;
+      const delay = retryDelay(null, attempt);
+      log.warn('Dwolla request failed, retrying', { method, url, attempt, delay, error: error.message });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+
+    if (res.ok) {
+      // Most POSTs answer 201 with only a Location; GETs and some POSTs (e.g. iav-token) return a body
+      return { status: res.status, location: res.headers.get('location'), body: text ? JSON.parse(text) : null };
+    }
+
+    const error = dwollaError(res.status, text);
+    if (res.status === 401) {
+      tokenCache = { token: null, expiresAt: null };
+    }
+
+    const retryable = res.status === 401 || res.status === 429 || (res.status >= 500 && repeatable);
+    if (!retryable || attempt >= retries) {
+      throw error;
+    }
+    const delay = res.status === 401 ? 0 : retryDelay(res, attempt);
+    log.warn('Dwolla request failed, retrying', { method, url, attempt, delay, status: res.status, code: error.code });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * GET a Dwolla resource by path or href and return its body
+ */
+async function dwollaGet(pathOrHref, options) {
+  const { body } = await dwollaRequest('GET', pathOrHref, undefined, options);
+  return body;
+}
+
+/**
+ * POST to Dwolla and return { location, body }. Pass an idempotencyKey to
+ * make retries (and reruns within Dwolla's 24 hour window) return the
+ * original resource instead of creating a new one.
+ */
+async function dwollaPost(pathOrHref, body, options) {
+  const { location, body: responseBody } = await dwollaRequest('POST', pathOrHref, body, options);
+  return { location, body: responseBody };
+}
+
+/**
+ * GET every page of a HAL collection by following _links.next and return
+ * the items embedded under key (e.g. dwollaGetAll('customers', 'customers')).
+ * max stops after that many items.
+ */
+async function dwollaGetAll(pathOrHref, key, { max = Infinity } = {}) {
+  const items = [];
+  let next = pathOrHref;
+  while (next && items.length < max) {
+    const page = await dwollaGet(next);
+    items.push(...(page._embedded?.[key] || []));
+    next = page._links?.next?.href;
+  }
+  return items.slice(0, max);
+}
+
+module.exports = {
+  DwollaError,
+  DwollaValidationError,
+  DwollaAuthError,
+  DwollaNotFoundError,
+  getDwollaToken,
+  dwollaRequest,
+  dwollaGet,
+  dwollaPost,
+  dwollaGetAll
+};
@@ -0,0 +1,61 @@
+/**
+ * Dwolla transfer failures
+ * Looks up the ACH return code for a failed transfer
+ */
+const log = require('../utils/logger');
+
+/**
+ * Return codes that mean the bank account can never be debited again
+ * R02 account closed, R03 no account / unable to locate, R04 invalid account number,
+ * R16 account frozen, R20 non-transaction account
+ */
+const DEACTIVATING_RETURN_CODES = ['R02', 'R03', 'R04', 'R16', 'R20'];
+
+/**
+ * Fetch the failure reason for a transfer.
+ * Returns { code, description, explanation } or null if Dwolla has none.
+ */
+async function fetchTransferFailure(dwollaGet, transferHref) {
+  const transfer = await dwollaGet(transferHref);
+  const failureHref = transfer?._links?.failure?.href;
+  if (!failureHref) {
+    return null;
+  }
+
+  const failure = await dwollaGet(failureHref);
+  return {
+    code: failure.code || null,
+    description: failure.description || null,
+    explanation: failure.explanation || null
+  };
+}
+
+/**
+ * Remove a customer's funding source from billing after a permanent return
+ */
+async function deactivateFundingSource(db, crmContactId, failure) {
+  const { rows } = await db.query(
+    `UPDATE customers
+     SET deactivated_funding_href = dwolla_funding_href,
+         dwolla_funding_href = NULL,
+         funding_deactivated_at = now(),
+         funding_deactivated_reason = $2
+     WHERE crm_contact_id = $1 AND dwolla_funding_href IS NOT NULL
+     RETURNING deactivated_funding_href`,
+    [crmContactId, `${failure.code}: ${failure.description || 'ACH return'}`]
+  );
+
+  if (rows.length > 0) {
+    log.warn('Funding source deactivated', {
+      crm_contact_id: crmContactId,
+      return_code: failure.code,
+      funding_href: rows[0].deactivated_funding_href
+    });
+  }
+}
+
+module.exports = {
+  DEACTIVATING_RETURN_CODES,
+  fetchTransferFailure,
+  deactivateFundingSource
+};
@@ -0,0 +1,87 @@
+/**
+ * GoHighLevel API client
+ * Authenticated requests to the GHL (LeadConnector) v2 API with retries
+ *
+ * GHL_API_TOKEN is a private integration token with the contacts.write scope.
+ * GHL_API_BASE points at the API (or a local mock server, see scripts/mock-ghl-server.js).
+ */
+const log = require('../utils/logger');
+
+const GHL_API_VERSION = '2021-07-28';
+const GHL_RETRY_BASE_MS = Number(process.env.GHL_RETRY_BASE_MS || 1000);
+const GHL_TIMEOUT_MS = Number(process.env.GHL_TIMEOUT_MS || 15000);
+
+function ghlBase() {
+  return process.env.GHL_API_BASE || 'https://services.leadconnectorhq.com';
+}
+
+/**
+ * Whether the outbound connector is configured
+ */
+function isGhlEnabled() {
+  return Boolean(process.env.GHL_API_TOKEN);
+}
+
+/**
+ * Delay before a retry: Retry-After when GHL rate limits us, otherwise exponential backoff
+ */
+function retryDelay(res, attempt) {
+  const retryAfter = res?.headers.get('retry-after');
+  if (retryAfter && Number(retryAfter) >= 0) {
+    return Number(retryAfter) * 1000;
+  }
+  return Math.min(GHL_RETRY_BASE_MS * Math.pow(2, attempt - 1), 30000);
+}
+
+/**
+ * Send a request to GHL. Rate limits (429), server errors, network errors and
+ * timeouts (no response within GHL_TIMEOUT_MS) are retried with backoff; any
+ * other 4xx is thrown straight away.
+ * Returns the parsed JSON response (null for an empty body).
+ */
+async function ghlRequest(method, path, body, { retries = Number(process.env.GHL_MAX_RETRIES || 4) } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    let res;
+    let text;
+    try {
+      res = await fetch(`${ghlBase()}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${process.env.GHL_API_TOKEN}`,
+          Version: GHL_API_VERSION,
+          Accept: 'application/json',
+          'Content-Type': 'application/json'
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(GHL_TIMEOUT_MS)
+      });
+      text = await res.text();
+    } catch (error) {
+      if (attempt >= retries) throw error;
+      const delay = retryDelay(null, attempt);
+      log.warn('GHL request failed, retrying', { method, path, attempt, delay, error: error.message });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      continue;
+    }
+
+    if (res.ok) {
+      return text ? JSON.parse(text) : null;
+    }
+
+    const error = new Error(`GHL API error: ${res.status} - ${text}`);
+    error.status = res.status;
+
+    const retryable = res.status === 429 || res.status >= 500;
+    if (!retryable || attempt >= retries) {
+      throw error;
+    }
+    const delay = retryDelay(res, attempt);
+    log.warn('GHL request failed, retrying', { method, path, attempt, delay, status: res.status });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+module.exports = {
+  isGhlEnabled,
+  ghlRequest
+};
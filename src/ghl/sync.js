@@ -0,0 +1,268 @@
+/**
+ * GoHighLevel Invoice Sync
+ * Pushes invoice and payment status back to the customer's GHL contact:
+ * custom fields (last invoice amount, payment status, past-due flag), a
+ * past-due tag and a note for every invoice state change
+ *
+ * Billing and the Dwolla webhook only queue each event in ghl_syncs; a
+ * background worker sends them, so a slow or failing GHL never holds up a
+ * webhook response or a billing run. Failed syncs are retried with backoff
+ * until GHL_SYNC_MAX_ATTEMPTS.
+ *
+ * Custom fields are only written when their GHL field id (or "contact.*"
+ * key) is configured. Queueing never throws: a GHL outage must not fail
+ * billing or webhooks.
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { isGhlEnabled, ghlRequest } = require('./client');
+
+const GHL_PAST_DUE_TAG = process.env.GHL_PAST_DUE_TAG || 'billing-past-due';
+
+// Attempts per queued sync, and the delay before the first retry (doubled after each failure)
+const GHL_SYNC_MAX_ATTEMPTS = Number(process.env.GHL_SYNC_MAX_ATTEMPTS || 8);
+const GHL_SYNC_RETRY_BASE_MS = Number(process.env.GHL_SYNC_RETRY_BASE_MS || 60000);
+
+// How often the worker looks for due syncs
+const GHL_SYNC_INTERVAL_MS = Number(process.env.GHL_SYNC_INTERVAL_MS || 15000);
+
+// Syncs stuck in 'sending' longer than this (e.g. after a crash) are sent again
+const STALE_SENDING_MINUTES = 5;
+
+// Invoice statuses that leave money owed
+const PAST_DUE_STATUSES = ['failed', 'reclaimed'];
+
+function formatCents(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+function formatDate(value, zone) {
+  return DateTime.fromJSDate(value).setZone(zone).toISODate();
+}
+
+/**
+ * The note added to the contact for an invoice event, with dates in the billing time zone
+ */
+function invoiceNote(event, invoice, { zone, failureDescription }) {
+  const amount = formatCents(invoice.amount_cents);
+  // Periods end at midnight; show the last day billed
+  const period = `${formatDate(invoice.period_start, zone)} to ${formatDate(new Date(invoice.period_end.getTime() - 1), zone)}`;
+
+  switch (event) {
+    case 'created':
+      return invoice.status === 'credited'
+        ? `Invoice #${invoice.id} (${period}) covered by account credit.`
+        : `Invoice #${invoice.id} (${period}): ${amount} ACH debit initiated.`;
+    case 'completed':
+      return `Invoice #${invoice.id} paid: ${amount}.`;
+    case 'failed': {
+      const reason = failureDescription ? `: ${failureDescription}` : '';
+      const next = invoice.dunning_status === 'retrying' && invoice.next_retry_at
+        ? `Next retry on ${formatDate(invoice.next_retry_at, zone)}.`
+        : 'No retries left.';
+      return `Payment of ${amount} for invoice #${invoice.id} failed${reason}. ${next}`;
+    }
+    case 'cancelled':
+      return `Payment of ${amount} for invoice #${invoice.id} was cancelled.`;
+    case 'reclaimed':
+      return `Payment of ${amount} for invoice #${invoice.id} was reclaimed by the bank.`;
+    default:
+      return `Invoice #${invoice.id} is now ${invoice.status}.`;
+  }
+}
+
+/**
+ * Custom field values for the contact, skipping fields that are not configured
+ */
+function contactCustomFields(invoice, pastDue) {
+  const values = [
+    [process.env.GHL_FIELD_LAST_INVOICE_AMOUNT, (invoice.amount_cents / 100).toFixed(2)],
+    [process.env.GHL_FIELD_PAYMENT_STATUS, invoice.status],
+    [process.env.GHL_FIELD_PAST_DUE, pastDue ? 'Yes' : 'No']
+  ];
+  return values
+    .filter(([field]) => field)
+    .map(([field, value]) => ({ [field.startsWith('contact.') ? 'key' : 'id']: field, field_value: value }));
+}
+
+/**
+ * Queue an invoice event ('created', 'completed', 'failed', 'cancelled' or
+ * 'reclaimed') for the invoice's GHL contact. Each event is queued once per
+ * invoice (per transfer for 'failed'); an event that ran out of attempts is
+ * queued again when it happens again.
+ */
+async function queueInvoiceSync(db, invoiceId, event, { transferHref = null, failureDescription = null } = {}) {
+  if (!isGhlEnabled()) {
+    return;
+  }
+
+  try {
+    const dedupeKey = [event, invoiceId, transferHref].filter(Boolean).join(':');
+    await db.query(
+      `INSERT INTO ghl_syncs(dedupe_key, invoice_id, crm_contact_id, event, failure_description)
+       SELECT $1, id, crm_contact_id, $3, $4 FROM invoices WHERE id = $2
+       ON CONFLICT (dedupe_key) DO UPDATE
+       SET status = 'pending', attempts = 0, error = NULL, next_attempt_at = now(), updated_at = now(),
+           failure_description = EXCLUDED.failure_description
+       WHERE ghl_syncs.status = 'failed'`,
+      [dedupeKey, invoiceId, event, failureDescription]
+    );
+  } catch (error) {
+    log.error('GHL sync queue error', { invoice_id: invoiceId, event, error: error.message });
+  }
+}
+
+/**
+ * Push an invoice event to the invoice's GHL contact, using the invoice as
+ * it is now. zone is the billing time zone. Throws if GHL fails.
+ */
+async function pushInvoiceToGhl(db, invoiceId, event, { zone, failureDescription = null }) {
+  const { rows } = await db.query(
+    `SELECT i.id, i.crm_contact_id, i.amount_cents, i.status, i.period_start, i.period_end,
+            i.dunning_status, i.next_retry_at,
+            EXISTS (
+              SELECT 1 FROM invoices o WHERE o.crm_contact_id = i.crm_contact_id AND o.status = ANY($2)
+            ) AS past_due
+     FROM invoices i
+     WHERE i.id = $1`,
+    [invoiceId, PAST_DUE_STATUSES]
+  );
+  if (rows.length === 0) {
+    return;
+  }
+  const invoice = rows[0];
+  const contactPath = `/contacts/${encodeURIComponent(invoice.crm_contact_id)}`;
+
+  const customFields = contactCustomFields(invoice, invoice.past_due);
+  if (customFields.length > 0) {
+    await ghlRequest('PUT', contactPath, { customFields });
+  }
+  await ghlRequest(invoice.past_due ? 'POST' : 'DELETE', `${contactPath}/tags`, { tags: [GHL_PAST_DUE_TAG] });
+  await ghlRequest('POST', `${contactPath}/notes`, { body: invoiceNote(event, invoice, { zone, failureDescription }) });
+
+  log.info('Invoice synced to GHL', {
+    invoice_id: invoiceId,
+    crm_contact_id: invoice.crm_contact_id,
+    event,
+    status: invoice.status,
+    past_due: invoice.past_due
+  });
+}
+
+/**
+ * Send up to limit due syncs, oldest first, dating notes in the billing time
+ * zone. Each is claimed (and committed) before GHL is called, so no lock is
+ * held while sending. A failed or timed out sync is retried with backoff; one
+ * GHL rejects (4xx other than 429) or that used up GHL_SYNC_MAX_ATTEMPTS is
+ * marked failed.
+ * Returns { total, sent, retrying, failed }.
+ */
+async function processGhlSyncs(db, { zone, limit = 20 }) {
+  const { rows: syncs } = await db.query(
+    `UPDATE ghl_syncs
+     SET status = 'sending', attempts = attempts + 1, updated_at = now()
+     WHERE id IN (
+       SELECT id FROM ghl_syncs
+       WHERE (status = 'pending' AND next_attempt_at <= now())
+          OR (status = 'sending' AND updated_at < now() - make_interval(mins => $2))
+       ORDER BY id
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [limit, STALE_SENDING_MINUTES]
+  );
+
+  const results = { total: syncs.length, sent: 0, retrying: 0, failed: 0 };
+
+  for (const sync of syncs.sort((a, b) => a.id - b.id)) {
+    try {
+      await pushInvoiceToGhl(db, sync.invoice_id, sync.event, { zone, failureDescription: sync.failure_description });
+      await db.query(
+        `UPDATE ghl_syncs SET status = 'sent', error = NULL, sent_at = now(), updated_at = now() WHERE id = $1`,
+        [sync.id]
+      );
+      results.sent++;
+    } catch (error) {
+      // Network errors and timeouts (GHL_TIMEOUT_MS) have no status
+      const retryable = !error.status || error.status === 429 || error.status >= 500;
+      if (retryable && sync.attempts < GHL_SYNC_MAX_ATTEMPTS) {
+        const delay = Math.min(GHL_SYNC_RETRY_BASE_MS * Math.pow(2, sync.attempts - 1), 6 * 60 * 60 * 1000);
+        await db.query(
+          `UPDATE ghl_syncs
+           SET status = 'pending', error = $2, next_attempt_at = now() + make_interval(secs => $3), updated_at = now()
+           WHERE id = $1`,
+          [sync.id, error.message, delay / 1000]
+        );
+        results.retrying++;
+        log.warn('GHL sync failed, will retry', {
+          invoice_id: sync.invoice_id,
+          event: sync.event,
+          attempts: sync.attempts,
+          retry_in_ms: delay,
+          status: error.status,
+          error: error.message
+        });
+      } else {
+        await db.query(
+          `UPDATE ghl_syncs SET status = 'failed', error = $2, updated_at = now() WHERE id = $1`,
+          [sync.id, error.message]
+        );
+        results.failed++;
+        log.error('GHL sync failed', {
+          invoice_id: sync.invoice_id,
+          event: sync.event,
+          attempts: sync.attempts,
+          status: error.status,
+          error: error.message
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Create the background worker that sends queued syncs every intervalMs.
+ * zone is the billing time zone. start() runs it right away; stop() cancels
+ * the timer.
+ */
+function createGhlSyncWorker(db, { zone, intervalMs = GHL_SYNC_INTERVAL_MS }) {
+  let timer = null;
+  let stopped = false;
+
+  async function tick() {
+    try {
+      // Drain the queue, a batch at a time
+      let results;
+      do {
+        results = await processGhlSyncs(db, { zone });
+      } while (results.total > 0 && !stopped);
+    } catch (error) {
+      log.error('GHL sync worker error', { error: error.message, stack: error.stack });
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  }
+
+  return {
+    start() {
+      stopped = false;
+      return tick();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  GHL_PAST_DUE_TAG,
+  queueInvoiceSync,
+  processGhlSyncs,
+  createGhlSyncWorker
+};
@@ -0,0 +1,186 @@
+/**
+ * Customer Notifications
+ * Emails an itemized receipt when an invoice is created and when its payment
+ * completes, and a notice when a payment fails. Every email is recorded in
+ * the notifications table under a dedupe key, so a replayed webhook or a
+ * reconciliation run never sends the same email twice (failed sends, and
+ * sends a crash left 'sending' for STALE_SENDING_MINUTES, are retried on the
+ * next event).
+ *
+ * With NOTIFY_ATTACH_PDF=true the receipts carry the invoice PDF.
+ *
+ * Notifications never throw: a mail outage must not fail billing or webhooks.
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { getInvoiceDetail } = require('../billing/invoices');
+const { renderInvoicePdf } = require('../billing/invoice-pdf');
+const { renderEmail } = require('./templates');
+const { getTransport } = require('./transports');
+
+const NOTIFY_ATTACH_PDF = process.env.NOTIFY_ATTACH_PDF === 'true';
+const STALE_SENDING_MINUTES = 5;
+
+function formatCents(cents) {
+  const dollars = `$${(Math.abs(cents) / 100).toFixed(2)}`;
+  return cents < 0 ? `-${dollars}` : dollars;
+}
+
+/**
+ * Template data shared by every invoice email, with dates in the billing time zone
+ */
+function invoiceEmailData(detail, zone) {
+  const { invoice, line_items: lineItems } = detail;
+  const start = DateTime.fromJSDate(invoice.period_start).setZone(zone);
+  const end = DateTime.fromJSDate(invoice.period_end).setZone(zone);
+
+  return {
+    company_name: process.env.NOTIFY_COMPANY_NAME || process.env.BUSINESS_NAME || '',
+    customer_name: invoice.name || invoice.crm_contact_id,
+    invoice_id: invoice.id,
+    // Periods end at midnight; show the last day billed
+    period_start: start.toISODate(),
+    period_end: end.minus({ milliseconds: 1 }).toISODate(),
+    line_items: lineItems.map(line => ({
+      description: line.description,
+      units: line.units === null ? '' : Number(line.units),
+      unit_price: line.unit_price_cents === null ? '' : formatCents(line.unit_price_cents),
+      amount: formatCents(line.amount_cents)
+    })),
+    amount: formatCents(invoice.amount_cents),
+    credited: invoice.status === 'credited'
+  };
+}
+
+/**
+ * Render and send one notification for an invoice unless it was already sent.
+ * zone is the billing time zone; data(invoice) returns the template data
+ * specific to the notification; attachPdf attaches the invoice PDF when
+ * NOTIFY_ATTACH_PDF is on.
+ */
+async function sendInvoiceNotification(db, {
+  kind, dedupeKey, invoiceId, zone, template, data = () => ({}), attachPdf = false
+}) {
+  const transport = getTransport();
+  if (!transport) {
+    return;
+  }
+
+  try {
+    const detail = await getInvoiceDetail(db, invoiceId);
+    if (!detail) {
+      return;
+    }
+    const { invoice } = detail;
+
+    if (!invoice.email) {
+      await db.query(
+        `INSERT INTO notifications(kind, dedupe_key, crm_contact_id, invoice_id, transport, status, error)
+         VALUES ($1, $2, $3, $4, $5, 'skipped', 'Customer has no email address')
+         ON CONFLICT (dedupe_key) DO NOTHING`,
+        [kind, dedupeKey, invoice.crm_contact_id, invoiceId, transport.type]
+      );
+      return;
+    }
+
+    const email = await renderEmail(template, { ...invoiceEmailData(detail, zone), ...data(invoice) });
+
+    // Claim the notification; a failed one, or one a crash left sending, may be sent again
+    const { rows } = await db.query(
+      `INSERT INTO notifications(kind, dedupe_key, crm_contact_id, invoice_id, recipient, subject, transport)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (dedupe_key) DO UPDATE
+       SET status = 'sending', error = NULL, recipient = EXCLUDED.recipient, subject = EXCLUDED.subject,
+           transport = EXCLUDED.transport, updated_at = now()
+       WHERE notifications.status = 'failed'
+          OR (notifications.status = 'sending' AND notifications.updated_at < now() - make_interval(mins => $8))
+       RETURNING id`,
+      [kind, dedupeKey, invoice.crm_contact_id, invoiceId, invoice.email, email.subject, transport.type, STALE_SENDING_MINUTES]
+    );
+    if (rows.length === 0) {
+      return;
+    }
+    const notificationId = rows[0].id;
+
+    try {
+      const attachments = attachPdf && NOTIFY_ATTACH_PDF
+        ? [{ filename: `invoice-${invoiceId}.pdf`, content: await renderInvoicePdf(detail, { zone }), contentType: 'application/pdf' }]
+        : undefined;
+      const info = await transport.send({
+        from: process.env.NOTIFY_FROM || 'billing@localhost',
+        replyTo: process.env.NOTIFY_REPLY_TO || undefined,
+        to: invoice.email,
+        subject: email.subject,
+        text: email.text,
+        attachments
+      });
+      await db.query(
+        `UPDATE notifications SET status = 'sent', message_id = $2, sent_at = now(), updated_at = now() WHERE id = $1`,
+        [notificationId, info.messageId]
+      );
+      log.info('Notification sent', { kind, invoice_id: invoiceId, crm_contact_id: invoice.crm_contact_id, transport: transport.type });
+    } catch (error) {
+      await db.query(
+        `UPDATE notifications SET status = 'failed', error = $2, updated_at = now() WHERE id = $1`,
+        [notificationId, error.message]
+      );
+      log.warn('Notification failed', { kind, invoice_id: invoiceId, error: error.message });
+    }
+  } catch (error) {
+    log.error('Notification error', { kind, invoice_id: invoiceId, error: error.message, stack: error.stack });
+  }
+}
+
+/**
+ * Itemized receipt for a new invoice (the amount being debited, or covered by credit)
+ */
+async function notifyInvoiceCreated(db, invoiceId, { zone }) {
+  await sendInvoiceNotification(db, {
+    kind: 'invoice_created',
+    dedupeKey: `invoice_created:${invoiceId}`,
+    invoiceId,
+    zone,
+    template: 'invoice-created',
+    attachPdf: true
+  });
+}
+
+/**
+ * Receipt once an invoice's transfer has completed
+ */
+async function notifyPaymentReceived(db, invoiceId, { zone }) {
+  await sendInvoiceNotification(db, {
+    kind: 'payment_received',
+    dedupeKey: `payment_received:${invoiceId}`,
+    invoiceId,
+    zone,
+    template: 'payment-received',
+    attachPdf: true
+  });
+}
+
+/**
+ * Notice that a transfer failed, with the next retry date if there is one.
+ * Sent once per failed transfer, so each failed retry is reported.
+ */
+async function notifyPaymentFailed(db, invoiceId, { zone, transferHref, failureDescription = null }) {
+  await sendInvoiceNotification(db, {
+    kind: 'payment_failed',
+    dedupeKey: `payment_failed:${invoiceId}:${transferHref}`,
+    invoiceId,
+    zone,
+    template: 'payment-failed',
+    data: invoice => ({
+      failure_reason: failureDescription,
+      next_retry_date: invoice.dunning_status === 'retrying' && invoice.next_retry_at
+        ? DateTime.fromJSDate(invoice.next_retry_at).setZone(zone).toISODate()
+        : null
+    })
+  });
+}
+
+module.exports = {
+  notifyInvoiceCreated,
+  notifyPaymentReceived,
+  notifyPaymentFailed
+};
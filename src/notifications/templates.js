@@ -0,0 +1,67 @@
+/**
+ * Email Templates
+ * Plain-text templates in NOTIFY_TEMPLATE_DIR (default templates/email).
+ * The first line of a template is "Subject: ..."; the rest is the body.
+ *
+ * Syntax (a small subset of Mustache):
+ *   {{name}}                   - a value
+ *   {{#items}}...{{/items}}    - repeated for each item of a list, or shown once if the value is set
+ *   {{^items}}...{{/items}}    - shown if the value is missing, false or an empty list
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+const TEMPLATE_DIR = process.env.NOTIFY_TEMPLATE_DIR || path.join(__dirname, '../../templates/email');
+
+// A section ({{#name}}...{{/name}} or {{^name}}...{{/name}}) or a value ({{name}})
+const TAG_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}\n?([\s\S]*?)\{\{\/\s*\2\s*\}\}\n?|\{\{\s*([\w.]+)\s*\}\}/g;
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === false || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Render a template source with data in one pass: rendered output, and the
+ * values in it, are never scanned for tags again
+ */
+function renderTemplate(source, data) {
+  return source.replace(TAG_PATTERN, (_match, type, name, inner, valueName) => {
+    if (valueName) {
+      const value = data[valueName];
+      return value === undefined || value === null ? '' : String(value);
+    }
+    const value = data[name];
+    if (type === '^') {
+      return isEmpty(value) ? renderTemplate(inner, data) : '';
+    }
+    if (isEmpty(value)) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => renderTemplate(inner, { ...data, ...item })).join('');
+    }
+    return renderTemplate(inner, typeof value === 'object' ? { ...data, ...value } : data);
+  });
+}
+
+/**
+ * Load and render a template by name (e.g. 'payment-failed').
+ * Returns { subject, text }.
+ */
+async function renderEmail(name, data) {
+  const source = await fs.readFile(path.join(TEMPLATE_DIR, `${name}.txt`), 'utf8');
+  const rendered = renderTemplate(source, data);
+  const match = rendered.match(/^Subject:[ \t]*(.*)\r?\n/);
+  if (!match) {
+    throw new Error(`Email template ${name} must start with a "Subject:" line`);
+  }
+  return {
+    subject: match[1].trim(),
+    text: rendered.slice(match[0].length).replace(/^\s*\n/, '')
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  renderEmail
+};
@@ -0,0 +1,173 @@
+/**
+ * Bank Link Routes
+ * Creates bank links (admin API) and serves the public bank-link page,
+ * where the customer links their bank through Dwolla IAV. The page's
+ * endpoints are authorized by the link token in the URL, not an API key.
+ */
+const fs = require('fs');
+const path = require('path');
+const log = require('../utils/logger');
+const { renderTemplate } = require('../notifications/templates');
+const { createBankLink, findBankLink, issueIavToken, completeBankLink } = require('../customers/bank-links');
+
+const PAGE_TEMPLATE = fs.readFileSync(path.join(__dirname, '../../templates/bank-link.html'), 'utf8');
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Whether href is a funding source in DWOLLA_BASE (with or without its trailing slash)
+ */
+function isFundingSourceHref(href) {
+  const base = process.env.DWOLLA_BASE?.replace(/\/$/, '');
+  return Boolean(base) && typeof href === 'string' && href.startsWith(`${base}/funding-sources/`);
+}
+
+/**
+ * Render the bank-link page for a link (null for an unknown token)
+ */
+function renderBankLinkPage(link) {
+  const state = link ? link.state : 'expired';
+  const firstName = link?.name ? link.name.trim().split(/\s+/)[0] : null;
+  const companyName = process.env.BUSINESS_NAME || process.env.NOTIFY_COMPANY_NAME;
+  return renderTemplate(PAGE_TEMPLATE, {
+    open: state === 'open',
+    completed: state === 'completed',
+    unavailable: state === 'expired',
+    company_name: companyName ? escapeHtml(companyName) : null,
+    customer_name: firstName ? escapeHtml(firstName) : null,
+    dwolla_environment: process.env.DWOLLA_BASE?.includes('sandbox') ? 'sandbox' : 'prod'
+  });
+}
+
+/**
+ * Create the bank link handler (POST /customers/:id/bank-link)
+ * Responds with the link's URL, to send to the customer. Set PUBLIC_BASE_URL
+ * when the server is behind a proxy that changes the host or protocol.
+ */
+function createBankLinkCreateHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const result = await createBankLink(db, dwolla, req.params.id, { createdBy: req.apiKey?.label });
+      if (!result) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      if (result.conflict) {
+        return res.status(409).json({ error: result.conflict });
+      }
+      if (result.failed) {
+        return res.status(502).json({ error: `Dwolla customer could not be created: ${result.failed}` });
+      }
+
+      const baseUrl = process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`;
+      res.status(201).json({
+        bank_link: { ...result.link, url: `${baseUrl.replace(/\/$/, '')}/bank-link/${result.token}` }
+      });
+    } catch (error) {
+      log.error('Bank link create error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the bank-link page handler (GET /bank-link/:token)
+ */
+function createBankLinkPageHandler(db) {
+  return async (req, res) => {
+    try {
+      const link = await findBankLink(db, req.params.token);
+      res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' });
+      res.status(link ? 200 : 404).type('html').send(renderBankLinkPage(link));
+    } catch (error) {
+      log.error('Bank link page error', { error: error.message, stack: error.stack });
+      res.status(500).type('text').send('Something went wrong. Please try again later.');
+    }
+  };
+}
+
+/**
+ * Load the open link for a page request, or respond with why it cannot be used
+ */
+async function openLink(db, req, res) {
+  const link = await findBankLink(db, req.params.token);
+  if (!link || link.state === 'expired') {
+    res.status(404).json({ error: 'This link has expired. Please ask for a new one.' });
+    return null;
+  }
+  if (link.state === 'completed') {
+    res.status(409).json({ error: 'Your bank account is already linked.' });
+    return null;
+  }
+  return link;
+}
+
+/**
+ * Create the IAV token handler (POST /bank-link/:token/iav-token)
+ */
+function createBankLinkIavTokenHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const link = await openLink(db, req, res);
+      if (!link) {
+        return;
+      }
+      res.status(200).json({ token: await issueIavToken(db, dwolla, link) });
+    } catch (error) {
+      log.error('Bank link IAV token error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Your bank could not be linked right now. Please try again later.' });
+    }
+  };
+}
+
+/**
+ * Create the bank-link completion handler (POST /bank-link/:token/complete)
+ * Body: { "funding_source_href": "https://api.dwolla.com/funding-sources/..." }
+ * from the IAV callback. The funding source is checked with Dwolla before
+ * it is stored.
+ */
+function createBankLinkCompleteHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const fundingHref = req.body?.funding_source_href;
+      if (!isFundingSourceHref(fundingHref)) {
+        return res.status(400).json({ error: 'funding_source_href must be a Dwolla funding source' });
+      }
+      const link = await openLink(db, req, res);
+      if (!link) {
+        return;
+      }
+
+      const result = await completeBankLink(db, dwolla, link, fundingHref);
+      if (result.error || result.conflict || result.failed) {
+        log.warn('Bank link could not be completed', {
+          crm_contact_id: link.crm_contact_id,
+          bank_link_id: link.id,
+          error: result.error || result.conflict || result.failed
+        });
+        return res.status(result.error ? 400 : 409).json({ error: 'Your bank account could not be saved. Please contact us.' });
+      }
+
+      res.status(200).json({ linked: true, status: result.onboarding.status });
+    } catch (error) {
+      log.error('Bank link complete error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Your bank account could not be saved. Please try again later.' });
+    }
+  };
+}
+
+module.exports = {
+  createBankLinkCreateHandler,
+  createBankLinkPageHandler,
+  createBankLinkIavTokenHandler,
+  createBankLinkCompleteHandler
+};
@@ -0,0 +1,281 @@
+/**
+ * Billing Routes
+ * Runs the billing job for closed billing cycles, explicit periods or backfills,
+ * and serves the history of billing runs
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { parseBillingRequest, runRequestedBilling } = require('../billing/billing-job');
+const { lastClosedPeriod } = require('../billing/cycles');
+const { reconcilePendingInvoices } = require('../billing/transfers');
+const { findUnbilledBacklog } = require('../billing/backlog');
+const { parsePagination, parseDateRange } = require('../utils/query');
+const {
+  RUN_TRIGGERS,
+  RUN_STATUSES,
+  withBillingLock,
+  withoutOutcomes,
+  recordBillingRun,
+  listBillingRuns,
+  getBillingRun,
+  retryFailedCustomers
+} = require('../billing/runs');
+
+/**
+ * Billing results as returned to the caller: outcomes are left to the run
+ * history (GET /bill/runs/:id) and dollars are formatted
+ */
+function formatResults(results) {
+  return {
+    ...withoutOutcomes(results),
+    total_amount_dollars: results.total_amount_dollars.toFixed(2)
+  };
+}
+
+/**
+ * The single period /bill/week has always returned: the requested period, or
+ * for a cycles run the latest period billed (the last closed week if none was)
+ */
+function legacyPeriod(request, periods, now) {
+  if (request.mode !== 'cycles') {
+    return { start: request.start ? request.start.toISO() : null, end: request.end.toISO() };
+  }
+  if (periods.length > 0) {
+    const { start, end } = periods[periods.length - 1];
+    return { start, end };
+  }
+  const { start, end } = lastClosedPeriod('weekly', null, now);
+  return { start: start.toISO(), end: end.toISO() };
+}
+
+/**
+ * Create the billing run handler (POST /bill/run, alias POST /bill/week).
+ * With preview set (POST /bill/preview) the same billing is computed but no
+ * invoices are written and no transfers are sent. With weekAlias set the
+ * response also carries the top-level `period` that /bill/week callers parse.
+ */
+function createBillingRunHandler(db, dwolla, { zone, preview = false, weekAlias = false }) {
+  return async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const now = DateTime.now().setZone(zone);
+      const request = parseBillingRequest(req.body, now);
+      if (request.error) {
+        return res.status(400).json({ error: request.error });
+      }
+
+      log.info(preview ? 'Starting billing preview' : 'Starting billing run', {
+        now: now.toISO(),
+        path: req.path,
+        mode: request.mode,
+        start: request.start?.toISO(),
+        end: request.end?.toISO()
+      });
+
+      let billing;
+      if (preview) {
+        billing = await runRequestedBilling(db, dwolla, request, { now, preview });
+      } else {
+        // One billing run at a time, across every instance (see billing/scheduler.js)
+        const { locked, result } = await withBillingLock(db, () => recordBillingRun(
+          db,
+          { trigger: 'api', mode: request.mode, runAt: now, triggeredBy: req.apiKey?.label },
+          async () => {
+            // Finish any invoice a previous run left between its two phases
+            await reconcilePendingInvoices(db, dwolla, { zone });
+            return runRequestedBilling(db, dwolla, request, { now });
+          }
+        ));
+        if (!locked) {
+          return res.status(409).json({ error: 'A billing run is already in progress' });
+        }
+        billing = result;
+      }
+      const { run, periods, results } = billing;
+      const backlog = await findUnbilledBacklog(db, { now });
+
+      const duration = Date.now() - startTime;
+      log.info(preview ? 'Billing preview completed' : 'Billing run completed', {
+        ...results,
+        charges: undefined,
+        skipped_customers: undefined,
+        outcomes: undefined,
+        run_id: run?.id,
+        periods: periods.length,
+        backlog_customers: backlog.length,
+        total_amount_dollars: results.total_amount_dollars.toFixed(2),
+        duration
+      });
+
+      res.status(200).json({
+        success: true,
+        preview,
+        mode: request.mode,
+        ...(run && { run_id: run.id }),
+        ...(weekAlias && { period: legacyPeriod(request, periods, now) }),
+        periods: periods.map(period => ({ ...period, results: formatResults(period.results) })),
+        results: formatResults(results),
+        backlog,
+        duration
+      });
+    } catch (error) {
+      log.error('Billing run error', {
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the unbilled backlog handler (GET /bill/backlog)
+ */
+function createBacklogHandler(db, { zone }) {
+  return async (req, res) => {
+    try {
+      const backlog = await findUnbilledBacklog(db, { now: DateTime.now().setZone(zone) });
+      res.status(200).json({ backlog });
+    } catch (error) {
+      log.error('Backlog report error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+function parseRunId(value) {
+  const runId = Number(value);
+  return Number.isInteger(runId) && runId > 0 ? runId : null;
+}
+
+/**
+ * Create the billing run history handler
+ * (GET /bill/runs?trigger=&status=&from=&to=&limit=&offset=)
+ * from/to filter on when the run started.
+ */
+function createBillingRunListHandler(db, { zone }) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      const range = parseDateRange(req.query, zone);
+      const error = page.error || range.error;
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const { trigger, status } = req.query;
+      if (trigger !== undefined && !RUN_TRIGGERS.includes(trigger)) {
+        return res.status(400).json({ error: `trigger must be one of: ${RUN_TRIGGERS.join(', ')}` });
+      }
+      if (status !== undefined && !RUN_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${RUN_STATUSES.join(', ')}` });
+      }
+
+      const { runs, total } = await listBillingRuns(db, {
+        trigger,
+        status,
+        from: range.from,
+        to: range.to,
+        limit: page.limit,
+        offset: page.offset
+      });
+      res.status(200).json({ runs, total, limit: page.limit, offset: page.offset });
+    } catch (error) {
+      log.error('Billing run list error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the billing run detail handler (GET /bill/runs/:id)
+ * Includes each customer's outcome, invoice and Dwolla transfer.
+ */
+function createBillingRunDetailHandler(db) {
+  return async (req, res) => {
+    try {
+      const runId = parseRunId(req.params.id);
+      if (!runId) {
+        return res.status(400).json({ error: 'Invalid billing run id' });
+      }
+
+      const run = await getBillingRun(db, runId);
+      if (!run) {
+        return res.status(404).json({ error: 'Billing run not found' });
+      }
+      res.status(200).json({ run });
+    } catch (error) {
+      log.error('Billing run detail error', { run_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the billing run retry handler (POST /bill/runs/:id/retry)
+ * Bills only the customers the run failed to bill, for the same periods.
+ */
+function createBillingRunRetryHandler(db, dwolla, { zone }) {
+  return async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const runId = parseRunId(req.params.id);
+      if (!runId) {
+        return res.status(400).json({ error: 'Invalid billing run id' });
+      }
+
+      const now = DateTime.now().setZone(zone);
+      const { locked, result } = await withBillingLock(db, () => retryFailedCustomers(db, dwolla, runId, {
+        now,
+        triggeredBy: req.apiKey?.label
+      }));
+      if (!locked) {
+        return res.status(409).json({ error: 'A billing run is already in progress' });
+      }
+      if (!result) {
+        return res.status(404).json({ error: 'Billing run not found' });
+      }
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+
+      const { run, periods, results } = result;
+      const duration = Date.now() - startTime;
+      log.info('Billing run retry completed', {
+        run_id: run.id,
+        retry_of: runId,
+        successful: results.successful,
+        failed: results.failed,
+        skipped: results.skipped,
+        duration
+      });
+
+      res.status(200).json({
+        success: true,
+        run_id: run.id,
+        retry_of: runId,
+        periods: periods.map(period => ({ ...period, results: formatResults(period.results) })),
+        results: formatResults(results),
+        duration
+      });
+    } catch (error) {
+      log.error('Billing run retry error', {
+        run_id: req.params.id,
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createBillingRunHandler,
+  createBacklogHandler,
+  createBillingRunListHandler,
+  createBillingRunDetailHandler,
+  createBillingRunRetryHandler
+};
@@ -0,0 +1,186 @@
+/**
+ * Customer Routes
+ * Admin API for listing, searching, creating, updating and suspending
+ * customers, and for browsing a customer's usage
+ */
+const log = require('../utils/logger');
+const { parsePagination, parseDateRange } = require('../utils/query');
+const {
+  CUSTOMER_STATUSES,
+  validateCustomerFields,
+  listCustomers,
+  getCustomer,
+  createCustomer,
+  updateCustomer
+} = require('../customers/customers');
+const { USAGE_STATUSES, listUsage } = require('../billing/usage');
+
+/**
+ * Create the customer list handler
+ * (GET /customers?q=&status=&billing_cycle=&from=&to=&limit=&offset=)
+ */
+function createCustomerListHandler(db, { zone }) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      const range = parseDateRange(req.query, zone);
+      const error = page.error || range.error ||
+        (req.query.status !== undefined && !CUSTOMER_STATUSES.includes(req.query.status)
+          ? `status must be one of: ${CUSTOMER_STATUSES.join(', ')}`
+          : null);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { customers, total } = await listCustomers(db, {
+        q: req.query.q,
+        status: req.query.status,
+        billingCycle: req.query.billing_cycle,
+        from: range.from,
+        to: range.to,
+        limit: page.limit,
+        offset: page.offset
+      });
+      res.status(200).json({ customers, total, limit: page.limit, offset: page.offset });
+    } catch (error) {
+      log.error('Customer list error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the customer detail handler (GET /customers/:id)
+ */
+function createCustomerDetailHandler(db) {
+  return async (req, res) => {
+    try {
+      const customer = await getCustomer(db, req.params.id);
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      res.status(200).json({ customer });
+    } catch (error) {
+      log.error('Customer detail error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the customer create handler (POST /customers)
+ */
+function createCustomerCreateHandler(db) {
+  return async (req, res) => {
+    try {
+      const validationErrors = validateCustomerFields(req.body, { requireId: true });
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid payload', details: validationErrors });
+      }
+
+      const result = await createCustomer(db, req.body);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      if (result.conflict) {
+        return res.status(409).json({ error: 'Customer already exists' });
+      }
+
+      log.info('Customer created', { crm_contact_id: req.body.crm_contact_id });
+      res.status(201).json({ customer: result.customer });
+    } catch (error) {
+      log.error('Customer create error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the customer update handler (PATCH /customers/:id)
+ */
+function createCustomerUpdateHandler(db) {
+  return async (req, res) => {
+    try {
+      const validationErrors = validateCustomerFields(req.body);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({ error: 'Invalid payload', details: validationErrors });
+      }
+
+      const result = await updateCustomer(db, req.params.id, req.body);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      if (!result.customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      log.info('Customer updated', { crm_contact_id: req.params.id, fields: Object.keys(req.body) });
+      res.status(200).json({ customer: result.customer });
+    } catch (error) {
+      log.error('Customer update error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the customer suspend handler (POST /customers/:id/suspend)
+ * Suspended customers are skipped by billing until set back to active.
+ */
+function createCustomerSuspendHandler(db) {
+  return async (req, res) => {
+    try {
+      const { customer } = await updateCustomer(db, req.params.id, { status: 'suspended' });
+      if (!customer) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      log.warn('Customer suspended by admin', { crm_contact_id: req.params.id, reason: req.body?.reason });
+      res.status(200).json({ customer });
+    } catch (error) {
+      log.error('Customer suspend error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the customer usage handler
+ * (GET /customers/:id/usage?status=&from=&to=&limit=&offset=)
+ */
+function createCustomerUsageHandler(db, { zone }) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      const range = parseDateRange(req.query, zone);
+      const error = page.error || range.error ||
+        (req.query.status !== undefined && !USAGE_STATUSES.includes(req.query.status)
+          ? `status must be one of: ${USAGE_STATUSES.join(', ')}`
+          : null);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { usage, total } = await listUsage(db, req.params.id, {
+        status: req.query.status,
+        from: range.from,
+        to: range.to,
+        limit: page.limit,
+        offset: page.offset
+      });
+      res.status(200).json({ usage, total, limit: page.limit, offset: page.offset });
+    } catch (error) {
+      log.error('Customer usage error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createCustomerListHandler,
+  createCustomerDetailHandler,
+  createCustomerCreateHandler,
+  createCustomerUpdateHandler,
+  createCustomerSuspendHandler,
+  createCustomerUsageHandler
+};
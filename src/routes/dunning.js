@@ -0,0 +1,64 @@
+/**
+ * Dunning Routes
+ * Runs due transfer retries and exposes the dunning state of an invoice
+ */
+const log = require('../utils/logger');
+const { processDueRetries, getDunningState } = require('../billing/dunning');
+
+/**
+ * Create the dunning run handler (POST /dunning/run)
+ */
+function createDunningRunHandler(db, { dwollaPost }) {
+  return async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      log.info('Starting dunning run');
+      const results = await processDueRetries(db, { dwollaPost });
+      const duration = Date.now() - startTime;
+
+      log.info('Dunning run completed', { ...results, duration });
+      res.status(200).json({ success: true, results, duration });
+    } catch (error) {
+      log.error('Dunning run error', {
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the dunning state handler (GET /invoices/:id/dunning)
+ */
+function createDunningStateHandler(db) {
+  return async (req, res) => {
+    try {
+      const invoiceId = Number(req.params.id);
+      if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+        return res.status(400).json({ error: 'Invalid invoice id' });
+      }
+
+      const state = await getDunningState(db, invoiceId);
+      if (!state) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      res.status(200).json(state);
+    } catch (error) {
+      log.error('Dunning state error', {
+        invoice_id: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createDunningRunHandler,
+  createDunningStateHandler
+};
@@ -0,0 +1,154 @@
+/**
+ * Invoice Routes
+ * Access to invoices, their line items and billed usage, PDF copies, and
+ * voiding invoices
+ */
+const log = require('../utils/logger');
+const { parsePagination, parseDateRange } = require('../utils/query');
+const { getInvoiceDetail, listInvoices } = require('../billing/invoices');
+const { renderInvoicePdf } = require('../billing/invoice-pdf');
+const { USAGE_ACTIONS, voidInvoice } = require('../billing/voids');
+
+/**
+ * Create the invoice list handler
+ * (GET /invoices?crm_contact_id=&status=&dunning_status=&from=&to=&limit=&offset=)
+ * from/to filter on the start of the billed period.
+ */
+function createInvoiceListHandler(db, { zone }) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      const range = parseDateRange(req.query, zone);
+      const error = page.error || range.error;
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const { invoices, total } = await listInvoices(db, {
+        crmContactId: req.query.crm_contact_id,
+        status: req.query.status,
+        dunningStatus: req.query.dunning_status,
+        from: range.from,
+        to: range.to,
+        limit: page.limit,
+        offset: page.offset
+      });
+      res.status(200).json({ invoices, total, limit: page.limit, offset: page.offset });
+    } catch (error) {
+      log.error('Invoice list error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the invoice detail handler (GET /invoices/:id)
+ */
+function createInvoiceDetailHandler(db) {
+  return async (req, res) => {
+    try {
+      const invoiceId = Number(req.params.id);
+      if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+        return res.status(400).json({ error: 'Invalid invoice id' });
+      }
+
+      const detail = await getInvoiceDetail(db, invoiceId);
+      if (!detail) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      res.status(200).json(detail);
+    } catch (error) {
+      log.error('Invoice detail error', {
+        invoice_id: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the invoice PDF download handler (GET /invoices/:id/pdf). zone is
+ * the billing time zone.
+ */
+function createInvoicePdfHandler(db, { zone }) {
+  return async (req, res) => {
+    try {
+      const invoiceId = Number(req.params.id);
+      if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+        return res.status(400).json({ error: 'Invalid invoice id' });
+      }
+
+      const detail = await getInvoiceDetail(db, invoiceId);
+      if (!detail) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+
+      const pdf = await renderInvoicePdf(detail, { zone });
+      res.status(200)
+        .set({
+          'Content-Type': 'application/pdf',
+          'Content-Disposition': `attachment; filename="invoice-${invoiceId}.pdf"`
+        })
+        .send(pdf);
+    } catch (error) {
+      log.error('Invoice PDF error', {
+        invoice_id: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the invoice void handler (POST /invoices/:id/void)
+ * Body: { "reason": "...", "usage": "rebill" | "write_off" }
+ * Cancels the invoice's transfer if Dwolla still allows it. "rebill" (the
+ * default) releases the period and its usage to be billed again;
+ * "write_off" voids the usage.
+ */
+function createInvoiceVoidHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const invoiceId = Number(req.params.id);
+      if (!Number.isInteger(invoiceId) || invoiceId <= 0) {
+        return res.status(400).json({ error: 'Invalid invoice id' });
+      }
+      const { reason, usage = 'rebill' } = req.body || {};
+      if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+      if (!USAGE_ACTIONS.includes(usage)) {
+        return res.status(400).json({ error: `usage must be one of: ${USAGE_ACTIONS.join(', ')}` });
+      }
+
+      const result = await voidInvoice(db, dwolla, invoiceId, { reason, usage, voidedBy: req.apiKey?.label });
+      if (!result) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+
+      res.status(200).json({ invoice: result.invoice });
+    } catch (error) {
+      log.error('Invoice void error', {
+        invoice_id: req.params.id,
+        error: error.message,
+        stack: error.stack
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createInvoiceListHandler,
+  createInvoiceDetailHandler,
+  createInvoicePdfHandler,
+  createInvoiceVoidHandler
+};
@@ -0,0 +1,198 @@
+/**
+ * Ledger and Refund Routes
+ * Credit notes and manual debits on a customer's balance, and refunds of
+ * paid invoices
+ */
+const log = require('../utils/logger');
+const { parsePagination } = require('../utils/query');
+const { MANUAL_ENTRY_TYPES, addLedgerEntry, listLedgerEntries } = require('../billing/ledger');
+const { createRefund, sendRefundTransfer, getRefund } = require('../billing/refunds');
+
+function isPositiveCents(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+function parseId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+async function customerExists(db, crmContactId) {
+  const { rows } = await db.query('SELECT 1 FROM customers WHERE crm_contact_id = $1', [crmContactId]);
+  return rows.length > 0;
+}
+
+/**
+ * Create the ledger handler (GET /customers/:id/ledger?limit=&offset=)
+ */
+function createLedgerListHandler(db) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+      if (!await customerExists(db, req.params.id)) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+
+      const ledger = await listLedgerEntries(db, req.params.id, page);
+      res.status(200).json({ ...ledger, limit: page.limit, offset: page.offset });
+    } catch (error) {
+      log.error('Ledger list error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the ledger entry handler (POST /customers/:id/ledger)
+ * Body: { "type": "credit" | "debit", "amount_cents": 500, "description": "...", "invoice_id": 42 }
+ * Credits are taken off the customer's next invoice; debits are added to it.
+ */
+function createLedgerEntryHandler(db) {
+  return async (req, res) => {
+    try {
+      const { type, amount_cents: amountCents, description, invoice_id: invoiceId } = req.body || {};
+      const errors = [];
+      if (!MANUAL_ENTRY_TYPES.includes(type)) {
+        errors.push(`type must be one of: ${MANUAL_ENTRY_TYPES.join(', ')}`);
+      }
+      if (!isPositiveCents(amountCents)) {
+        errors.push('amount_cents must be a positive integer');
+      }
+      if (!description || typeof description !== 'string') {
+        errors.push('description is required');
+      }
+      if (invoiceId !== undefined && !parseId(invoiceId)) {
+        errors.push('invoice_id must be a positive integer');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid payload', details: errors });
+      }
+      if (!await customerExists(db, req.params.id)) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      if (invoiceId !== undefined) {
+        const { rows } = await db.query(
+          'SELECT 1 FROM invoices WHERE id = $1 AND crm_contact_id = $2',
+          [invoiceId, req.params.id]
+        );
+        if (rows.length === 0) {
+          return res.status(400).json({ error: 'invoice_id is not an invoice of this customer' });
+        }
+      }
+
+      const entry = await addLedgerEntry(db, {
+        crmContactId: req.params.id,
+        type,
+        amountCents,
+        description,
+        invoiceId: invoiceId ?? null,
+        createdBy: req.apiKey?.label
+      });
+
+      log.info('Ledger entry added', {
+        crm_contact_id: req.params.id,
+        entry_id: entry.id,
+        type,
+        amount_cents: entry.amount_cents,
+        created_by: entry.created_by
+      });
+      res.status(201).json({ entry });
+    } catch (error) {
+      log.error('Ledger entry error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Respond with a refund after its transfer was attempted
+ */
+function sendRefundResult(res, refund, status) {
+  if (refund.status === 'failed') {
+    return res.status(502).json({ error: `Refund failed: ${refund.error}`, refund });
+  }
+  return res.status(status).json({ refund });
+}
+
+/**
+ * Create the refund handler (POST /invoices/:id/refunds)
+ * Body: { "reason": "...", "amount_cents": 1200 } - amount defaults to the
+ * full amount not yet refunded
+ */
+function createRefundHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const invoiceId = parseId(req.params.id);
+      if (!invoiceId) {
+        return res.status(400).json({ error: 'Invalid invoice id' });
+      }
+      const { reason, amount_cents: amountCents } = req.body || {};
+      if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+      if (amountCents !== undefined && !isPositiveCents(amountCents)) {
+        return res.status(400).json({ error: 'amount_cents must be a positive integer' });
+      }
+
+      const result = await createRefund(db, invoiceId, { amountCents, reason, createdBy: req.apiKey?.label });
+      if (!result) {
+        return res.status(404).json({ error: 'Invoice not found' });
+      }
+      if (result.error) {
+        return res.status(409).json({ error: result.error });
+      }
+
+      log.info('Refund created', {
+        refund_id: result.refund.id,
+        invoice_id: invoiceId,
+        amount_cents: result.refund.amount_cents,
+        created_by: result.refund.created_by
+      });
+
+      const refund = await sendRefundTransfer(db, dwolla, result.refund);
+      sendRefundResult(res, refund, 201);
+    } catch (error) {
+      log.error('Refund error', { invoice_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the refund resend handler (POST /refunds/:id/send)
+ * Resends a refund left pending by a Dwolla error, with the same idempotency key
+ */
+function createRefundSendHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const refundId = parseId(req.params.id);
+      if (!refundId) {
+        return res.status(400).json({ error: 'Invalid refund id' });
+      }
+
+      const pending = await getRefund(db, refundId);
+      if (!pending) {
+        return res.status(404).json({ error: 'Refund not found' });
+      }
+      if (pending.status !== 'pending') {
+        return res.status(409).json({ error: `Refund is already ${pending.status}`, refund: pending });
+      }
+
+      const refund = await sendRefundTransfer(db, dwolla, pending);
+      sendRefundResult(res, refund, 200);
+    } catch (error) {
+      log.error('Refund send error', { refund_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createLedgerListHandler,
+  createLedgerEntryHandler,
+  createRefundHandler,
+  createRefundSendHandler
+};
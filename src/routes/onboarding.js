@@ -0,0 +1,183 @@
+/**
+ * Onboarding Routes
+ * Admin API that onboards a customer through Dwolla step by step: Dwolla
+ * customer, bank account, micro-deposits, verification and activation
+ */
+const log = require('../utils/logger');
+const {
+  BANK_ACCOUNT_TYPES,
+  getOnboarding,
+  createDwollaCustomer,
+  attachFundingSource,
+  initiateMicroDeposits,
+  verifyMicroDeposits
+} = require('../customers/onboarding');
+
+/**
+ * Respond with the result of an onboarding step
+ */
+function sendOnboardingResult(res, result) {
+  if (!result) {
+    return res.status(404).json({ error: 'Customer not found' });
+  }
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  if (result.conflict) {
+    return res.status(409).json({ error: result.conflict });
+  }
+  if (result.failed) {
+    return res.status(502).json({ error: `Onboarding step failed: ${result.failed}`, onboarding: result.onboarding });
+  }
+  return res.status(200).json({ onboarding: result.onboarding });
+}
+
+/**
+ * A micro-deposit amount in dollars ("0.03" or 0.03), as Dwolla expects it,
+ * or null if it is not one
+ */
+function parseMicroDepositAmount(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  if (!/^0?\.\d{1,2}$/.test(String(value).trim())) {
+    return null;
+  }
+  const amount = Number(value);
+  return amount > 0 ? amount.toFixed(2) : null;
+}
+
+/**
+ * Create the onboarding state handler (GET /customers/:id/onboarding)
+ */
+function createOnboardingStateHandler(db) {
+  return async (req, res) => {
+    try {
+      const onboarding = await getOnboarding(db, req.params.id);
+      if (!onboarding) {
+        return res.status(404).json({ error: 'Customer not found' });
+      }
+      res.status(200).json({ onboarding });
+    } catch (error) {
+      log.error('Onboarding state error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the Dwolla customer handler (POST /customers/:id/onboarding/dwolla-customer)
+ * Body (optional): { "first_name": "...", "last_name": "...", "business_name": "..." }
+ * Names default to the customer's name; the customer must have an email.
+ */
+function createOnboardingCustomerHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const { first_name: firstName, last_name: lastName, business_name: businessName } = req.body || {};
+      for (const [field, value] of [['first_name', firstName], ['last_name', lastName], ['business_name', businessName]]) {
+        if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+          return res.status(400).json({ error: `${field} must be a non-empty string` });
+        }
+      }
+
+      const result = await createDwollaCustomer(db, dwolla, req.params.id, { firstName, lastName, businessName });
+      sendOnboardingResult(res, result);
+    } catch (error) {
+      log.error('Onboarding customer error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the funding source handler (POST /customers/:id/onboarding/funding-source)
+ * Body: { "routing_number": "222222226", "account_number": "123456789",
+ *         "bank_account_type": "checking", "name": "Business Checking" }
+ */
+function createOnboardingFundingSourceHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const {
+        routing_number: routingNumber,
+        account_number: accountNumber,
+        bank_account_type: bankAccountType = 'checking',
+        name
+      } = req.body || {};
+
+      const errors = [];
+      if (typeof routingNumber !== 'string' || !/^\d{9}$/.test(routingNumber)) {
+        errors.push('routing_number must be a 9-digit string');
+      }
+      if (typeof accountNumber !== 'string' || !/^\d{4,17}$/.test(accountNumber)) {
+        errors.push('account_number must be a string of 4 to 17 digits');
+      }
+      if (!BANK_ACCOUNT_TYPES.includes(bankAccountType)) {
+        errors.push(`bank_account_type must be one of: ${BANK_ACCOUNT_TYPES.join(', ')}`);
+      }
+      if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        errors.push('name must be a non-empty string');
+      }
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid payload', details: errors });
+      }
+
+      const result = await attachFundingSource(db, dwolla, req.params.id, {
+        routingNumber,
+        accountNumber,
+        bankAccountType,
+        name: name || `${bankAccountType === 'savings' ? 'Savings' : 'Checking'} account`
+      });
+      sendOnboardingResult(res, result);
+    } catch (error) {
+      log.error('Onboarding funding source error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the micro-deposit handler (POST /customers/:id/onboarding/micro-deposits)
+ */
+function createOnboardingMicroDepositsHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const result = await initiateMicroDeposits(db, dwolla, req.params.id);
+      sendOnboardingResult(res, result);
+    } catch (error) {
+      log.error('Onboarding micro-deposits error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the micro-deposit verification handler
+ * (POST /customers/:id/onboarding/micro-deposits/verify)
+ * Body: { "amount1": "0.03", "amount2": "0.07" }
+ * Activates the customer once Dwolla accepts the amounts.
+ */
+function createOnboardingVerifyHandler(db, dwolla) {
+  return async (req, res) => {
+    try {
+      const amount1 = parseMicroDepositAmount(req.body?.amount1);
+      const amount2 = parseMicroDepositAmount(req.body?.amount2);
+      if (!amount1 || !amount2) {
+        return res.status(400).json({ error: 'amount1 and amount2 must be amounts under $1.00, e.g. "0.03"' });
+      }
+
+      const result = await verifyMicroDeposits(db, dwolla, req.params.id, { amount1, amount2 });
+      sendOnboardingResult(res, result);
+    } catch (error) {
+      log.error('Onboarding verification error', { crm_contact_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createOnboardingStateHandler,
+  createOnboardingCustomerHandler,
+  createOnboardingFundingSourceHandler,
+  createOnboardingMicroDepositsHandler,
+  createOnboardingVerifyHandler
+};
@@ -0,0 +1,89 @@
+/**
+ * Reconciliation Routes
+ * Runs the transfer status reconciliation job and serves its reports
+ */
+const { DateTime } = require('luxon');
+const log = require('../utils/logger');
+const { parsePagination } = require('../utils/query');
+const {
+  reconcileTransferStatuses,
+  listReconciliationReports,
+  getReconciliationReport
+} = require('../billing/reconciliation');
+
+/**
+ * Create the reconciliation run handler (POST /reconciliation/run)
+ * Optional body: { "stuck_business_days": 5 }
+ */
+function createReconciliationRunHandler(db, dwolla, handlers, { zone }) {
+  return async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { stuck_business_days: stuckBusinessDays } = req.body || {};
+      if (stuckBusinessDays !== undefined && (!Number.isInteger(stuckBusinessDays) || stuckBusinessDays < 1)) {
+        return res.status(400).json({ error: 'stuck_business_days must be a positive integer' });
+      }
+
+      const report = await reconcileTransferStatuses(db, dwolla, handlers, {
+        now: DateTime.now().setZone(zone),
+        stuckBusinessDays
+      });
+      res.status(200).json({ success: true, report, duration: Date.now() - startTime });
+    } catch (error) {
+      log.error('Reconciliation run error', {
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the report list handler (GET /reconciliation/reports?limit=&offset=)
+ */
+function createReconciliationReportListHandler(db) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+      const reports = await listReconciliationReports(db, page);
+      res.status(200).json({ reports, limit: page.limit, offset: page.offset });
+    } catch (error) {
+      log.error('Reconciliation report list error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the report detail handler (GET /reconciliation/reports/:id)
+ */
+function createReconciliationReportHandler(db) {
+  return async (req, res) => {
+    try {
+      const reportId = Number(req.params.id);
+      if (!Number.isInteger(reportId) || reportId <= 0) {
+        return res.status(400).json({ error: 'Invalid report id' });
+      }
+      const report = await getReconciliationReport(db, reportId);
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+      res.status(200).json({ report });
+    } catch (error) {
+      log.error('Reconciliation report error', { report_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createReconciliationRunHandler,
+  createReconciliationReportListHandler,
+  createReconciliationReportHandler
+};
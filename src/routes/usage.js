@@ -0,0 +1,97 @@
+/**
+ * Usage Routes
+ * Admin API for voiding or adjusting usage that has not been billed yet
+ */
+const log = require('../utils/logger');
+const { voidUsage, adjustUsage } = require('../billing/usage');
+
+function parseUsageId(req) {
+  const usageId = Number(req.params.id);
+  return Number.isInteger(usageId) && usageId > 0 ? usageId : null;
+}
+
+/**
+ * Respond to the { usage, updated } result of a void or adjustment
+ */
+function sendUsageResult(res, { usage, updated }) {
+  if (!usage) {
+    return res.status(404).json({ error: 'Usage not found' });
+  }
+  if (!updated) {
+    return res.status(409).json({
+      error: `Usage is already ${usage.status} and cannot be changed`,
+      usage
+    });
+  }
+  return res.status(200).json({ usage });
+}
+
+/**
+ * Create the usage void handler (POST /usage/:id/void)
+ * Body: { "reason": "..." }
+ */
+function createUsageVoidHandler(db) {
+  return async (req, res) => {
+    try {
+      const usageId = parseUsageId(req);
+      if (!usageId) {
+        return res.status(400).json({ error: 'Invalid usage id' });
+      }
+      const reason = req.body?.reason;
+      if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+
+      const result = await voidUsage(db, usageId, { reason });
+      if (result.updated) {
+        log.info('Usage voided', { usage_id: usageId, crm_contact_id: result.usage.crm_contact_id, reason });
+      }
+      sendUsageResult(res, result);
+    } catch (error) {
+      log.error('Usage void error', { usage_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the usage adjustment handler (PATCH /usage/:id)
+ * Body: { "units": 3, "reason": "..." }
+ */
+function createUsageAdjustHandler(db) {
+  return async (req, res) => {
+    try {
+      const usageId = parseUsageId(req);
+      if (!usageId) {
+        return res.status(400).json({ error: 'Invalid usage id' });
+      }
+      const { units, reason } = req.body || {};
+      if (typeof units !== 'number' || !Number.isFinite(units) || units < 0) {
+        return res.status(400).json({ error: 'units must be a non-negative number' });
+      }
+      if (!reason || typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason is required' });
+      }
+
+      const result = await adjustUsage(db, usageId, { units, reason });
+      if (result.updated) {
+        log.info('Usage adjusted', {
+          usage_id: usageId,
+          crm_contact_id: result.usage.crm_contact_id,
+          original_units: result.usage.original_units,
+          units,
+          reason
+        });
+      }
+      sendUsageResult(res, result);
+    } catch (error) {
+      log.error('Usage adjust error', { usage_id: req.params.id, error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createUsageVoidHandler,
+  createUsageAdjustHandler
+};
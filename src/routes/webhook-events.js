@@ -0,0 +1,65 @@
+/**
+ * Webhook Event Routes
+ * Lists stored Dwolla events and replays them through the event handlers
+ */
+const log = require('../utils/logger');
+const { parsePagination } = require('../utils/query');
+const { listWebhookEvents, replayWebhookEvents } = require('../webhooks/event-store');
+
+/**
+ * Create the event list handler (GET /webhooks/events?status=&topic=&limit=&offset=)
+ */
+function createWebhookEventListHandler(db) {
+  return async (req, res) => {
+    try {
+      const page = parsePagination(req.query);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+      const { limit, offset } = page;
+      const events = await listWebhookEvents(db, {
+        status: req.query.status,
+        topic: req.query.topic,
+        limit,
+        offset
+      });
+      res.status(200).json({ events, limit, offset });
+    } catch (error) {
+      log.error('Webhook event list error', { error: error.message, stack: error.stack });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+/**
+ * Create the replay handler (POST /webhooks/events/replay)
+ * Body: { "event_ids": ["..."] } to replay specific events,
+ * or { "status": "failed" } to replay every event in a status
+ */
+function createWebhookEventReplayHandler(db, handlers) {
+  return async (req, res) => {
+    const startTime = Date.now();
+
+    try {
+      const { event_ids: eventIds, status } = req.body || {};
+      if (eventIds !== undefined && !Array.isArray(eventIds)) {
+        return res.status(400).json({ error: 'event_ids must be an array' });
+      }
+
+      const results = await replayWebhookEvents(db, handlers, { eventIds, status });
+      res.status(200).json({ success: true, results, duration: Date.now() - startTime });
+    } catch (error) {
+      log.error('Webhook replay error', {
+        error: error.message,
+        stack: error.stack,
+        duration: Date.now() - startTime
+      });
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  };
+}
+
+module.exports = {
+  createWebhookEventListHandler,
+  createWebhookEventReplayHandler
+};
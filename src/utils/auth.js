@@ -0,0 +1,36 @@
+/**
+ * Shared authentication middleware
+ */
+const log = require('./logger');
+const { verifyApiKey } = require('../auth/api-keys');
+
+function bearerToken(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the scope middleware factory for a database:
+ *   const requireScope = createScopeAuth(db);
+ *   app.post('/bill/run', requireScope('billing:run'), handler);
+ * Responds 401 for a missing, unknown, revoked or expired API key and 403
+ * for a key without the scope. The key is available as req.apiKey.
+ */
+function createScopeAuth(db) {
+  return scope => async (req, res, next) => {
+    const apiKey = await verifyApiKey(db, bearerToken(req));
+    if (!apiKey) {
+      log.warn('Unauthorized request', { ip: req.ip, path: req.path });
+      return res.sendStatus(401);
+    }
+    if (!apiKey.scopes.includes(scope)) {
+      log.warn('API key missing scope', { ip: req.ip, path: req.path, api_key_id: apiKey.id, scope });
+      return res.status(403).json({ error: `API key lacks the ${scope} scope` });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+module.exports = { createScopeAuth };
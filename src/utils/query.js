@@ -0,0 +1,54 @@
+/**
+ * Shared query-string parsing for list endpoints
+ */
+const { DateTime } = require('luxon');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * Parse ?limit=&offset= into { limit, offset } or { error }
+ */
+function parsePagination(query) {
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit <= 0) {
+    return { error: 'limit must be a positive integer' };
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return { error: 'offset must be a non-negative integer' };
+  }
+  return { limit: Math.min(limit, MAX_LIMIT), offset };
+}
+
+/**
+ * Parse ?from=&to= ISO 8601 timestamps (in the billing time zone) into
+ * { from, to } ISO strings, either of which may be null, or { error }
+ */
+function parseDateRange(query, zone) {
+  const range = {};
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) {
+      range[field] = null;
+      continue;
+    }
+    const date = DateTime.fromISO(String(query[field]), { zone });
+    if (!date.isValid) {
+      return { error: `${field} must be a valid ISO 8601 timestamp` };
+    }
+    range[field] = date;
+  }
+  if (range.from && range.to && range.from >= range.to) {
+    return { error: 'from must be before to' };
+  }
+  return {
+    from: range.from ? range.from.toISO() : null,
+    to: range.to ? range.to.toISO() : null
+  };
+}
+
+module.exports = {
+  parsePagination,
+  parseDateRange
+};
@@ -0,0 +1,272 @@
+/**
+ * Dwolla Event Handlers
+ * Keeps invoices and customers in sync with Dwolla, one handler per webhook topic
+ */
+const log = require('../utils/logger');
+const { handleTransferFailed, handleTransferCompleted } = require('../billing/dunning');
+const { DEACTIVATING_RETURN_CODES, fetchTransferFailure, deactivateFundingSource } = require('../dwolla/failures');
+const { updateRefundStatus } = require('../billing/refunds');
+const { notifyPaymentReceived, notifyPaymentFailed } = require('../notifications/notifier');
+const { queueInvoiceSync } = require('../ghl/sync');
+
+/**
+ * Move an invoice to a new status by its transfer href. Voided invoices keep their status.
+ * Returns the updated invoice, or undefined if none matched or it was already in that status.
+ */
+async function updateInvoiceStatus(db, transferHref, status) {
+  const result = await db.query(
+    `UPDATE invoices
+     SET status = $2, updated_at = now()
+     WHERE dwolla_transfer_href = $1 AND status != $2 AND status != 'voided'
+     RETURNING id, crm_contact_id, amount_cents`,
+    [transferHref, status]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Update the status of the customers matching a Dwolla customer href
+ */
+async function updateCustomerStatus(db, customerHref, status) {
+  const result = await db.query(
+    `UPDATE customers SET status = $2
+     WHERE dwolla_customer_href = $1
+     RETURNING crm_contact_id`,
+    [customerHref, status]
+  );
+  return result.rows;
+}
+
+/**
+ * Update the customers whose current funding source matches a href
+ */
+async function updateFundingSourceStatus(db, fundingHref, status) {
+  const result = await db.query(
+    `UPDATE customers SET funding_source_status = $2
+     WHERE dwolla_funding_href = $1
+     RETURNING crm_contact_id`,
+    [fundingHref, status]
+  );
+  return result.rows;
+}
+
+/**
+ * Look up and store the ACH return code for a failed invoice.
+ * Lookup errors are logged and do not stop the failure from being recorded.
+ */
+async function recordTransferFailure(db, dwollaGet, invoice, transferHref) {
+  let failure = null;
+  try {
+    failure = await fetchTransferFailure(dwollaGet, transferHref);
+  } catch (error) {
+    log.warn('Could not fetch transfer failure details', {
+      invoice_id: invoice.id,
+      transfer_href: transferHref,
+      error: error.message
+    });
+    return null;
+  }
+
+  if (!failure) {
+    return null;
+  }
+
+  await db.query(
+    `UPDATE invoices
+     SET return_code = $2, return_description = $3, updated_at = now()
+     WHERE id = $1`,
+    [invoice.id, failure.code, failure.description]
+  );
+
+  if (DEACTIVATING_RETURN_CODES.includes(failure.code)) {
+    await deactivateFundingSource(db, invoice.crm_contact_id, failure);
+  }
+
+  return failure;
+}
+
+/**
+ * Create the topic → handler map. Each handler receives the resource href and the full event.
+ * zone is the billing time zone, for the dates in customer emails.
+ */
+function createDwollaEventHandlers(db, { dwollaGet }, { zone }) {
+  // --- Transfers ---
+
+  // Transfers that are not invoice payments may be refunds (our account → customer)
+  async function updateRefund(href, status) {
+    const refund = await updateRefundStatus(db, href, status);
+    if (refund) {
+      const level = status === 'completed' ? 'info' : 'warn';
+      log[level]('Refund transfer updated', {
+        refund_id: refund.id,
+        invoice_id: refund.invoice_id,
+        crm_contact_id: refund.crm_contact_id,
+        amount_cents: refund.amount_cents,
+        status
+      });
+    }
+  }
+
+  async function onTransferCreated(href) {
+    const { rows } = await db.query(
+      'SELECT id FROM invoices WHERE dwolla_transfer_href = $1',
+      [href]
+    );
+    log.info('Transfer created', { transfer_href: href, invoice_id: rows[0]?.id });
+  }
+
+  async function onTransferCompleted(href) {
+    const invoice = await updateInvoiceStatus(db, href, 'completed');
+    if (invoice) {
+      log.info('Transfer completed', {
+        invoice_id: invoice.id,
+        crm_contact_id: invoice.crm_contact_id,
+        amount_cents: invoice.amount_cents
+      });
+      await handleTransferCompleted(db, invoice, { transferHref: href });
+      await notifyPaymentReceived(db, invoice.id, { zone });
+      await queueInvoiceSync(db, invoice.id, 'completed');
+    } else {
+      await updateRefund(href, 'completed');
+    }
+  }
+
+  async function onTransferFailed(href) {
+    const invoice = await updateInvoiceStatus(db, href, 'failed');
+    if (!invoice) {
+      await updateRefund(href, 'failed');
+      return;
+    }
+
+    const failure = await recordTransferFailure(db, dwollaGet, invoice, href);
+
+    log.error('Transfer failed', {
+      invoice_id: invoice.id,
+      crm_contact_id: invoice.crm_contact_id,
+      amount_cents: invoice.amount_cents,
+      return_code: failure?.code,
+      return_description: failure?.description
+    });
+
+    // Retrying a closed or invalid account can never succeed
+    await handleTransferFailed(db, invoice, {
+      transferHref: href,
+      failureCode: failure?.code,
+      failureDescription: failure?.description,
+      final: DEACTIVATING_RETURN_CODES.includes(failure?.code)
+    });
+    await notifyPaymentFailed(db, invoice.id, { zone, transferHref: href, failureDescription: failure?.description });
+    await queueInvoiceSync(db, invoice.id, 'failed', { transferHref: href, failureDescription: failure?.description });
+  }
+
+  async function onTransferCancelled(href) {
+    const invoice = await updateInvoiceStatus(db, href, 'cancelled');
+    if (invoice) {
+      log.warn('Transfer cancelled', { invoice_id: invoice.id, crm_contact_id: invoice.crm_contact_id });
+      await queueInvoiceSync(db, invoice.id, 'cancelled');
+    } else {
+      await updateRefund(href, 'cancelled');
+    }
+  }
+
+  async function onTransferReclaimed(href) {
+    const invoice = await updateInvoiceStatus(db, href, 'reclaimed');
+    if (invoice) {
+      log.warn('Transfer reclaimed', { invoice_id: invoice.id, crm_contact_id: invoice.crm_contact_id });
+      await queueInvoiceSync(db, invoice.id, 'reclaimed');
+    }
+  }
+
+  // --- Funding sources ---
+
+  async function onFundingSourceVerified(href, evt) {
+    let customers = await updateFundingSourceStatus(db, href, 'verified');
+
+    // A newly linked bank account: attach it to the customer it belongs to
+    const customerHref = evt?._links?.customer?.href;
+    if (customers.length === 0 && customerHref) {
+      const result = await db.query(
+        `UPDATE customers SET dwolla_funding_href = $2, funding_source_status = 'verified'
+         WHERE dwolla_customer_href = $1 AND dwolla_funding_href IS NULL
+         RETURNING crm_contact_id`,
+        [customerHref, href]
+      );
+      customers = result.rows;
+    }
+
+    // Customers waiting on bank verification can now be billed
+    for (const { crm_contact_id } of customers) {
+      await db.query(
+        `UPDATE customers SET status = 'active' WHERE crm_contact_id = $1 AND status = 'pending'`,
+        [crm_contact_id]
+      );
+    }
+    log.info('Funding source verified', { funding_href: href, customers: customers.map(c => c.crm_contact_id) });
+  }
+
+  async function onFundingSourceUnverified(href) {
+    const customers = await updateFundingSourceStatus(db, href, 'unverified');
+    log.warn('Funding source unverified', { funding_href: href, customers: customers.map(c => c.crm_contact_id) });
+  }
+
+  async function onFundingSourceRemoved(href) {
+    const { rows } = await db.query(
+      `UPDATE customers
+       SET deactivated_funding_href = dwolla_funding_href,
+           dwolla_funding_href = NULL,
+           funding_source_status = 'removed',
+           funding_deactivated_at = now(),
+           funding_deactivated_reason = 'Removed in Dwolla'
+       WHERE dwolla_funding_href = $1
+       RETURNING crm_contact_id`,
+      [href]
+    );
+    log.warn('Funding source removed', { funding_href: href, customers: rows.map(c => c.crm_contact_id) });
+  }
+
+  function onMicroDeposits(status) {
+    return async (href) => {
+      const customers = await updateFundingSourceStatus(db, href, status);
+      log.info('Micro-deposits updated', {
+        funding_href: href,
+        funding_source_status: status,
+        customers: customers.map(c => c.crm_contact_id)
+      });
+    };
+  }
+
+  // --- Customers ---
+
+  function onCustomerStatus(status) {
+    return async (href) => {
+      const customers = await updateCustomerStatus(db, href, status);
+      log.warn('Dwolla customer status changed', {
+        customer_href: href,
+        status,
+        customers: customers.map(c => c.crm_contact_id)
+      });
+    };
+  }
+
+  return {
+    transfer_completed: onTransferCompleted,
+    transfer_failed: onTransferFailed,
+    transfer_cancelled: onTransferCancelled,
+    transfer_reclaimed: onTransferReclaimed,
+    customer_transfer_created: onTransferCreated,
+    customer_transfer_completed: onTransferCompleted,
+    customer_transfer_failed: onTransferFailed,
+    customer_transfer_cancelled: onTransferCancelled,
+    customer_funding_source_verified: onFundingSourceVerified,
+    customer_funding_source_unverified: onFundingSourceUnverified,
+    customer_funding_source_removed: onFundingSourceRemoved,
+    customer_microdeposits_added: onMicroDeposits('microdeposits_added'),
+    customer_microdeposits_completed: onMicroDeposits('microdeposits_completed'),
+    customer_microdeposits_failed: onMicroDeposits('microdeposits_failed'),
+    customer_microdeposits_maxattempts: onMicroDeposits('microdeposits_maxattempts'),
+    customer_suspended: onCustomerStatus('suspended'),
+    customer_deactivated: onCustomerStatus('deactivated')
+  };
+}
+
+module.exports = createDwollaEventHandlers;
@@ -4,6 +4,19 @@
  */
 const crypto = require('crypto');
 const log = require('../utils/logger');
+const createDwollaEventHandlers = require('./dwolla-events');
+const { storeWebhookEvent, processWebhookEvent } = require('./event-store');
+
+/**
+ * Parse the raw webhook body, returning null if it is not valid JSON
+ */
+function parseEvent(rawBody) {
+  try {
+    return JSON.parse(rawBody);
+  } catch {
+    return null;
+  }
+}
 
 /**
  * Verify Dwolla webhook signature
@@ -23,69 +36,63 @@ function verifyDwollaWebhookSignature(req, secret) {
   hmac.update(req.body);
   const calculated = hmac.digest('hex');
 
-  return crypto.timingSafeEqual(
-    Buffer.from(signature),
-    Buffer.from(calculated)
-  );
+  const signatureBuffer = Buffer.from(signature);
+  const calculatedBuffer = Buffer.from(calculated);
+  if (signatureBuffer.length !== calculatedBuffer.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(signatureBuffer, calculatedBuffer);
 }
 
 /**
- * Create the Dwolla webhook handler
+ * Create the Dwolla webhook handler. zone is the billing time zone.
  */
-function createDwollaWebhookHandler(db) {
+function createDwollaWebhookHandler(db, { dwollaGet }, { zone }) {
+  const handlers = createDwollaEventHandlers(db, { dwollaGet }, { zone });
+
   return async (req, res) => {
     const startTime = Date.now();
     
     try {
-      // Verify webhook signature
-      if (!verifyDwollaWebhookSignature(req, process.env.DWOLLA_WEBHOOK_SECRET)) {
-        log.warn('Invalid Dwolla webhook signature', { ip: req.ip });
-        return res.sendStatus(401);
-      }
-
-      const evt = JSON.parse(req.body.toString());
+      const rawBody = req.body.toString();
+      const signatureValid = verifyDwollaWebhookSignature(req, process.env.DWOLLA_WEBHOOK_SECRET);
+      const evt = parseEvent(rawBody);
+      const eventId = evt?.id;
       const href = evt?._links?.resource?.href;
       const topic = evt?.topic;
 
-      if (!href || !topic) {
-        log.warn('Invalid Dwolla webhook payload', { topic, hasHref: !!href });
-        return res.sendStatus(200); // Return 200 to prevent retries
+      // Store before anything else so no event is lost, including rejected ones
+      const { event, isNew } = eventId
+        ? await storeWebhookEvent(db, { eventId, topic, resourceHref: href, rawBody, signatureValid })
+        : { event: null, isNew: false };
+
+      if (!signatureValid) {
+        log.warn('Invalid Dwolla webhook signature', { ip: req.ip, event_id: eventId });
+        return res.sendStatus(401);
       }
 
-      log.info('Processing Dwolla webhook', { topic, href });
-
-      if (topic === 'transfer_completed') {
-        const result = await db.query(
-          `UPDATE invoices 
-           SET status = 'completed', updated_at = now()
-           WHERE dwolla_transfer_href = $1 AND status != 'completed'
-           RETURNING id, crm_contact_id, amount_cents`,
-          [href]
-        );
-        
-        if (result.rows.length > 0) {
-          log.info('Transfer completed', {
-            invoice_id: result.rows[0].id,
-            crm_contact_id: result.rows[0].crm_contact_id,
-            amount_cents: result.rows[0].amount_cents
-          });
-        }
-      } else if (topic === 'transfer_failed') {
-        const result = await db.query(
-          `UPDATE invoices 
-           SET status = 'failed', updated_at = now()
-           WHERE dwolla_transfer_href = $1 AND status != 'failed'
-           RETURNING id, crm_contact_id, amount_cents`,
-          [href]
-        );
-        
-        if (result.rows.length > 0) {
-          log.error('Transfer failed', {
-            invoice_id: result.rows[0].id,
-            crm_contact_id: result.rows[0].crm_contact_id,
-            amount_cents: result.rows[0].amount_cents
-          });
+      if (!eventId || !href || !topic) {
+        log.warn('Invalid Dwolla webhook payload', { topic, hasHref: !!href, hasId: !!eventId });
+        if (event) {
+          await db.query(
+            `UPDATE webhook_events SET status = 'ignored', error = 'Invalid payload', updated_at = now() WHERE id = $1`,
+            [event.id]
+          );
         }
+        return res.sendStatus(200); // Return 200 to prevent retries
+      }
+
+      if (!isNew && ['processed', 'ignored', 'processing'].includes(event.status)) {
+        log.info('Duplicate Dwolla webhook ignored', { event_id: eventId, topic, status: event.status });
+        return res.sendStatus(200);
+      }
+
+      log.info('Processing Dwolla webhook', { event_id: eventId, topic, href });
+
+      const result = await processWebhookEvent(db, handlers, event);
+      if (result.status === 'ignored') {
+        log.info('Ignoring unhandled Dwolla webhook topic', { topic });
       }
 
       res.sendStatus(200);
@@ -95,10 +102,14 @@ function createDwollaWebhookHandler(db) {
         stack: error.stack,
         duration: Date.now() - startTime
       });
-      res.sendStatus(200); // Return 200 to prevent Dwolla from retrying
+      // The event is stored as failed (or not stored at all): let Dwolla retry it
+      res.sendStatus(500);
     }
   };
 }
 
-module.exports = createDwollaWebhookHandler;
+module.exports = {
+  createDwollaWebhookHandler,
+  verifyDwollaWebhookSignature
+};
 
@@ -0,0 +1,141 @@
+/**
+ * Webhook Event Store
+ * Persists inbound Dwolla events and processes each event id at most once
+ */
+const log = require('../utils/logger');
+
+// Events stuck in 'processing' longer than this (e.g. after a crash) can be replayed
+const STALE_PROCESSING_MINUTES = 5;
+
+/**
+ * Store an inbound event. Returns { event, isNew }.
+ * A correctly signed event replaces a stored one that failed signature
+ * verification, so a forged request cannot block the real event id.
+ */
+async function storeWebhookEvent(db, { eventId, topic, resourceHref, rawBody, signatureValid }) {
+  const { rows } = await db.query(
+    `INSERT INTO webhook_events(event_id, topic, resource_href, raw_body, signature_valid, status)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $5::boolean THEN 'received' ELSE 'rejected' END)
+     ON CONFLICT (event_id) DO UPDATE
+     SET topic = EXCLUDED.topic,
+         resource_href = EXCLUDED.resource_href,
+         raw_body = EXCLUDED.raw_body,
+         signature_valid = true,
+         status = 'received',
+         error = NULL,
+         updated_at = now()
+     WHERE webhook_events.signature_valid = false AND EXCLUDED.signature_valid = true
+     RETURNING *`,
+    [eventId, topic, resourceHref, rawBody, signatureValid]
+  );
+  if (rows.length > 0) {
+    return { event: rows[0], isNew: true };
+  }
+
+  const existing = await db.query('SELECT * FROM webhook_events WHERE event_id = $1', [eventId]);
+  return { event: existing.rows[0], isNew: false };
+}
+
+/**
+ * Run a stored event through its topic handler.
+ * Only 'received' and 'failed' events are claimed unless replay is set, in
+ * which case processed events are run again. Handler errors are recorded on
+ * the event and re-thrown.
+ */
+async function processWebhookEvent(db, handlers, event, { replay = false } = {}) {
+  const claimable = replay ? ['received', 'failed', 'processed', 'ignored'] : ['received', 'failed'];
+  const { rows } = await db.query(
+    `UPDATE webhook_events
+     SET status = 'processing', attempts = attempts + 1, updated_at = now()
+     WHERE id = $1 AND signature_valid
+       AND (status = ANY($2)
+         OR (status = 'processing' AND updated_at < now() - make_interval(mins => $3)))
+     RETURNING *`,
+    [event.id, claimable, STALE_PROCESSING_MINUTES]
+  );
+  if (rows.length === 0) {
+    return { event_id: event.event_id, status: 'skipped' };
+  }
+
+  const claimed = rows[0];
+  const handler = handlers[claimed.topic];
+
+  try {
+    if (handler) {
+      await handler(claimed.resource_href, JSON.parse(claimed.raw_body));
+    }
+    const status = handler ? 'processed' : 'ignored';
+    await db.query(
+      `UPDATE webhook_events
+       SET status = $2, error = NULL, processed_at = now(), updated_at = now()
+       WHERE id = $1`,
+      [claimed.id, status]
+    );
+    return { event_id: claimed.event_id, status };
+  } catch (error) {
+    await db.query(
+      `UPDATE webhook_events
+       SET status = 'failed', error = $2, updated_at = now()
+       WHERE id = $1`,
+      [claimed.id, error.message]
+    );
+    throw error;
+  }
+}
+
+/**
+ * Replay stored events through their handlers: the given event ids, or every
+ * event with the given status (default 'failed')
+ */
+async function replayWebhookEvents(db, handlers, { eventIds, status = 'failed', limit = 100 } = {}) {
+  const { rows: events } = eventIds && eventIds.length > 0
+    ? await db.query(
+      'SELECT * FROM webhook_events WHERE event_id = ANY($1) ORDER BY received_at',
+      [eventIds]
+    )
+    : await db.query(
+      'SELECT * FROM webhook_events WHERE status = $1 ORDER BY received_at LIMIT $2',
+      [status, limit]
+    );
+
+  const results = { total: events.length, processed: 0, ignored: 0, skipped: 0, failed: 0, events: [] };
+
+  for (const event of events) {
+    try {
+      const result = await processWebhookEvent(db, handlers, event, { replay: true });
+      results[result.status]++;
+      results.events.push(result);
+    } catch (error) {
+      results.failed++;
+      results.events.push({ event_id: event.event_id, status: 'failed', error: error.message });
+      log.error('Webhook replay failed', { event_id: event.event_id, topic: event.topic, error: error.message });
+    }
+  }
+
+  log.info('Webhook replay completed', { ...results, events: undefined });
+  return results;
+}
+
+/**
+ * List stored events, newest first, optionally filtered by status and topic
+ */
+async function listWebhookEvents(db, { status, topic, limit = 50, offset = 0 } = {}) {
+  const { rows } = await db.query(
+    `SELECT id, event_id, topic, resource_href, signature_valid, status, attempts, error,
+            received_at, processed_at, updated_at
+     FROM webhook_events
+     WHERE ($1::text IS NULL OR status = $1)
+       AND ($2::text IS NULL OR topic = $2)
+     ORDER BY received_at DESC
+     LIMIT $3 OFFSET $4`,
+    [status || null, topic || null, limit, offset]
+  );
+  return rows;
+}
+
+module.exports = {
+  storeWebhookEvent,
+  processWebhookEvent,
+  replayWebhookEvents,
+  listWebhookEvents
+};
@@ -28,19 +28,14 @@ function validateUsageWebhook(body) {
 }
 
 /**
- * Create the GoHighLevel usage webhook handler
+ * Create the GoHighLevel usage webhook handler.
+ * Mount it behind an API key with the usage:write scope.
  */
 function createGhlUsageHandler(db) {
   return async (req, res) => {
     const startTime = Date.now();
     
     try {
-      // Authentication
-      if (req.get('authorization') !== `Bearer ${process.env.GHL_BEARER}`) {
-        log.warn('Unauthorized GHL webhook attempt', { ip: req.ip });
-        return res.sendStatus(401);
-      }
-
       // Validation
       const validationErrors = validateUsageWebhook(req.body);
       if (validationErrors.length > 0) {
@@ -102,5 +97,8 @@ function createGhlUsageHandler(db) {
   };
 }
 
-module.exports = createGhlUsageHandler;
+module.exports = {
+  createGhlUsageHandler,
+  validateUsageWebhook
+};
 
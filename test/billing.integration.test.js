@@ -0,0 +1,367 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+// The week of Monday 2025-03-03 in America/Los_Angeles (DST starts Sunday 2025-03-09)
+const WEEK = { start: '2025-03-03T00:00:00', end: '2025-03-10T00:00:00' };
+
+describe('POST /bill/run', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+  });
+
+  let usageCount = 0;
+  async function recordUsage(crmContactId, units, occurredAt) {
+    const res = await app.api('POST', '/ghl/usage', {
+      crm_contact_id: crmContactId,
+      name: `Customer ${crmContactId}`,
+      email: `${crmContactId.toLowerCase()}@example.com`,
+      units,
+      occurred_at: occurredAt,
+      idempotency_key: `${crmContactId}-${++usageCount}`
+    });
+    assert.equal(res.status, 200);
+  }
+
+  async function invoices() {
+    const { rows } = await database.db.query(
+      `SELECT id, crm_contact_id, status, amount_cents, units, billing_key, dwolla_transfer_href
+       FROM invoices ORDER BY crm_contact_id, id`
+    );
+    return rows.map(row => ({ ...row, units: Number(row.units) }));
+  }
+
+  async function unbilledUnits(crmContactId) {
+    const { rows } = await database.db.query(
+      `SELECT COALESCE(SUM(units), 0) AS units FROM usage_ledger WHERE crm_contact_id = $1 AND invoice_id IS NULL`,
+      [crmContactId]
+    );
+    return Number(rows[0].units);
+  }
+
+  function transferRequests() {
+    return app.fake.requests.filter(request => request.method === 'POST' && request.path === '/transfers');
+  }
+
+  it('invoices the week and sends one transfer per customer', async () => {
+    await app.createBillableCustomer('ACME1');
+    await app.createBillableCustomer('ACME2');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await recordUsage('ACME1', 2, '2025-03-06T18:00:00Z');
+    await recordUsage('ACME2', 1, '2025-03-05T18:00:00Z');
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results.successful, 2);
+    assert.equal(res.body.results.failed, 0);
+    assert.equal(res.body.results.total_amount_cents, 2400);
+
+    const [acme1, acme2] = await invoices();
+    assert.deepEqual(
+      [acme1, acme2].map(({ crm_contact_id, status, amount_cents, units }) => ({ crm_contact_id, status, amount_cents, units })),
+      [
+        { crm_contact_id: 'ACME1', status: 'initiated', amount_cents: 2000, units: 5 },
+        { crm_contact_id: 'ACME2', status: 'initiated', amount_cents: 400, units: 1 }
+      ]
+    );
+
+    // The billing key is both the idempotency key and the correlationId
+    const transfer = app.fake.transfers.get(acme1.dwolla_transfer_href.split('/').pop());
+    assert.equal(transfer.correlationId, acme1.billing_key);
+    assert.deepEqual(transfer.amount, { currency: 'USD', value: '20.00' });
+    assert.equal(transferRequests().find(request => request.body.correlationId === acme1.billing_key).idempotency_key, acme1.billing_key);
+    assert.equal(await unbilledUnits('ACME1'), 0);
+  });
+
+  it('never bills a period twice', async () => {
+    await app.createBillableCustomer('ACME1');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+
+    await app.api('POST', '/bill/run', WEEK);
+    const again = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(again.status, 200);
+    assert.equal(again.body.results.total, 0);
+    assert.equal((await invoices()).length, 1);
+    assert.equal(transferRequests().length, 1);
+  });
+
+  it('bills a period again after its invoice is voided for rebilling', async () => {
+    await app.createBillableCustomer('ACME1');
+    await app.createBillableCustomer('ACME2');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await recordUsage('ACME2', 2, '2025-03-04T18:00:00Z');
+    await app.api('POST', '/bill/run', WEEK);
+
+    const [voided, writtenOff] = await invoices();
+    await app.settleTransfer(voided.dwolla_transfer_href, 'failed', 'R01');
+    await app.settleTransfer(writtenOff.dwolla_transfer_href, 'failed', 'R01');
+    const rebill = await app.api('POST', `/invoices/${voided.id}/void`, { reason: 'Wrong bank account', usage: 'rebill' });
+    assert.equal(rebill.status, 200);
+    const writeOff = await app.api('POST', `/invoices/${writtenOff.id}/void`, { reason: 'Test account', usage: 'write_off' });
+    assert.equal(writeOff.status, 200);
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.body.results.successful, 1);
+    assert.equal(res.body.results.total_amount_cents, 1200);
+
+    const [, rebilled, ...rest] = await invoices();
+    assert.equal(rest.length, 1);
+    assert.equal(rebilled.crm_contact_id, 'ACME1');
+    assert.equal(rebilled.status, 'initiated');
+    assert.equal(rebilled.units, 3);
+    // A new key, so Dwolla creates a new transfer instead of replaying the voided one
+    assert.notEqual(rebilled.billing_key, voided.billing_key);
+    assert.notEqual(rebilled.dwolla_transfer_href, voided.dwolla_transfer_href);
+    assert.equal(transferRequests().length, 3);
+    assert.equal(await unbilledUnits('ACME1'), 0);
+
+    const again = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(again.body.results.total, 0);
+  });
+
+  it('keeps the top-level period in the /bill/week response', async () => {
+    await app.createBillableCustomer('ACME1');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+
+    const week = await app.api('POST', '/bill/week', WEEK);
+    assert.equal(week.status, 200);
+    assert.deepEqual(week.body.period, { start: '2025-03-03T00:00:00.000-08:00', end: '2025-03-10T00:00:00.000-07:00' });
+    assert.equal(week.body.periods.length, 1);
+    assert.equal(week.body.results.successful, 1);
+
+    const run = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(run.body.period, undefined);
+  });
+
+  it('does not charge the minimum again for a period inside an invoiced cycle', async () => {
+    const { rows: [plan] } = await database.db.query(
+      `INSERT INTO pricing_plans(code, name, model, unit_price_cents, minimum_cents)
+       VALUES ('test-minimum', 'Test minimum', 'flat', 400, 5000)
+       ON CONFLICT (code) DO UPDATE SET minimum_cents = EXCLUDED.minimum_cents
+       RETURNING id`
+    );
+    await app.createBillableCustomer('ACME1');
+    await database.db.query(
+      `UPDATE customers SET pricing_plan_id = $1, billing_cycle = 'monthly' WHERE crm_contact_id = 'ACME1'`,
+      [plan.id]
+    );
+    await recordUsage('ACME1', 1, '2025-02-12T18:00:00Z');
+
+    const month = await app.api('POST', '/bill/run', { start: '2025-02-01T00:00:00', end: '2025-03-01T00:00:00' });
+    assert.equal(month.body.results.total_amount_cents, 5000);
+
+    // A week inside February has no usage left and February is invoiced
+    const week = await app.api('POST', '/bill/run', { start: '2025-02-03T00:00:00', end: '2025-02-10T00:00:00' });
+    assert.equal(week.status, 200);
+    assert.equal(week.body.results.total, 0);
+    assert.equal((await invoices()).length, 1);
+    assert.equal(transferRequests().length, 1);
+
+    // Late usage in the week is still billed, without the minimum
+    await recordUsage('ACME1', 2, '2025-02-04T18:00:00Z');
+    const late = await app.api('POST', '/bill/run', { start: '2025-02-03T00:00:00', end: '2025-02-10T00:00:00' });
+    assert.equal(late.body.results.successful, 1);
+    assert.equal(late.body.results.total_amount_cents, 800);
+    assert.equal(await unbilledUnits('ACME1'), 0);
+  });
+
+  it('never prices a customer on a deactivated plan', async () => {
+    const { rows: [plan] } = await database.db.query(
+      `INSERT INTO pricing_plans(code, name, model, unit_price_cents)
+       VALUES ('test-retired', 'Test retired', 'flat', 100)
+       ON CONFLICT (code) DO UPDATE SET active = true
+       RETURNING id`
+    );
+    await app.createBillableCustomer('ACME1');
+    await app.createBillableCustomer('ACME2');
+    assert.equal((await app.api('PATCH', '/customers/ACME1', { pricing_plan: 'test-retired' })).status, 200);
+    await database.db.query(`UPDATE pricing_plans SET active = false WHERE id = $1`, [plan.id]);
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await recordUsage('ACME2', 3, '2025-03-04T18:00:00Z');
+
+    const patch = await app.api('PATCH', '/customers/ACME2', { pricing_plan: 'test-retired' });
+    assert.equal(patch.status, 400);
+    assert.match(patch.body.error, /inactive pricing plan/);
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.body.results.successful, 1);
+    assert.deepEqual(res.body.results.errors, [{ crm_contact_id: 'ACME1', error: 'Pricing plan is not active' }]);
+    assert.deepEqual((await invoices()).map(({ crm_contact_id }) => crm_contact_id), ['ACME2']);
+  });
+
+  it('splits weeks at midnight in the billing time zone', async () => {
+    await app.createBillableCustomer('ACME1');
+    // Sunday 11:30 PM before the week (Monday 07:30 UTC): the previous week
+    await recordUsage('ACME1', 1, '2025-03-03T07:30:00Z');
+    // Monday 12:30 AM, the first hour of the week
+    await recordUsage('ACME1', 2, '2025-03-03T08:30:00Z');
+    // Sunday 11:30 PM PDT, the last hour of the week (Monday 06:30 UTC)
+    await recordUsage('ACME1', 4, '2025-03-10T06:30:00Z');
+    // Monday 12:30 AM PDT: the next week
+    await recordUsage('ACME1', 8, '2025-03-10T07:30:00Z');
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.periods[0].start, '2025-03-03T00:00:00.000-08:00');
+    assert.equal(res.body.periods[0].end, '2025-03-10T00:00:00.000-07:00');
+
+    const [invoice] = await invoices();
+    assert.equal(invoice.units, 6);
+    assert.equal(invoice.amount_cents, 2400);
+    assert.equal(await unbilledUnits('ACME1'), 9);
+  });
+
+  it('releases the invoice of a customer whose transfer Dwolla rejects and bills the rest', async () => {
+    await app.createBillableCustomer('ACME1');
+    await app.createBillableCustomer('ACME2');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await recordUsage('ACME2', 1, '2025-03-05T18:00:00Z');
+    await app.queueOutcome({ method: 'POST', path: '/transfers', status: 400, code: 'InvalidResourceState', message: 'Funding source not verified.' });
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results.successful, 1);
+    assert.equal(res.body.results.failed, 1);
+    const [{ crm_contact_id: rejected }] = res.body.results.errors;
+    const billed = rejected === 'ACME1' ? 'ACME2' : 'ACME1';
+
+    // The rejected customer has no invoice and their usage is billed on the next run
+    assert.deepEqual((await invoices()).map(invoice => [invoice.crm_contact_id, invoice.status]), [[billed, 'initiated']]);
+    assert.ok(await unbilledUnits(rejected) > 0);
+
+    const retry = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(retry.body.results.successful, 1);
+    assert.equal(retry.body.results.total, 1);
+    assert.deepEqual((await invoices()).map(invoice => invoice.status), ['initiated', 'initiated']);
+    assert.equal(await unbilledUnits(rejected), 0);
+  });
+
+  it('rolls back a customer whose invoice cannot be written and bills the rest', async () => {
+    await app.createBillableCustomer('ACME1');
+    await app.createBillableCustomer('BROKEN');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await recordUsage('BROKEN', 2, '2025-03-04T18:00:00Z');
+
+    // Fail the invoice transaction after the invoice row is inserted
+    await database.db.query(`
+      CREATE FUNCTION fail_broken_line_items() RETURNS trigger AS $$
+      BEGIN
+        IF (SELECT crm_contact_id FROM invoices WHERE id = NEW.invoice_id) = 'BROKEN' THEN
+          RAISE EXCEPTION 'line items unavailable';
+        END IF;
+        RETURN NEW;
+      END $$ LANGUAGE plpgsql;
+      CREATE TRIGGER fail_broken_line_items BEFORE INSERT ON invoice_line_items
+        FOR EACH ROW EXECUTE FUNCTION fail_broken_line_items();
+    `);
+    try {
+      const res = await app.api('POST', '/bill/run', WEEK);
+      assert.equal(res.status, 200);
+      assert.equal(res.body.results.successful, 1);
+      assert.deepEqual(res.body.results.errors, [{ crm_contact_id: 'BROKEN', error: 'line items unavailable' }]);
+    } finally {
+      await database.db.query(`
+        DROP TRIGGER fail_broken_line_items ON invoice_line_items;
+        DROP FUNCTION fail_broken_line_items();
+      `);
+    }
+
+    // Nothing of the failed transaction is left behind, and no transfer was sent for it
+    assert.deepEqual((await invoices()).map(invoice => invoice.crm_contact_id), ['ACME1']);
+    assert.equal(await unbilledUnits('BROKEN'), 2);
+    assert.equal(transferRequests().length, 1);
+
+    // The run history records the failure, so the customer can be retried
+    const { rows } = await database.db.query(
+      'SELECT crm_contact_id, outcome, invoice_id FROM billing_run_customers ORDER BY crm_contact_id'
+    );
+    assert.deepEqual(rows.map(row => [row.crm_contact_id, row.outcome, row.invoice_id === null]), [
+      ['ACME1', 'billed', false],
+      ['BROKEN', 'failed', true]
+    ]);
+  });
+
+  it('keeps the invoice pending while Dwolla is down and sends it on the next run', async () => {
+    await app.createBillableCustomer('ACME1');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await app.queueOutcome({ method: 'POST', path: '/transfers', status: 503, times: 3 });
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.body.results.failed, 1);
+    const [pending] = await invoices();
+    assert.equal(pending.status, 'pending');
+    assert.equal(await unbilledUnits('ACME1'), 0);
+    assert.equal(app.fake.transfers.size, 0);
+
+    // The next run finishes the pending invoice with the same idempotency key
+    await app.api('POST', '/bill/run', WEEK);
+    const [initiated] = await invoices();
+    assert.equal(initiated.id, pending.id);
+    assert.equal(initiated.status, 'initiated');
+    assert.equal(app.fake.transfers.size, 1);
+    assert.ok(transferRequests().every(request => request.idempotency_key === pending.billing_key));
+
+    // The receipt the failed run could not send goes out once the transfer is sent
+    const { rows } = await database.db.query('SELECT kind, invoice_id, status FROM notifications');
+    assert.deepEqual(rows, [{ kind: 'invoice_created', invoice_id: pending.id, status: 'sent' }]);
+  });
+
+  it('creates one transfer when the response to the transfer request is lost', async () => {
+    await app.createBillableCustomer('ACME1');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await app.queueOutcome({ method: 'POST', path: '/transfers', timeout: true });
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.body.results.successful, 1);
+    assert.equal(transferRequests().length, 2);
+    assert.equal(app.fake.transfers.size, 1);
+
+    const [invoice] = await invoices();
+    assert.equal(invoice.status, 'initiated');
+    assert.equal(invoice.dwolla_transfer_href.split('/').pop(), [...app.fake.transfers.keys()][0]);
+  });
+
+  it('gives up on a transfer request Dwolla never answers and retries it with the same key', async () => {
+    await app.createBillableCustomer('ACME1');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await app.queueOutcome({ method: 'POST', path: '/transfers', hang: true });
+
+    const started = Date.now();
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.ok(Date.now() - started < 10000);
+    assert.equal(res.body.results.successful, 1);
+    assert.equal(transferRequests().length, 2);
+    assert.equal(new Set(transferRequests().map(request => request.idempotency_key)).size, 1);
+    assert.equal(app.fake.transfers.size, 1);
+
+    const [invoice] = await invoices();
+    assert.equal(invoice.status, 'initiated');
+    assert.equal(invoice.dwolla_transfer_href.split('/').pop(), [...app.fake.transfers.keys()][0]);
+  });
+
+  it('skips customers without a verified bank account', async () => {
+    await app.createBillableCustomer('ACME1');
+    await recordUsage('ACME1', 3, '2025-03-04T18:00:00Z');
+    await recordUsage('PENDING1', 2, '2025-03-04T18:00:00Z');
+
+    const res = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(res.body.results.total, 1);
+    assert.deepEqual((await invoices()).map(invoice => invoice.crm_contact_id), ['ACME1']);
+    assert.equal(await unbilledUnits('PENDING1'), 2);
+  });
+});
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { lastClosedPeriod, closedPeriodsSince } = require('../src/billing/cycles');
+const { parseBillingRequest } = require('../src/billing/billing-job');
+
+const ZONE = 'America/Los_Angeles';
+
+function at(iso) {
+  return DateTime.fromISO(iso, { zone: ZONE });
+}
+
+function period({ start, end }) {
+  return [start.toISO(), end.toISO()];
+}
+
+describe('lastClosedPeriod', () => {
+  describe('weekly', () => {
+    it('bills Monday to Monday in the billing time zone', () => {
+      assert.deepEqual(period(lastClosedPeriod('weekly', null, at('2025-01-15T10:00'))), [
+        '2025-01-06T00:00:00.000-08:00',
+        '2025-01-13T00:00:00.000-08:00'
+      ]);
+    });
+
+    it('closes the week at local midnight, not UTC midnight', () => {
+      // Sunday 11:30 PM in Los Angeles is already Monday in UTC
+      const sundayNight = at('2025-01-12T23:30');
+      assert.equal(sundayNight.toUTC().weekday, 1);
+      assert.deepEqual(period(lastClosedPeriod('weekly', null, sundayNight)), [
+        '2024-12-30T00:00:00.000-08:00',
+        '2025-01-06T00:00:00.000-08:00'
+      ]);
+
+      assert.deepEqual(period(lastClosedPeriod('weekly', null, at('2025-01-13T00:00'))), [
+        '2025-01-06T00:00:00.000-08:00',
+        '2025-01-13T00:00:00.000-08:00'
+      ]);
+    });
+
+    it('keeps local midnights across the spring DST change (a 167 hour week)', () => {
+      const { start, end } = lastClosedPeriod('weekly', null, at('2025-03-12T09:00'));
+      assert.deepEqual(period({ start, end }), [
+        '2025-03-03T00:00:00.000-08:00',
+        '2025-03-10T00:00:00.000-07:00'
+      ]);
+      assert.equal(end.diff(start, 'hours').hours, 167);
+    });
+
+    it('keeps local midnights across the fall DST change (a 169 hour week)', () => {
+      const { start, end } = lastClosedPeriod('weekly', null, at('2025-11-05T09:00'));
+      assert.deepEqual(period({ start, end }), [
+        '2025-10-27T00:00:00.000-07:00',
+        '2025-11-03T00:00:00.000-08:00'
+      ]);
+      assert.equal(end.diff(start, 'hours').hours, 169);
+    });
+
+    it('starts weeks on the weekday of the anchor date', () => {
+      // 2025-01-03 is a Friday
+      assert.deepEqual(period(lastClosedPeriod('weekly', '2025-01-03', at('2025-01-15T10:00'))), [
+        '2025-01-03T00:00:00.000-08:00',
+        '2025-01-10T00:00:00.000-08:00'
+      ]);
+    });
+  });
+
+  it('bills yesterday for a daily cycle', () => {
+    assert.deepEqual(period(lastClosedPeriod('daily', null, at('2025-03-10T01:00'))), [
+      '2025-03-09T00:00:00.000-08:00',
+      '2025-03-10T00:00:00.000-07:00'
+    ]);
+  });
+
+  it('counts biweekly periods from the anchor date', () => {
+    assert.deepEqual(period(lastClosedPeriod('biweekly', '2025-01-06', at('2025-02-05T12:00'))), [
+      '2025-01-20T00:00:00.000-08:00',
+      '2025-02-03T00:00:00.000-08:00'
+    ]);
+  });
+
+  describe('monthly', () => {
+    it('bills the previous calendar month without an anchor', () => {
+      assert.deepEqual(period(lastClosedPeriod('monthly', null, at('2025-03-01T00:00'))), [
+        '2025-02-01T00:00:00.000-08:00',
+        '2025-03-01T00:00:00.000-08:00'
+      ]);
+    });
+
+    it('clamps an anchor on the 31st to the end of shorter months', () => {
+      assert.deepEqual(period(lastClosedPeriod('monthly', '2025-01-31', at('2025-03-15T12:00'))), [
+        '2025-01-31T00:00:00.000-08:00',
+        '2025-02-28T00:00:00.000-08:00'
+      ]);
+    });
+  });
+
+  it('rejects an unknown cycle', () => {
+    assert.throws(() => lastClosedPeriod('yearly', null, at('2025-01-15T10:00')), /Unknown billing cycle: yearly/);
+  });
+});
+
+describe('closedPeriodsSince', () => {
+  it('lists every week that closed after since, oldest first', () => {
+    const periods = closedPeriodsSince('weekly', null, at('2025-01-01T00:00'), at('2025-01-22T12:00'));
+    assert.deepEqual(periods.map(period), [
+      ['2024-12-30T00:00:00.000-08:00', '2025-01-06T00:00:00.000-08:00'],
+      ['2025-01-06T00:00:00.000-08:00', '2025-01-13T00:00:00.000-08:00'],
+      ['2025-01-13T00:00:00.000-08:00', '2025-01-20T00:00:00.000-08:00']
+    ]);
+  });
+
+  it('returns nothing when no period closed after since', () => {
+    assert.deepEqual(closedPeriodsSince('weekly', null, at('2025-01-20T00:00'), at('2025-01-22T12:00')), []);
+  });
+});
+
+describe('parseBillingRequest', () => {
+  const now = at('2025-03-12T09:00');
+
+  it('bills closed cycles by default', () => {
+    assert.deepEqual(parseBillingRequest({}, now), { mode: 'cycles' });
+    assert.deepEqual(parseBillingRequest(undefined, now), { mode: 'cycles' });
+  });
+
+  it('parses an explicit period in the billing time zone', () => {
+    const request = parseBillingRequest({ start: '2025-03-03', end: '2025-03-10' }, now);
+    assert.equal(request.mode, 'period');
+    assert.equal(request.start.toISO(), '2025-03-03T00:00:00.000-08:00');
+    assert.equal(request.end.toISO(), '2025-03-10T00:00:00.000-07:00');
+  });
+
+  it('parses a backfill', () => {
+    const request = parseBillingRequest({ through: '2025-03-10T00:00:00Z' }, now);
+    assert.equal(request.mode, 'backfill');
+    assert.equal(request.start, null);
+    assert.equal(request.end.toUTC().toISO(), '2025-03-10T00:00:00.000Z');
+  });
+
+  for (const [body, error] of [
+    [{ start: '2025-03-03' }, 'start and end must be valid ISO 8601 timestamps'],
+    [{ start: '2025-03-10', end: '2025-03-03' }, 'start must be before end'],
+    [{ start: '2025-03-03', end: '2025-03-17' }, 'end cannot be in the future'],
+    [{ through: 'soon' }, 'through must be a valid ISO 8601 timestamp'],
+    [{ through: '2025-04-01' }, 'through cannot be in the future']
+  ]) {
+    it(`rejects ${JSON.stringify(body)}`, () => {
+      assert.deepEqual(parseBillingRequest(body, now), { error });
+    });
+  }
+});
@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+const WEEK = { start: '2025-03-03T00:00:00', end: '2025-03-10T00:00:00' };
+
+describe('POST /dunning/run', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+  });
+
+  /**
+   * Bill ACME1, fail the transfer with R01 and make the retry due now
+   */
+  async function dueInvoice() {
+    await app.createBillableCustomer('ACME1');
+    await app.api('POST', '/ghl/usage', {
+      crm_contact_id: 'ACME1',
+      units: 3,
+      occurred_at: '2025-03-04T18:00:00Z',
+      idempotency_key: 'ACME1-1'
+    });
+    await app.api('POST', '/bill/run', WEEK);
+    const { rows: [invoice] } = await database.db.query('SELECT id, dwolla_transfer_href FROM invoices');
+    await app.settleTransfer(invoice.dwolla_transfer_href, 'failed', 'R01');
+    await database.db.query(`UPDATE invoices SET next_retry_at = now() - interval '1 minute'`);
+    return invoice;
+  }
+
+  async function attempts() {
+    const { rows } = await database.db.query(
+      'SELECT attempt_number, status, dwolla_transfer_href IS NOT NULL AS has_transfer FROM payment_attempts ORDER BY attempt_number'
+    );
+    return rows.map(row => [row.attempt_number, row.status, row.has_transfer]);
+  }
+
+  function transferRequests() {
+    return app.fake.requests.filter(request => request.method === 'POST' && request.path === '/transfers');
+  }
+
+  it('sends the retry with the attempt idempotency key and marks the invoice initiated', async () => {
+    const invoice = await dueInvoice();
+
+    const res = await app.api('POST', '/dunning/run');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.results.retried, 1);
+
+    const { rows: [retried] } = await database.db.query('SELECT status, next_retry_at, dwolla_transfer_href FROM invoices');
+    assert.equal(retried.status, 'initiated');
+    assert.equal(retried.next_retry_at, null);
+    assert.notEqual(retried.dwolla_transfer_href, invoice.dwolla_transfer_href);
+    assert.deepEqual(await attempts(), [[1, 'failed', true], [2, 'initiated', true]]);
+    assert.equal(transferRequests().at(-1).idempotency_key, `invoice-${invoice.id}-attempt-2`);
+  });
+
+  it('keeps the reserved attempt while Dwolla is down and re-sends it with the same key', async () => {
+    const invoice = await dueInvoice();
+    await app.queueOutcome({ method: 'POST', path: '/transfers', status: 503, times: 3 });
+
+    const res = await app.api('POST', '/dunning/run');
+    assert.equal(res.body.results.failed, 1);
+    assert.deepEqual(await attempts(), [[1, 'failed', true], [2, 'initiated', false]]);
+
+    const retry = await app.api('POST', '/dunning/run');
+    assert.equal(retry.body.results.retried, 1);
+    assert.deepEqual(await attempts(), [[1, 'failed', true], [2, 'initiated', true]]);
+
+    const retryRequests = transferRequests().slice(1);
+    assert.equal(retryRequests.length, 4);
+    assert.ok(retryRequests.every(request => request.idempotency_key === `invoice-${invoice.id}-attempt-2`));
+    assert.equal(app.fake.transfers.size, 2);
+  });
+
+  it('releases the reserved attempt when Dwolla rejects the retry', async () => {
+    await dueInvoice();
+    await app.queueOutcome({ method: 'POST', path: '/transfers', status: 400, code: 'InvalidResourceState', message: 'Funding source not verified.' });
+
+    const res = await app.api('POST', '/dunning/run');
+    assert.equal(res.body.results.failed, 1);
+    assert.deepEqual(await attempts(), [[1, 'failed', true]]);
+
+    const { rows: [invoice] } = await database.db.query('SELECT status, dunning_status FROM invoices');
+    assert.deepEqual(invoice, { status: 'failed', dunning_status: 'retrying' });
+  });
+});
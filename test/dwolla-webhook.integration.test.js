@@ -0,0 +1,161 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+
+const WEEK = { start: '2025-03-03T00:00:00', end: '2025-03-10T00:00:00' };
+
+describe('POST /dwolla/webhook', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+  });
+
+  /**
+   * Bill ACME1 for a week and return the invoice, its transfer still pending
+   */
+  async function billedInvoice() {
+    await app.createBillableCustomer('ACME1');
+    const usage = await app.api('POST', '/ghl/usage', {
+      crm_contact_id: 'ACME1',
+      units: 3,
+      occurred_at: '2025-03-04T18:00:00Z',
+      idempotency_key: 'ACME1-1'
+    });
+    assert.equal(usage.status, 200);
+    const run = await app.api('POST', '/bill/run', WEEK);
+    assert.equal(run.body.results.successful, 1);
+    return invoice();
+  }
+
+  async function invoice() {
+    const { rows } = await database.db.query(
+      'SELECT id, status, dwolla_transfer_href, return_code, dunning_status, next_retry_at FROM invoices'
+    );
+    return rows[0];
+  }
+
+  async function customer() {
+    const { rows } = await database.db.query(
+      `SELECT status, dwolla_funding_href, deactivated_funding_href, funding_deactivated_reason
+       FROM customers WHERE crm_contact_id = 'ACME1'`
+    );
+    return rows[0];
+  }
+
+  async function storedEvent(eventId) {
+    const { rows } = await database.db.query(
+      'SELECT status, signature_valid, error FROM webhook_events WHERE event_id = $1',
+      [eventId]
+    );
+    return rows[0];
+  }
+
+  function transferEvent(topic, transferHref) {
+    return { id: crypto.randomUUID(), topic, _links: { resource: { href: transferHref } } };
+  }
+
+  it('rejects a bad signature but stores the event, and processes the correctly signed resend', async () => {
+    const { dwolla_transfer_href: transferHref } = await billedInvoice();
+    const event = transferEvent('customer_transfer_completed', transferHref);
+
+    assert.equal(await app.sendWebhook(event, { signature: 'f'.repeat(64) }), 401);
+    assert.deepEqual(await storedEvent(event.id), { status: 'rejected', signature_valid: false, error: null });
+    assert.equal((await invoice()).status, 'initiated');
+
+    assert.equal(await app.sendWebhook(event), 200);
+    assert.deepEqual(await storedEvent(event.id), { status: 'processed', signature_valid: true, error: null });
+    assert.equal((await invoice()).status, 'completed');
+  });
+
+  it('rejects an unsigned event', async () => {
+    const { dwolla_transfer_href: transferHref } = await billedInvoice();
+    const event = transferEvent('customer_transfer_completed', transferHref);
+
+    assert.equal(await app.sendWebhook(event, { signature: '' }), 401);
+    assert.equal((await storedEvent(event.id)).status, 'rejected');
+    assert.equal((await invoice()).status, 'initiated');
+  });
+
+  it('completes the invoice when the transfer completes and ignores a repeated event', async () => {
+    const { dwolla_transfer_href: transferHref } = await billedInvoice();
+    await app.settleTransfer(transferHref, 'completed');
+
+    const completed = await invoice();
+    assert.equal(completed.status, 'completed');
+    assert.equal(completed.dunning_status, null);
+
+    // Dwolla redelivers events: the same id is processed once
+    const [delivered] = app.fake.webhooks.filter(webhook => webhook.topic === 'customer_transfer_completed');
+    const event = { id: delivered.event_id, topic: delivered.topic, _links: { resource: { href: transferHref } } };
+    await database.db.query(`UPDATE invoices SET status = 'initiated'`);
+    assert.equal(await app.sendWebhook(event), 200);
+    assert.equal((await invoice()).status, 'initiated');
+  });
+
+  it('fails the invoice with its return code and schedules a retry', async () => {
+    const { dwolla_transfer_href: transferHref } = await billedInvoice();
+    await app.settleTransfer(transferHref, 'failed', 'R01');
+
+    const failed = await invoice();
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.return_code, 'R01');
+    assert.equal(failed.dunning_status, 'retrying');
+    assert.ok(failed.next_retry_at > new Date());
+
+    const { rows } = await database.db.query('SELECT attempt_number, status, failure_code FROM payment_attempts');
+    assert.deepEqual(rows, [{ attempt_number: 1, status: 'failed', failure_code: 'R01' }]);
+    assert.equal((await customer()).status, 'active');
+  });
+
+  it('deactivates the bank account and suspends the customer on a closed account return', async () => {
+    const { dwolla_transfer_href: transferHref } = await billedInvoice();
+    const { dwolla_funding_href: fundingHref } = await customer();
+    await app.settleTransfer(transferHref, 'failed', 'R02');
+
+    const failed = await invoice();
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.return_code, 'R02');
+    assert.equal(failed.dunning_status, 'exhausted');
+    assert.equal(failed.next_retry_at, null);
+
+    const suspended = await customer();
+    assert.equal(suspended.status, 'suspended');
+    assert.equal(suspended.dwolla_funding_href, null);
+    assert.equal(suspended.deactivated_funding_href, fundingHref);
+    assert.match(suspended.funding_deactivated_reason, /^R02: /);
+  });
+
+  it('keeps a voided invoice voided when its transfer settles', async () => {
+    const { dwolla_transfer_href: transferHref } = await billedInvoice();
+    await database.db.query(`UPDATE invoices SET status = 'voided'`);
+    await app.settleTransfer(transferHref, 'completed');
+
+    assert.equal((await invoice()).status, 'voided');
+  });
+
+  it('acknowledges payloads it cannot use so Dwolla does not retry them', async () => {
+    assert.equal(await app.sendWebhook('{not json'), 200);
+
+    const event = { id: crypto.randomUUID(), topic: 'customer_transfer_completed', _links: {} };
+    assert.equal(await app.sendWebhook(event), 200);
+    assert.deepEqual(await storedEvent(event.id), { status: 'ignored', signature_valid: true, error: 'Invalid payload' });
+
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM webhook_events');
+    assert.equal(rows[0].count, 1);
+  });
+});
@@ -0,0 +1,43 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyDwollaWebhookSignature } = require('../src/webhooks/dwolla-webhook');
+
+const SECRET = 'webhook-secret';
+const body = Buffer.from(JSON.stringify({ id: 'evt-1', topic: 'customer_transfer_completed' }));
+
+function sign(payload, secret = SECRET) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function request(signature, payload = body) {
+  return { headers: signature === undefined ? {} : { 'x-request-signature-sha256': signature }, body: payload };
+}
+
+describe('verifyDwollaWebhookSignature', () => {
+  it('accepts the HMAC-SHA256 of the raw body', () => {
+    assert.equal(verifyDwollaWebhookSignature(request(sign(body)), SECRET), true);
+  });
+
+  it('rejects a missing signature', () => {
+    assert.equal(verifyDwollaWebhookSignature(request(undefined), SECRET), false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    assert.equal(verifyDwollaWebhookSignature(request(sign(body, 'other-secret')), SECRET), false);
+  });
+
+  it('rejects a body changed after signing', () => {
+    const tampered = Buffer.from(body.toString().replace('completed', 'failed'));
+    assert.equal(verifyDwollaWebhookSignature(request(sign(body), tampered), SECRET), false);
+  });
+
+  it('rejects a signature of the wrong length without throwing', () => {
+    assert.equal(verifyDwollaWebhookSignature(request(sign(body).slice(0, 10)), SECRET), false);
+    assert.equal(verifyDwollaWebhookSignature(request(`${sign(body)}00`), SECRET), false);
+  });
+
+  it('skips verification when no secret is configured', () => {
+    assert.equal(verifyDwollaWebhookSignature(request(undefined), undefined), true);
+  });
+});
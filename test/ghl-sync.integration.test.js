@@ -0,0 +1,153 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { ZONE, startTestApp } = require('./helpers/app');
+const { processGhlSyncs, GHL_PAST_DUE_TAG } = require('../src/ghl/sync');
+const { createMockGhlServer } = require('../scripts/mock-ghl-server');
+
+const WEEK = { start: '2025-03-03T00:00:00', end: '2025-03-10T00:00:00' };
+
+describe('GHL invoice sync', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+  let ghl;
+  let ghlServer;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+
+    ghl = createMockGhlServer();
+    ghlServer = await new Promise(resolve => {
+      const server = ghl.app.listen(0, () => resolve(server));
+    });
+    process.env.GHL_API_BASE = `http://localhost:${ghlServer.address().port}`;
+    process.env.GHL_API_TOKEN = 'test-ghl-token';
+    process.env.GHL_MAX_RETRIES = '1';
+  });
+
+  after(async () => {
+    delete process.env.GHL_API_BASE;
+    delete process.env.GHL_API_TOKEN;
+    delete process.env.GHL_MAX_RETRIES;
+    await new Promise(resolve => ghlServer?.close(resolve));
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+    await fetch(`${process.env.GHL_API_BASE}/_mock/requests`, { method: 'DELETE' });
+  });
+
+  async function billedInvoice() {
+    await app.createBillableCustomer('ACME1');
+    await app.api('POST', '/ghl/usage', {
+      crm_contact_id: 'ACME1',
+      name: 'Customer ACME1',
+      email: 'acme1@example.com',
+      units: 3,
+      occurred_at: '2025-03-04T18:00:00Z',
+      idempotency_key: 'ACME1-1'
+    });
+    await app.api('POST', '/bill/run', WEEK);
+    const { rows } = await database.db.query('SELECT id, dwolla_transfer_href FROM invoices');
+    return rows[0];
+  }
+
+  async function syncs() {
+    const { rows } = await database.db.query('SELECT event, status, attempts, error FROM ghl_syncs ORDER BY id');
+    return rows;
+  }
+
+  async function makeDue() {
+    await database.db.query(`UPDATE ghl_syncs SET next_attempt_at = now() WHERE status = 'pending'`);
+  }
+
+  it('queues billing and webhook events without calling GHL, then sends them', async () => {
+    const invoice = await billedInvoice();
+    await app.settleTransfer(invoice.dwolla_transfer_href, 'failed', 'R01');
+
+    assert.equal(ghl.requests.length, 0);
+    assert.deepEqual((await syncs()).map(sync => [sync.event, sync.status]), [['created', 'pending'], ['failed', 'pending']]);
+
+    const sent = await processGhlSyncs(database.db, { zone: ZONE });
+    assert.deepEqual(sent, { total: 2, sent: 2, retrying: 0, failed: 0 });
+
+    const contact = ghl.contacts.get('ACME1');
+    assert.deepEqual(contact.tags, [GHL_PAST_DUE_TAG]);
+    assert.equal(contact.notes.length, 2);
+    assert.match(contact.notes[0].body, /^Invoice #\d+ \(2025-03-03 to 2025-03-09\)/);
+    assert.match(contact.notes[1].body, /^Payment of \$12\.00 for invoice #\d+ failed/);
+    assert.deepEqual((await syncs()).map(sync => sync.status), ['sent', 'sent']);
+  });
+
+  it('retries a sync GHL failed on a later pass', async () => {
+    await billedInvoice();
+
+    // GHL is unreachable
+    const ghlBase = process.env.GHL_API_BASE;
+    process.env.GHL_API_BASE = 'http://localhost:1';
+    let first;
+    try {
+      first = await processGhlSyncs(database.db, { zone: ZONE });
+    } finally {
+      process.env.GHL_API_BASE = ghlBase;
+    }
+    assert.deepEqual(first, { total: 1, sent: 0, retrying: 1, failed: 0 });
+    const [retrying] = await syncs();
+    assert.equal(retrying.status, 'pending');
+    assert.equal(retrying.attempts, 1);
+    assert.ok(retrying.error);
+
+    // Not due yet
+    assert.equal((await processGhlSyncs(database.db, { zone: ZONE })).total, 0);
+
+    await makeDue();
+    const second = await processGhlSyncs(database.db, { zone: ZONE });
+    assert.equal(second.sent, 1);
+    assert.deepEqual((await syncs()).map(sync => [sync.status, sync.attempts, sync.error]), [['sent', 2, null]]);
+    assert.match(ghl.contacts.get('ACME1').notes[0].body, /ACH debit initiated/);
+  });
+
+  it('gives up on a GHL request that never answers and retries the sync later', async () => {
+    await billedInvoice();
+
+    // GHL accepts the connection but never responds
+    const sockets = new Set();
+    const hung = net.createServer(socket => sockets.add(socket));
+    await new Promise(resolve => hung.listen(0, resolve));
+    const ghlBase = process.env.GHL_API_BASE;
+    process.env.GHL_API_BASE = `http://localhost:${hung.address().port}`;
+    let result;
+    try {
+      result = await processGhlSyncs(database.db, { zone: ZONE });
+    } finally {
+      process.env.GHL_API_BASE = ghlBase;
+      sockets.forEach(socket => socket.destroy());
+      await new Promise(resolve => hung.close(resolve));
+    }
+
+    assert.deepEqual(result, { total: 1, sent: 0, retrying: 1, failed: 0 });
+    const [retrying] = await syncs();
+    assert.equal(retrying.status, 'pending');
+    assert.match(retrying.error, /timeout/);
+  });
+
+  it('queues each event once', async () => {
+    const invoice = await billedInvoice();
+    await app.settleTransfer(invoice.dwolla_transfer_href, 'completed');
+
+    // A billing rerun and a redelivered event queue nothing new
+    await app.api('POST', '/bill/run', WEEK);
+    const { rows: [event] } = await database.db.query(
+      `SELECT raw_body FROM webhook_events WHERE topic = 'customer_transfer_completed'`
+    );
+    await database.db.query(`UPDATE invoices SET status = 'initiated'`);
+    await app.sendWebhook({ ...JSON.parse(event.raw_body), id: 'redelivered-event' });
+
+    assert.deepEqual((await syncs()).map(sync => sync.event), ['created', 'completed']);
+  });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateUsageWebhook } = require('../src/webhooks/ghl-usage');
+
+const validPayload = {
+  crm_contact_id: 'CUSTOMER123',
+  name: 'John Doe',
+  email: 'john@example.com',
+  units: 3,
+  occurred_at: '2025-01-15T20:30:00Z',
+  idempotency_key: 'CUSTOMER123-1736974200'
+};
+
+describe('validateUsageWebhook', () => {
+  it('accepts a valid payload', () => {
+    assert.deepEqual(validateUsageWebhook(validPayload), []);
+  });
+
+  it('accepts units as a numeric string and fractional units', () => {
+    assert.deepEqual(validateUsageWebhook({ ...validPayload, units: '2' }), []);
+    assert.deepEqual(validateUsageWebhook({ ...validPayload, units: 0.5 }), []);
+  });
+
+  it('accepts timestamps with an offset', () => {
+    assert.deepEqual(validateUsageWebhook({ ...validPayload, occurred_at: '2025-01-15T12:30:00-08:00' }), []);
+  });
+
+  it('reports every missing field', () => {
+    assert.deepEqual(validateUsageWebhook({}), [
+      'crm_contact_id is required and must be a string',
+      'idempotency_key is required and must be a string',
+      'units is required and must be a positive number',
+      'occurred_at is required and must be a valid ISO 8601 timestamp'
+    ]);
+  });
+
+  it('rejects non-string ids and keys', () => {
+    const errors = validateUsageWebhook({ ...validPayload, crm_contact_id: 42, idempotency_key: ['a'] });
+    assert.deepEqual(errors, [
+      'crm_contact_id is required and must be a string',
+      'idempotency_key is required and must be a string'
+    ]);
+  });
+
+  for (const units of [0, -1, 'abc', null]) {
+    it(`rejects units of ${JSON.stringify(units)}`, () => {
+      assert.deepEqual(validateUsageWebhook({ ...validPayload, units }), ['units is required and must be a positive number']);
+    });
+  }
+
+  for (const occurredAt of ['yesterday', '2025-13-01T00:00:00Z', '']) {
+    it(`rejects occurred_at of ${JSON.stringify(occurredAt)}`, () => {
+      assert.deepEqual(validateUsageWebhook({ ...validPayload, occurred_at: occurredAt }), [
+        'occurred_at is required and must be a valid ISO 8601 timestamp'
+      ]);
+    });
+  }
+});
@@ -0,0 +1,191 @@
+/**
+ * Test app
+ * Runs the app against a test database and the fake Dwolla API
+ * (scripts/fake-dwolla-server.js), with webhooks sent back to the app.
+ */
+
+// Read by the Dwolla client when it is loaded: retry without waiting, give up on a hung request after a second
+process.env.DWOLLA_MAX_RETRIES = '3';
+process.env.DWOLLA_RETRY_BASE_MS = '1';
+process.env.DWOLLA_TIMEOUT_MS = '1000';
+process.env.DWOLLA_KEY = 'test-key';
+process.env.DWOLLA_SECRET = 'test-secret';
+process.env.DWOLLA_WEBHOOK_SECRET = 'test-webhook-secret';
+process.env.DWOLLA_YOUR_FUNDING_HREF = 'https://api-sandbox.dwolla.com/funding-sources/test-account';
+// Emails are logged instead of sent, and recorded in notifications
+process.env.NOTIFY_TRANSPORT = 'console';
+// GHL is off unless a test sets a token; a hung GHL request gives up after a second
+delete process.env.GHL_API_TOKEN;
+process.env.GHL_TIMEOUT_MS = '1000';
+
+const crypto = require('crypto');
+const { createApp } = require('../../src/app');
+const { issueApiKey, API_KEY_SCOPES } = require('../../src/auth/api-keys');
+const { createFakeDwollaServer } = require('../../scripts/fake-dwolla-server');
+
+const ZONE = 'America/Los_Angeles';
+
+function listen(app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve(server));
+  });
+}
+
+/**
+ * Start the app and the fake Dwolla API on free ports. fakeOptions are
+ * passed to createFakeDwollaServer; transfers stay pending until settled
+ * unless transferOutcome says otherwise.
+ * Returns { fake, api, createBillableCustomer, settleTransfer, sendWebhook, queueOutcome, reset, close }.
+ */
+async function startTestApp(db, fakeOptions = {}) {
+  const fake = createFakeDwollaServer({ transferOutcome: 'pending', settleDelayMs: 0, ...fakeOptions });
+  const fakeServer = await listen(fake.app);
+  process.env.DWOLLA_BASE = `http://localhost:${fakeServer.address().port}`;
+
+  const appServer = await listen(createApp(db, { zone: ZONE }));
+  const baseUrl = `http://localhost:${appServer.address().port}`;
+
+  const fakeConfig = await fetch(`${process.env.DWOLLA_BASE}/_mock/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ webhook_url: `${baseUrl}/dwolla/webhook` })
+  });
+  if (!fakeConfig.ok) {
+    throw new Error(`Fake Dwolla config failed: ${fakeConfig.status}`);
+  }
+
+  let apiKey = null;
+
+  /**
+   * Call the app with an all-scopes API key (or `key`, null for none).
+   * Returns { status, body } with the JSON body parsed.
+   */
+  async function api(method, path, body, { key } = {}) {
+    if (key === undefined) {
+      apiKey = apiKey || (await issueApiKey(db, { label: 'tests', scopes: API_KEY_SCOPES })).key;
+      key = apiKey;
+    }
+    const headers = {};
+    if (key) {
+      headers.Authorization = `Bearer ${key}`;
+    }
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const isJson = res.headers.get('content-type')?.includes('json');
+    return { status: res.status, body: isJson && text ? JSON.parse(text) : text };
+  }
+
+  /**
+   * Create a customer and onboard them through Dwolla (customer, bank
+   * account, micro-deposits) so they are active and billable
+   */
+  async function createBillableCustomer(crmContactId, fields = {}) {
+    const steps = [
+      ['/customers', { crm_contact_id: crmContactId, name: `Customer ${crmContactId}`, email: `${crmContactId.toLowerCase()}@example.com`, ...fields }],
+      [`/customers/${crmContactId}/onboarding/dwolla-customer`, {}],
+      [`/customers/${crmContactId}/onboarding/funding-source`, { routing_number: '222222226', account_number: '123456789' }],
+      [`/customers/${crmContactId}/onboarding/micro-deposits`, {}],
+      [`/customers/${crmContactId}/onboarding/micro-deposits/verify`, { amount1: '0.03', amount2: '0.07' }]
+    ];
+    for (const [path, body] of steps) {
+      const res = await api('POST', path, body);
+      if (res.status >= 300) {
+        throw new Error(`POST ${path} failed: ${res.status} ${JSON.stringify(res.body)}`);
+      }
+    }
+    const { rows } = await db.query('SELECT * FROM customers WHERE crm_contact_id = $1', [crmContactId]);
+    return rows[0];
+  }
+
+  /**
+   * Settle a pending transfer in the fake Dwolla API and wait until the app
+   * has handled its webhook
+   */
+  async function settleTransfer(transferHref, status, code) {
+    const sent = fake.webhooks.length;
+    const transfer = fake.settleTransfer(transferHref.split('/').pop(), status, code);
+    if (!transfer) {
+      throw new Error(`Transfer is not pending: ${transferHref}`);
+    }
+    await waitFor(() => fake.webhooks.slice(sent).some(webhook =>
+      webhook.resource_href === transferHref && (webhook.status || webhook.error)
+    ));
+  }
+
+  /**
+   * POST a Dwolla event to /dwolla/webhook, signed with DWOLLA_WEBHOOK_SECRET
+   * unless a signature is given. Returns the response status.
+   */
+  async function sendWebhook(event, { signature } = {}) {
+    const body = typeof event === 'string' ? event : JSON.stringify(event);
+    const res = await fetch(`${baseUrl}/dwolla/webhook`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Request-Signature-SHA256': signature ??
+          crypto.createHmac('sha256', process.env.DWOLLA_WEBHOOK_SECRET).update(body).digest('hex')
+      },
+      body
+    });
+    return res.status;
+  }
+
+  /**
+   * Queue a request outcome in the fake Dwolla API (see scripts/fake-dwolla-server.js)
+   */
+  async function queueOutcome(outcome) {
+    const res = await fetch(`${process.env.DWOLLA_BASE}/_mock/outcomes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(outcome)
+    });
+    if (!res.ok) {
+      throw new Error(`Queueing the outcome failed: ${res.status}`);
+    }
+  }
+
+  /**
+   * Forget every Dwolla resource, request and queued outcome in the fake
+   */
+  async function reset() {
+    await fetch(`${process.env.DWOLLA_BASE}/_mock/requests`, { method: 'DELETE' });
+  }
+
+  async function close() {
+    await new Promise(resolve => appServer.close(resolve));
+    await new Promise(resolve => fakeServer.close(resolve));
+  }
+
+  return { fake, api, createBillableCustomer, settleTransfer, sendWebhook, queueOutcome, reset, close };
+}
+
+/**
+ * Poll until fn returns something truthy, or fail after timeoutMs
+ */
+async function waitFor(fn, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await fn();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, intervalMs));
+  }
+}
+
+module.exports = {
+  ZONE,
+  startTestApp,
+  waitFor
+};
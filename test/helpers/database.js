@@ -0,0 +1,61 @@
+/**
+ * Throwaway test database
+ * Each test file gets its own schema in TEST_DATABASE_URL with every
+ * migration in sql/ applied, and drops it when done. Integration tests are
+ * skipped when TEST_DATABASE_URL is not set.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Pool } = require('pg');
+
+const SQL_DIR = path.join(__dirname, '../../sql');
+
+// Pass as the `skip` option of an integration test suite
+const skipWithoutDatabase = process.env.TEST_DATABASE_URL
+  ? false
+  : 'TEST_DATABASE_URL is not set: billing, dunning and webhook behavior is NOT tested';
+
+if (skipWithoutDatabase) {
+  console.warn(`\n*** WARNING: skipping integration tests, ${skipWithoutDatabase} ***\n`);
+}
+
+/**
+ * Create a schema, run the migrations in it and return { db, reset, drop }.
+ * reset empties every table except pricing_plans and api_keys.
+ */
+async function createTestDatabase() {
+  const schema = `test_${crypto.randomBytes(6).toString('hex')}`;
+
+  const admin = new Pool({ connectionString: process.env.TEST_DATABASE_URL, max: 1 });
+  await admin.query(`CREATE SCHEMA ${schema}`);
+  await admin.end();
+
+  const db = new Pool({
+    connectionString: process.env.TEST_DATABASE_URL,
+    options: `-c search_path=${schema}`
+  });
+  for (const file of fs.readdirSync(SQL_DIR).filter(name => name.endsWith('.sql')).sort()) {
+    await db.query(fs.readFileSync(path.join(SQL_DIR, file), 'utf8'));
+  }
+
+  const { rows } = await db.query(
+    `SELECT tablename FROM pg_tables WHERE schemaname = $1 AND tablename NOT IN ('pricing_plans', 'api_keys')`,
+    [schema]
+  );
+  const tables = rows.map(row => row.tablename).join(', ');
+
+  return {
+    db,
+    reset: () => db.query(`TRUNCATE ${tables} RESTART IDENTITY CASCADE`),
+    drop: async () => {
+      await db.query(`DROP SCHEMA ${schema} CASCADE`);
+      await db.end();
+    }
+  };
+}
+
+module.exports = {
+  skipWithoutDatabase,
+  createTestDatabase
+};
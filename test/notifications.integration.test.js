@@ -0,0 +1,83 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { ZONE, startTestApp } = require('./helpers/app');
+const { notifyInvoiceCreated } = require('../src/notifications/notifier');
+
+const WEEK = { start: '2025-03-03T00:00:00', end: '2025-03-10T00:00:00' };
+
+describe('invoice notifications', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+  });
+
+  async function billedInvoice() {
+    await app.createBillableCustomer('ACME1');
+    await app.api('POST', '/ghl/usage', {
+      crm_contact_id: 'ACME1',
+      name: 'Customer ACME1',
+      email: 'acme1@example.com',
+      units: 3,
+      occurred_at: '2025-03-04T18:00:00Z',
+      idempotency_key: 'ACME1-1'
+    });
+    await app.api('POST', '/bill/run', WEEK);
+    const { rows } = await database.db.query('SELECT id FROM invoices');
+    return rows[0];
+  }
+
+  async function receipt() {
+    const { rows } = await database.db.query(
+      `SELECT status, subject, sent_at FROM notifications WHERE kind = 'invoice_created'`
+    );
+    return rows[0];
+  }
+
+  it('sends a receipt a crash left sending once it is stale', async () => {
+    const invoice = await billedInvoice();
+    assert.equal((await receipt()).status, 'sent');
+
+    // The process died after claiming the receipt
+    await database.db.query(`UPDATE notifications SET status = 'sending', sent_at = NULL, updated_at = now()`);
+    await notifyInvoiceCreated(database.db, invoice.id, { zone: ZONE });
+    assert.equal((await receipt()).status, 'sending');
+
+    await database.db.query(`UPDATE notifications SET updated_at = now() - interval '10 minutes'`);
+    await notifyInvoiceCreated(database.db, invoice.id, { zone: ZONE });
+    const resent = await receipt();
+    assert.equal(resent.status, 'sent');
+    assert.ok(resent.sent_at);
+  });
+
+  it('never sends a receipt twice', async () => {
+    const invoice = await billedInvoice();
+    const sent = await receipt();
+
+    await notifyInvoiceCreated(database.db, invoice.id, { zone: ZONE });
+    assert.deepEqual(await receipt(), sent);
+  });
+
+  it('shows the invoice period in the billing time zone', async () => {
+    const invoice = await billedInvoice();
+    // The week ends at midnight in Los Angeles: the last day billed is Sunday
+    assert.match((await receipt()).subject, /for 2025-03-03 to 2025-03-09$/);
+
+    await database.db.query('DELETE FROM notifications');
+    await notifyInvoiceCreated(database.db, invoice.id, { zone: 'Asia/Tokyo' });
+    assert.match((await receipt()).subject, /for 2025-03-03 to 2025-03-10$/);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+const { dwollaGet } = require('../src/dwolla/client');
+
+describe('customer onboarding', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+  });
+
+  function dwollaPosts(path) {
+    return app.fake.requests.filter(request => request.method === 'POST' && request.path === path);
+  }
+
+  async function onboarding(crmContactId) {
+    return (await app.api('GET', `/customers/${crmContactId}/onboarding`)).body.onboarding;
+  }
+
+  it('onboards a customer step by step and activates them', async () => {
+    const customer = await app.createBillableCustomer('ACME1');
+    assert.equal(customer.status, 'active');
+
+    const state = await onboarding('ACME1');
+    assert.equal(state.next_step, null);
+    assert.ok(state.steps.every(step => step.status === 'completed'));
+  });
+
+  it('resends a step that timed out with the same idempotency key', async () => {
+    await app.api('POST', '/customers', { crm_contact_id: 'ACME1', name: 'Customer ACME1', email: 'acme1@example.com' });
+    // Get a token first, so the queued outcomes answer the customer requests
+    await dwollaGet('customers');
+
+    // Dwolla is down for the client's first tries and creates the customer on the last, but the response is lost
+    await app.queueOutcome([
+      { method: 'POST', path: '/customers', status: 503, times: 2 },
+      { method: 'POST', path: '/customers', timeout: true }
+    ]);
+    const timedOut = await app.api('POST', '/customers/ACME1/onboarding/dwolla-customer', {});
+    assert.ok(timedOut.status >= 500);
+    assert.equal(app.fake.customers.size, 1);
+
+    const retry = await app.api('POST', '/customers/ACME1/onboarding/dwolla-customer', {});
+    assert.equal(retry.status, 200);
+    assert.equal(app.fake.customers.size, 1);
+    assert.equal(new Set(dwollaPosts('/customers').map(request => request.idempotency_key)).size, 1);
+
+    const step = (await onboarding('ACME1')).steps.find(({ step }) => step === 'create_customer');
+    assert.equal(step.status, 'completed');
+    assert.equal(step.attempts, 2);
+    assert.equal(step.detail.existing, false);
+
+    await app.queueOutcome([
+      { method: 'POST', path: '/customers/:id/funding-sources', status: 503, times: 2 },
+      { method: 'POST', path: '/customers/:id/funding-sources', timeout: true }
+    ]);
+    const fundingBody = { routing_number: '222222226', account_number: '123456789' };
+    assert.ok((await app.api('POST', '/customers/ACME1/onboarding/funding-source', fundingBody)).status >= 500);
+    assert.equal((await app.api('POST', '/customers/ACME1/onboarding/funding-source', fundingBody)).status, 200);
+    assert.equal(app.fake.fundingSources.size, 1);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateCharge } = require('../src/billing/pricing');
+
+function plan(overrides) {
+  return {
+    id: 1,
+    code: 'test',
+    name: 'Test',
+    model: 'flat',
+    unit_price_cents: null,
+    included_units: 0,
+    minimum_cents: 0,
+    tiers: [],
+    ...overrides
+  };
+}
+
+const TIERS = [
+  { up_to: 10, unit_price_cents: 100 },
+  { up_to: 50, unit_price_cents: 80 },
+  { up_to: null, unit_price_cents: 50 }
+];
+
+function usage(charge) {
+  return charge.breakdown.components
+    .filter(component => component.type === 'usage')
+    .map(({ description, units, unit_price_cents }) => [description, units, unit_price_cents]);
+}
+
+describe('calculateCharge', () => {
+  it('prices flat plans per unit', () => {
+    const charge = calculateCharge(plan({ unit_price_cents: 250 }), 4);
+    assert.equal(charge.amountCents, 1000);
+    assert.deepEqual(usage(charge), [['Units', 4, 250]]);
+  });
+
+  it('prices each graduated unit by the tier it falls into', () => {
+    const graduated = plan({ model: 'graduated', tiers: TIERS });
+
+    assert.equal(calculateCharge(graduated, 10).amountCents, 1000);
+    assert.deepEqual(usage(calculateCharge(graduated, 10)), [['Units 1-10', 10, 100]]);
+
+    const charge = calculateCharge(graduated, 60);
+    assert.equal(charge.amountCents, 10 * 100 + 40 * 80 + 10 * 50);
+    assert.deepEqual(usage(charge), [
+      ['Units 1-10', 10, 100],
+      ['Units 11-50', 40, 80],
+      ['Units 51+', 10, 50]
+    ]);
+  });
+
+  it('prices every volume unit by the tier the total falls into', () => {
+    const volume = plan({ model: 'volume', tiers: TIERS });
+
+    assert.deepEqual(usage(calculateCharge(volume, 10)), [['Units 1-10', 10, 100]]);
+    const charge = calculateCharge(volume, 11);
+    assert.equal(charge.amountCents, 11 * 80);
+    assert.deepEqual(usage(charge), [['Units 11-50', 11, 80]]);
+    assert.deepEqual(usage(calculateCharge(volume, 60)), [['Units 51+', 60, 50]]);
+  });
+
+  it('prices volume usage above the highest bounded tier at that tier', () => {
+    const volume = plan({ model: 'volume', tiers: TIERS.slice(0, 2) });
+    const charge = calculateCharge(volume, 70);
+    assert.equal(charge.amountCents, 70 * 80);
+    assert.deepEqual(usage(charge), [['Units 51+', 70, 80]]);
+  });
+
+  it('deducts included units before the tiers', () => {
+    const charge = calculateCharge(plan({ model: 'graduated', tiers: TIERS, included_units: 5 }), 20);
+    assert.equal(charge.breakdown.billable_units, 15);
+    assert.equal(charge.amountCents, 10 * 100 + 5 * 80);
+    assert.deepEqual(charge.breakdown.components[0], {
+      type: 'included',
+      description: 'Included units',
+      units: 5,
+      unit_price_cents: 0,
+      amount_cents: 0
+    });
+
+    const covered = calculateCharge(plan({ unit_price_cents: 100, included_units: 5 }), 3);
+    assert.equal(covered.amountCents, 0);
+    assert.deepEqual(usage(covered), []);
+  });
+
+  it('tops the charge up to the minimum commitment unless told not to', () => {
+    const withMinimum = plan({ unit_price_cents: 100, minimum_cents: 500 });
+
+    const charge = calculateCharge(withMinimum, 2);
+    assert.equal(charge.amountCents, 500);
+    assert.equal(charge.breakdown.subtotal_cents, 200);
+    assert.deepEqual(charge.breakdown.components.at(-1), {
+      type: 'minimum_commitment',
+      description: 'Minimum commitment adjustment',
+      units: null,
+      unit_price_cents: null,
+      amount_cents: 300
+    });
+
+    assert.equal(calculateCharge(withMinimum, 0).amountCents, 500);
+    assert.equal(calculateCharge(withMinimum, 8).amountCents, 800);
+
+    const late = calculateCharge(withMinimum, 2, { minimum: false });
+    assert.equal(late.amountCents, 200);
+    assert.equal(late.breakdown.minimum_cents, 0);
+    assert.ok(late.breakdown.components.every(component => component.type !== 'minimum_commitment'));
+  });
+
+  it('rejects plans it cannot price', () => {
+    assert.throws(() => calculateCharge(plan({}), 1), /has no unit price/);
+    assert.throws(() => calculateCharge(plan({ model: 'graduated' }), 1), /has no tiers/);
+    assert.throws(() => calculateCharge(plan({ model: 'stairstep' }), 1), /Unknown pricing model: stairstep/);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { DateTime } = require('luxon');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { ZONE, startTestApp } = require('./helpers/app');
+const { dwollaGet, dwollaPost } = require('../src/dwolla/client');
+const { runScheduledBilling } = require('../src/billing/scheduler');
+
+const WEEK = { start: '2025-03-03T00:00:00', end: '2025-03-10T00:00:00' };
+
+describe('runScheduledBilling', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(async () => {
+    await database.reset();
+    await app.reset();
+  });
+
+  function runScheduled() {
+    return runScheduledBilling(database.db, { dwollaGet, dwollaPost }, {
+      now: DateTime.now().setZone(ZONE),
+      trigger: 'schedule'
+    });
+  }
+
+  /**
+   * Bill ACME1 for a week and return the invoice, its transfer still pending
+   */
+  async function billedInvoice() {
+    await app.createBillableCustomer('ACME1');
+    await app.api('POST', '/ghl/usage', {
+      crm_contact_id: 'ACME1',
+      units: 3,
+      occurred_at: '2025-03-04T18:00:00Z',
+      idempotency_key: 'ACME1-1'
+    });
+    await app.api('POST', '/bill/run', WEEK);
+    const { rows } = await database.db.query('SELECT id, status, dwolla_transfer_href FROM invoices');
+    return rows[0];
+  }
+
+  async function invoiceStatus() {
+    const { rows } = await database.db.query('SELECT status FROM invoices');
+    return rows[0].status;
+  }
+
+  it('reconciles a transfer whose webhook was missed after billing, once per schedule', async () => {
+    const invoice = await billedInvoice();
+    // Dwolla settles the transfer but the webhook never arrives
+    app.fake.transfers.get(invoice.dwolla_transfer_href.split('/').pop()).status = 'processed';
+
+    const { locked, result } = await runScheduled();
+    assert.equal(locked, true);
+    assert.equal(result.run.status, 'completed');
+    assert.equal(result.reconciliation.checked, 1);
+    assert.deepEqual(result.reconciliation.synced.map(item => [item.invoice_id, item.applied]), [[invoice.id, 'transfer_completed']]);
+    assert.equal(await invoiceStatus(), 'completed');
+
+    const again = await runScheduled();
+    assert.equal(again.result, null);
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM reconciliation_reports');
+    assert.equal(rows[0].count, 1);
+  });
+
+  it('sends the dunning retries that are due', async () => {
+    const invoice = await billedInvoice();
+    await app.settleTransfer(invoice.dwolla_transfer_href, 'failed', 'R01');
+    await database.db.query(`UPDATE invoices SET next_retry_at = now() - interval '1 minute'`);
+
+    const { result } = await runScheduled();
+    assert.equal(result.dunning.retried, 1);
+
+    const { rows } = await database.db.query('SELECT status, dwolla_transfer_href FROM invoices');
+    assert.equal(rows[0].status, 'initiated');
+    assert.notEqual(rows[0].dwolla_transfer_href, invoice.dwolla_transfer_href);
+  });
+
+  it('still reconciles when billing fails', async () => {
+    const invoice = await billedInvoice();
+    app.fake.transfers.get(invoice.dwolla_transfer_href.split('/').pop()).status = 'processed';
+
+    await database.db.query('ALTER TABLE pricing_plans RENAME TO pricing_plans_unavailable');
+    let result;
+    try {
+      ({ result } = await runScheduled());
+    } finally {
+      await database.db.query('ALTER TABLE pricing_plans_unavailable RENAME TO pricing_plans');
+    }
+
+    assert.equal(result.run, null);
+    const { rows } = await database.db.query(`SELECT status FROM billing_runs WHERE trigger = 'schedule'`);
+    assert.deepEqual(rows, [{ status: 'failed' }]);
+    assert.equal(result.reconciliation.synced.length, 1);
+    assert.equal(await invoiceStatus(), 'completed');
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, renderEmail } = require('../src/notifications/templates');
+
+describe('renderTemplate', () => {
+  it('renders values, lists and inverted sections', () => {
+    const source = 'Hi {{name}}\n{{#items}}\n- {{label}}: {{amount}}\n{{/items}}\n{{^credited}}\nDebited\n{{/credited}}\n';
+    const data = { name: 'Acme', items: [{ label: 'Units', amount: '$12.00' }, { label: 'Fee', amount: '$1.00' }], credited: false };
+
+    assert.equal(renderTemplate(source, data), 'Hi Acme\n- Units: $12.00\n- Fee: $1.00\nDebited\n');
+  });
+
+  it('never expands tags inside values', () => {
+    const source = '{{name}}\n{{#items}}\n{{description}}\n{{/items}}\n';
+    const data = { name: '{{secret}}', items: [{ description: '{{secret}} {{#items}}x{{/items}}' }], secret: 'leaked' };
+
+    assert.equal(renderTemplate(source, data), '{{secret}}\n{{secret}} {{#items}}x{{/items}}\n');
+  });
+
+  it('renders the invoice email subject and body', async () => {
+    const email = await renderEmail('invoice-created', {
+      company_name: 'Acme Billing',
+      customer_name: 'Customer ACME1',
+      invoice_id: 7,
+      period_start: '2025-03-03',
+      period_end: '2025-03-09',
+      line_items: [{ description: 'Units', amount: '$12.00' }],
+      amount: '$12.00',
+      credited: false
+    });
+
+    assert.equal(email.subject, 'Acme Billing invoice #7 for 2025-03-03 to 2025-03-09');
+    assert.match(email.text, /^Hi Customer ACME1,/);
+    assert.match(email.text, /Units: \$12\.00/);
+    assert.match(email.text, /We have started an ACH debit of \$12\.00/);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDatabase, createTestDatabase } = require('./helpers/database');
+const { startTestApp } = require('./helpers/app');
+const { issueApiKey } = require('../src/auth/api-keys');
+
+const usage = (fields = {}) => ({
+  crm_contact_id: 'ACME1',
+  name: 'Acme Co',
+  email: 'billing@acme.test',
+  units: 3,
+  occurred_at: '2025-01-15T20:30:00Z',
+  idempotency_key: 'ACME1-1',
+  ...fields
+});
+
+describe('POST /ghl/usage', { skip: skipWithoutDatabase }, () => {
+  let database;
+  let app;
+
+  before(async () => {
+    database = await createTestDatabase();
+    app = await startTestApp(database.db);
+  });
+
+  after(async () => {
+    await app?.close();
+    await database?.drop();
+  });
+
+  beforeEach(() => database.reset());
+
+  async function usageRows() {
+    const { rows } = await database.db.query('SELECT crm_contact_id, idempotency_key, units FROM usage_ledger ORDER BY id');
+    return rows.map(row => ({ ...row, units: Number(row.units) }));
+  }
+
+  it('records usage and creates the customer as pending', async () => {
+    const res = await app.api('POST', '/ghl/usage', usage());
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { success: true, recorded: true, message: 'Usage recorded' });
+
+    assert.deepEqual(await usageRows(), [{ crm_contact_id: 'ACME1', idempotency_key: 'ACME1-1', units: 3 }]);
+    const { rows } = await database.db.query('SELECT name, email, status FROM customers');
+    assert.deepEqual(rows, [{ name: 'Acme Co', email: 'billing@acme.test', status: 'pending' }]);
+  });
+
+  it('ignores a repeated idempotency key', async () => {
+    await app.api('POST', '/ghl/usage', usage());
+    const repeat = await app.api('POST', '/ghl/usage', usage({ units: 5 }));
+    assert.equal(repeat.status, 200);
+    assert.deepEqual(repeat.body, { success: true, recorded: false, message: 'Duplicate request ignored' });
+
+    assert.deepEqual(await usageRows(), [{ crm_contact_id: 'ACME1', idempotency_key: 'ACME1-1', units: 3 }]);
+  });
+
+  it('records each of many concurrent requests with the same key once', async () => {
+    const responses = await Promise.all(Array.from({ length: 5 }, () => app.api('POST', '/ghl/usage', usage())));
+    assert.deepEqual(responses.map(res => res.status), [200, 200, 200, 200, 200]);
+    assert.equal(responses.filter(res => res.body.recorded).length, 1);
+    assert.equal((await usageRows()).length, 1);
+  });
+
+  it('records different keys separately and updates the contact details', async () => {
+    await app.api('POST', '/ghl/usage', usage());
+    await app.api('POST', '/ghl/usage', usage({ idempotency_key: 'ACME1-2', units: 2, name: 'Acme Inc' }));
+
+    assert.equal((await usageRows()).length, 2);
+    const { rows } = await database.db.query('SELECT name FROM customers');
+    assert.deepEqual(rows, [{ name: 'Acme Inc' }]);
+  });
+
+  it('rejects an invalid payload without writing anything', async () => {
+    const res = await app.api('POST', '/ghl/usage', usage({ units: 0, occurred_at: 'yesterday' }));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid payload');
+    assert.equal(res.body.details.length, 2);
+
+    assert.deepEqual(await usageRows(), []);
+    const { rows } = await database.db.query('SELECT COUNT(*)::int AS count FROM customers');
+    assert.equal(rows[0].count, 0);
+  });
+
+  it('requires an API key with the usage:write scope', async () => {
+    assert.equal((await app.api('POST', '/ghl/usage', usage(), { key: null })).status, 401);
+    assert.equal((await app.api('POST', '/ghl/usage', usage(), { key: 'dbk_not-a-key' })).status, 401);
+
+    const { key } = await issueApiKey(database.db, { label: 'reader', scopes: ['admin:read'] });
+    const res = await app.api('POST', '/ghl/usage', usage(), { key });
+    assert.equal(res.status, 403);
+    assert.deepEqual(await usageRows(), []);
+  });
+});